@@ -0,0 +1,102 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+import "@openzeppelin/contracts/utils/Base64.sol";
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "./TrustEstateBase.sol";
+
+// Renders TrustEstate's tokenURI, kept out of TrustEstate to stay under the 24KB EIP-170 limit.
+// Stateless: TrustEstate passes in everything the metadata is built from.
+contract PropertyMetadata {
+    using Strings for uint256;
+
+    // Base64 JSON built from PropertyInfo, with an SVG card as the image. gateway prefixes the
+    // document and survey hashes, e.g. "https://ipfs.io/ipfs/"; empty = raw hashes
+    function tokenURI(
+        uint256 tokenId,
+        TrustEstateBase.PropertyInfo memory info,
+        TrustEstateBase.VerificationStatus status,
+        string memory gateway
+    ) external pure returns (string memory) {
+        bytes memory json = abi.encodePacked(
+            '{"name":"', Strings.escapeJSON(info.title),
+            '","description":"', Strings.escapeJSON(info.description),
+            '","image":"data:image/svg+xml;base64,', Base64.encode(_svgCard(tokenId, info, status)),
+            '","document":"', Strings.escapeJSON(_hashLink(info.documentHash, gateway)),
+            '","survey_report":"', Strings.escapeJSON(_hashLink(info.surveyReportHash, gateway)),
+            '","attributes":', _metadataAttributes(info, status),
+            "}"
+        );
+
+        return string(abi.encodePacked("data:application/json;base64,", Base64.encode(json)));
+    }
+
+    function _metadataAttributes(
+        TrustEstateBase.PropertyInfo memory info,
+        TrustEstateBase.VerificationStatus status
+    ) private pure returns (bytes memory) {
+        return abi.encodePacked(
+            '[{"trait_type":"Location","value":"', Strings.escapeJSON(info.location),
+            '"},{"trait_type":"Property Type","value":"', Strings.escapeJSON(info.propertyType),
+            '"},{"trait_type":"Size","display_type":"number","value":', info.size.toString(),
+            '},{"trait_type":"Bedrooms","display_type":"number","value":', info.bedrooms.toString(),
+            '},{"trait_type":"Bathrooms","display_type":"number","value":', info.bathrooms.toString(),
+            '},{"trait_type":"Features","value":"', Strings.escapeJSON(info.features),
+            '"},{"trait_type":"Verification Status","value":"',
+            _verificationLabel(status),
+            '"}]'
+        );
+    }
+
+    function _svgCard(
+        uint256 propertyId,
+        TrustEstateBase.PropertyInfo memory info,
+        TrustEstateBase.VerificationStatus status
+    ) private pure returns (bytes memory) {
+        return abi.encodePacked(
+            '<svg xmlns="http://www.w3.org/2000/svg" width="350" height="200" viewBox="0 0 350 200">',
+            '<rect width="350" height="200" rx="12" fill="#0f3d3e"/>',
+            '<text x="20" y="40" fill="#f1f1f1" font-family="sans-serif" font-size="18">', _escapeXml(info.title), '</text>',
+            '<text x="20" y="70" fill="#c7d3d4" font-family="sans-serif" font-size="13">', _escapeXml(info.location), '</text>',
+            '<text x="20" y="110" fill="#c7d3d4" font-family="sans-serif" font-size="13">',
+            info.size.toString(), ' sqm | ', info.bedrooms.toString(), ' bed | ', info.bathrooms.toString(), ' bath</text>',
+            '<text x="20" y="175" fill="#e2b714" font-family="sans-serif" font-size="12">TEP #', propertyId.toString(),
+            ' | ', _verificationLabel(status), '</text></svg>'
+        );
+    }
+
+    function _hashLink(string memory hash, string memory gateway) private pure returns (string memory) {
+        if (bytes(hash).length == 0 || bytes(gateway).length == 0) {
+            return hash;
+        }
+        return string(abi.encodePacked(gateway, hash));
+    }
+
+    function _verificationLabel(TrustEstateBase.VerificationStatus status) private pure returns (string memory) {
+        if (status == TrustEstateBase.VerificationStatus.APPROVED) {
+            return "APPROVED";
+        }
+        if (status == TrustEstateBase.VerificationStatus.REJECTED) {
+            return "REJECTED";
+        }
+        return "PENDING";
+    }
+
+    // Escapes the characters that would break out of an SVG text node
+    function _escapeXml(string memory input) private pure returns (string memory) {
+        bytes memory raw = bytes(input);
+        bytes memory escaped;
+        for (uint256 i = 0; i < raw.length; i++) {
+            if (raw[i] == "<") {
+                escaped = abi.encodePacked(escaped, "&lt;");
+            } else if (raw[i] == ">") {
+                escaped = abi.encodePacked(escaped, "&gt;");
+            } else if (raw[i] == "&") {
+                escaped = abi.encodePacked(escaped, "&amp;");
+            } else {
+                escaped = abi.encodePacked(escaped, raw[i]);
+            }
+        }
+        return string(escaped);
+    }
+}
@@ -0,0 +1,157 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+import "@openzeppelin/contracts/token/ERC20/ERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+
+// ERC-20 share supply for one fractionalized TrustEstate property.
+// Deployed through PropertySharesFactory for TrustEstate, which forwards the property's rent here as
+// claimable dividends and opens a redemption pool when the property is bought out.
+contract PropertyShares is ERC20, ReentrancyGuard {
+    using SafeERC20 for IERC20;
+
+    // Scales dividend-per-share so small rent payments on large supplies don't round to zero
+    uint256 private constant MAGNITUDE = 2**128;
+
+    address public immutable registry;
+    uint256 public immutable propertyId;
+
+    // Buyout proceeds left for the remaining holders, paid out pro rata by redeem()
+    uint256 public redemptionPool;
+    bool public isRedeemable;
+    address public buyer; // Who bought the property out, set by openRedemption
+
+    address[] public dividendCurrencies; // address(0) = native MATIC
+    mapping(address => bool) private knownCurrency;
+    mapping(address => uint256) private magnifiedDividendPerShare; // currency => value
+    mapping(address => mapping(address => int256)) private magnifiedCorrections; // currency => holder => value
+    mapping(address => mapping(address => uint256)) private withdrawnDividends; // currency => holder => amount
+
+    event DividendsDistributed(address indexed currency, uint256 amount);
+    event DividendsClaimed(address indexed holder, address indexed currency, uint256 amount);
+    event RedemptionOpened(address indexed buyer, uint256 pool);
+    event SharesRedeemed(address indexed holder, uint256 shares, uint256 payout);
+    event ForwardedToBuyer(address indexed buyer, address indexed currency, uint256 amount);
+
+    constructor(
+        address _registry,
+        string memory name,
+        string memory symbol,
+        uint256 _propertyId,
+        address initialHolder,
+        uint256 supply
+    ) ERC20(name, symbol) {
+        registry = _registry;
+        propertyId = _propertyId;
+        _mint(initialHolder, supply);
+    }
+
+    modifier onlyRegistry() {
+        require(msg.sender == registry, "Caller is not the registry");
+        _;
+    }
+
+    // ========== REGISTRY HOOKS ==========
+    // For tokens the registry transfers the amount in before calling; native rent arrives as msg.value
+    function distribute(address currency, uint256 amount) external payable onlyRegistry {
+        require(currency == address(0) ? msg.value == amount : msg.value == 0, "Amount mismatch");
+        if (amount == 0) {
+            return;
+        }
+
+        // Once every holder has redeemed, rent still arriving (a dispute settled after the buyout)
+        // goes to the buyer, who owns the property now
+        if (totalSupply() == 0) {
+            _send(currency, buyer, amount);
+            emit ForwardedToBuyer(buyer, currency, amount);
+            return;
+        }
+
+        if (!knownCurrency[currency]) {
+            knownCurrency[currency] = true;
+            dividendCurrencies.push(currency);
+        }
+        magnifiedDividendPerShare[currency] += (amount * MAGNITUDE) / totalSupply();
+
+        emit DividendsDistributed(currency, amount);
+    }
+
+    // Burns the buyer's own shares and holds the buyout payment for everyone else
+    function openRedemption(address _buyer) external payable onlyRegistry {
+        require(!isRedeemable, "Redemption already open");
+
+        isRedeemable = true;
+        buyer = _buyer;
+        _burn(_buyer, balanceOf(_buyer));
+        redemptionPool = msg.value;
+
+        emit RedemptionOpened(_buyer, msg.value);
+    }
+
+    // ========== HOLDER FUNCTIONS ==========
+    function claimDividends(address currency) external nonReentrant {
+        uint256 amount = withdrawableDividendOf(msg.sender, currency);
+        require(amount > 0, "Nothing to claim");
+
+        withdrawnDividends[currency][msg.sender] += amount;
+        _send(currency, msg.sender, amount);
+
+        emit DividendsClaimed(msg.sender, currency, amount);
+    }
+
+    function redeem() external nonReentrant {
+        require(isRedeemable, "Not redeemable");
+        uint256 shares = balanceOf(msg.sender);
+        require(shares > 0, "No shares to redeem");
+
+        uint256 payout = (redemptionPool * shares) / totalSupply();
+        redemptionPool -= payout;
+        _burn(msg.sender, shares);
+        _send(address(0), msg.sender, payout);
+
+        emit SharesRedeemed(msg.sender, shares, payout);
+    }
+
+    // ========== VIEW FUNCTIONS ==========
+    function withdrawableDividendOf(address holder, address currency) public view returns (uint256) {
+        return accumulativeDividendOf(holder, currency) - withdrawnDividends[currency][holder];
+    }
+
+    function accumulativeDividendOf(address holder, address currency) public view returns (uint256) {
+        int256 magnified = int256(magnifiedDividendPerShare[currency] * balanceOf(holder))
+            + magnifiedCorrections[currency][holder];
+        return uint256(magnified) / MAGNITUDE;
+    }
+
+    function getDividendCurrencies() external view returns (address[] memory) {
+        return dividendCurrencies;
+    }
+
+    // ========== INTERNAL ==========
+    // Corrections keep dividends earned before a transfer with the sender, and none of them with the receiver
+    function _update(address from, address to, uint256 value) internal override {
+        super._update(from, to, value);
+
+        for (uint256 i = 0; i < dividendCurrencies.length; i++) {
+            address currency = dividendCurrencies[i];
+            int256 correction = int256(magnifiedDividendPerShare[currency] * value);
+            if (from != address(0)) {
+                magnifiedCorrections[currency][from] += correction;
+            }
+            if (to != address(0)) {
+                magnifiedCorrections[currency][to] -= correction;
+            }
+        }
+    }
+
+    function _send(address currency, address to, uint256 amount) private {
+        if (currency == address(0)) {
+            (bool success, ) = payable(to).call{value: amount}("");
+            require(success, "Transfer failed");
+        } else {
+            IERC20(currency).safeTransfer(to, amount);
+        }
+    }
+}
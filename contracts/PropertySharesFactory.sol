@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+import "./PropertyShares.sol";
+
+// Deploys PropertyShares so TrustEstate doesn't have to carry their creation code.
+// The caller becomes the share token's registry.
+contract PropertySharesFactory {
+    function createShares(
+        string memory name,
+        string memory symbol,
+        uint256 propertyId,
+        address initialHolder,
+        uint256 supply
+    ) external returns (PropertyShares) {
+        return new PropertyShares(msg.sender, name, symbol, propertyId, initialHolder, supply);
+    }
+}
@@ -0,0 +1,1039 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+import "@openzeppelin/contracts-upgradeable/access/AccessControlUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/ReentrancyGuardUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/utils/PausableUpgradeable.sol";
+import "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
+import "@openzeppelin/contracts/proxy/Proxy.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import "./PropertyShares.sol";
+
+// Implemented by TrustEstate, which holds the ERC721 state the modules can't reach themselves
+interface ITrustEstateToken {
+    function moveToken(address from, address to, uint256 tokenId) external;
+}
+
+// State, events, modifiers and shared internals of TrustEstate and its modules. TrustEstate alone
+// would be past the 24KB EIP-170 limit, so calls to functions it doesn't have fall through its
+// fallback to the next module in contracts/modules, and so on down the chain. Every module runs by
+// delegatecall on the proxy's storage and declares none of its own; storage is append-only, so new
+// state variables go here after the existing ones, never between them.
+abstract contract TrustEstateBase is
+    Initializable,
+    AccessControlUpgradeable,
+    ReentrancyGuardUpgradeable,
+    PausableUpgradeable,
+    Proxy
+{
+
+    using SafeERC20 for IERC20;
+    using EnumerableSet for EnumerableSet.UintSet;
+
+    bytes32 public constant AGENT_ROLE = keccak256("AGENT_ROLE");
+    bytes32 public constant ADMIN_ROLE = keccak256("ADMIN_ROLE");
+    bytes32 public constant GOVERNMENT_ROLE = keccak256("GOVERNMENT_ROLE");
+    bytes32 public constant LIENHOLDER_ROLE = keccak256("LIENHOLDER_ROLE"); // Banks and tax authorities, see setLienholder
+
+    // Minimum time between scheduling an upgrade and carrying it out
+    uint256 public constant UPGRADE_DELAY = 2 days;
+
+    // Time heirs, creditors or the owner have to challenge an attested death before the estate passes
+    uint256 public constant SUCCESSION_CHALLENGE_WINDOW = 30 days;
+    uint256 public constant MAX_BENEFICIARIES = 10;
+    uint256 public constant ESTATE_SHARE_SUPPLY = 10_000 ether; // One share per basis point of the estate
+
+    // Where calls this contract has no function for go, address(0) at the end of the chain
+    address public immutable nextModule;
+
+    address payable public agencyWallet;
+    address payable public governmentWallet;
+
+    uint256 internal _propertyIds = 0;
+    uint256 internal _offerIds = 0;
+    uint256 internal _escrowIds = 0;
+
+    enum VerificationStatus { PENDING, APPROVED, REJECTED }
+
+    struct PropertyInfo {
+        string title;
+        string location;
+        string propertyType;
+        uint256 size;
+        uint256 bedrooms;
+        uint256 bathrooms;
+        string features;
+        string description;
+        string documentHash;
+        string surveyReportHash;
+    }
+
+    struct PropertyStatus {
+        bool isRegistered;
+        VerificationStatus verificationStatus;
+        bool isMinted;
+        bool isForSale;
+        bool isForRent;
+        uint256 salePrice;
+        uint256 rentPrice;
+        address owner;
+        address verifiedBy;
+    }
+
+    struct PropertyTimestamps {
+        uint256 registeredAt;
+        uint256 verifiedAt;
+        uint256 mintedAt;
+    }
+
+    enum KycStatus { NONE, PENDING, APPROVED, REJECTED }
+
+    // Actions gated by a minimum KYC tier, see requiredTier
+    enum UserAction { REGISTER_PROPERTY, PURCHASE, RENT }
+
+    struct UserProfile {
+        bytes32 kycHash;       // Hash of the off-chain KYC profile
+        KycStatus kycStatus;
+        uint8 tier;            // Granted when KYC is approved, 0 = no KYC
+        bool isBlacklisted;
+        address reviewedBy;
+        uint256 reviewedAt;
+    }
+
+    struct Agent {
+        address agentAddress;
+        string name;
+        string contactInfo;
+        bool isActive;
+        VerificationStatus verificationStatus;
+        string licenseNumber;
+        uint256 licenseExpiry;  // Timestamp the licence lapses at, 0 = no licence on record
+        bool isSuspended;
+    }
+
+    struct RentalInfo {
+        address tenant;
+        uint256 startTime;
+        uint256 duration;
+        bool isActive;
+        uint256 periodsPaid;      // Rent periods settled so far, the first one is paid in rentProperty
+        uint256 depositHeld;      // Security deposit escrowed for this lease
+        uint256 depositDeduction; // Amount the landlord has claimed against the deposit
+        uint256 blockedTimeAtStart; // _rentBlockedTime when the lease began
+    }
+
+    struct RentTerms {
+        uint256 paymentInterval;  // Seconds between rent payments, equal to duration for a single upfront payment
+        uint256 securityDeposit;  // Refundable deposit in the rent currency
+        uint256 gracePeriod;      // Seconds after a due date before the late fee applies
+        uint256 lateFeePercent;   // Basis points of one period's rent
+    }
+
+    struct Fractionalization {
+        address shareToken;   // PropertyShares contract, address(0) if not fractionalized
+        uint256 buyoutPrice;  // Native price for the whole property, paid pro rata to other holders
+    }
+
+    enum OfferStatus { ACTIVE, COUNTERED, ACCEPTED, WITHDRAWN, REFUNDED }
+
+    struct Offer {
+        uint256 propertyId;
+        address buyer;
+        uint256 amount;         // Offered price, excluding the processing fee
+        uint256 processingFee;  // Flat processing fee escrowed alongside the offer
+        uint256 counterPrice;   // Seller's counter price, 0 if not countered
+        uint256 expiry;
+        OfferStatus status;
+    }
+
+    enum AuctionType { ENGLISH, DUTCH }
+    enum AuctionStatus { NONE, ACTIVE, SETTLED, CANCELLED }
+
+    struct Auction {
+        AuctionType auctionType;
+        AuctionStatus status;
+        uint256 startPrice;      // Dutch only, the price at startTime
+        uint256 reservePrice;    // English: lowest winning bid; Dutch: floor price reached at endTime
+        uint256 minIncrement;    // English only
+        uint256 extensionWindow; // English only, bids this close to the end push it back out
+        uint256 startTime;
+        uint256 endTime;
+        address highestBidder;
+        uint256 highestBid;
+        uint256 processingFee;   // Flat fee escrowed with the highest bid
+    }
+
+    // What the seller offers alongside a sale listing; the rest of the price after the deposit is
+    // split evenly over installmentCount payments, the last one taking any rounding remainder
+    struct InstallmentTerms {
+        uint256 deposit;
+        uint256 installmentCount;
+        uint256 interval;         // Seconds between installments, the first falls due one interval after the start
+        uint256 gracePeriod;      // How late an installment may be before the seller can declare a default
+        uint256 defaultRefundPercent; // Basis points of the buyer's escrowed payments refunded on default
+    }
+
+    enum InstallmentStatus { NONE, ACTIVE, COMPLETED, DEFAULTED, CANCELLED }
+
+    struct InstallmentPlan {
+        address buyer;
+        address currency;
+        uint256 price;
+        uint256 installmentsPaid;
+        uint256 startTime;
+        uint256 escrowed;         // Seller's share of everything paid so far, held until completion or default
+        InstallmentStatus status;
+        InstallmentTerms terms;
+    }
+
+    enum EscrowKind { SALE, RENT }
+    enum EscrowStatus { HELD, DISPUTED, RELEASED, RESOLVED }
+    enum Ruling { RELEASE, PARTIAL_REFUND, REVERSAL }
+
+    // Seller's or landlord's share of a payment, after fees, held for the holdback period
+    struct Escrow {
+        uint256 propertyId;
+        EscrowKind kind;
+        EscrowStatus status;
+        address payer;        // Buyer or tenant, who may dispute
+        address payee;        // Seller or landlord, or the PropertyShares token of a fractionalized rental
+        address currency;
+        uint256 amount;
+        uint256 releaseAt;
+        bytes32 evidenceHash; // Set when a dispute is opened
+        bool toShareholders;  // payee is a PropertyShares token, paid out as dividends
+    }
+
+    enum LienStatus { NONE, ACTIVE, RELEASED, SETTLED, HELD } // HELD: payoff waiting in a sale escrow
+
+    // A claim against the title, paid off from the seller's proceeds when the property is sold
+    struct Lien {
+        uint256 propertyId;
+        address creditor;     // Paid at settlement
+        address currency;     // address(0) for native MATIC
+        uint256 amount;
+        LienStatus status;
+        address recordedBy;
+        uint256 recordedAt;
+        uint256 closedAt;     // When it was released or settled, or its payoff held
+    }
+
+    struct Beneficiary {
+        address account;
+        uint256 share;        // Basis points of the property, all beneficiaries total 10000
+    }
+
+    enum SuccessionStatus { NONE, PENDING, CANCELLED, EXECUTED }
+
+    struct Succession {
+        SuccessionStatus status;
+        address owner;              // The deceased owner of record
+        bytes32 deathCertificateHash;
+        address initiatedBy;
+        uint256 executableAt;       // End of the challenge window
+        address challenger;         // Latest challenge, if any
+        bytes32 challengeHash;
+    }
+
+    // A direct transfer above stampDutySignOffThreshold, waiting for a government agent
+    struct TitleTransfer {
+        address from;
+        address to;
+        uint256 declaredValue;
+        uint256 duty;           // Held until the transfer is approved, refunded otherwise
+        uint256 requestedAt;
+    }
+
+    struct PropertyFreeze {
+        bool active;            // Cleared by unfreezeProperty; an expired freeze stays active but no longer applies
+        bytes32 courtOrderHash;
+        uint256 expiresAt;      // 0 if open-ended
+        address frozenBy;
+        uint256 frozenAt;
+    }
+
+    struct ListingAgent {
+        address agent;        // address(0) if none appointed
+        bool accepted;        // The agent has accepted on-chain and may act on the listing
+        uint256 appointedAt;
+    }
+
+    enum ReviewVote { NONE, APPROVE, REJECT, VETO, RECUSED }
+
+    struct Review {
+        ReviewVote vote;
+        string reason;   // Free text or a hash of an off-chain report
+        uint256 castAt;
+    }
+
+    struct ReviewTally {
+        uint256 approvals;
+        uint256 rejections;
+        uint256 recusals;
+    }
+
+    enum DocumentType { DEED, SURVEY, TAX_CLEARANCE, BUILDING_PERMIT, INSPECTION }
+
+    struct PropertyDocument {
+        DocumentType docType;
+        uint256 version;       // Index in the type's history, 0 = first upload
+        bytes32 contentHash;
+        address uploader;
+        uint256 uploadedAt;
+        bool attested;         // Confirmed by a GOVERNMENT_ROLE account
+        address attestedBy;
+        uint256 attestedAt;
+    }
+
+    enum ListingFilter { ANY, FOR_SALE, FOR_RENT }
+
+    // Criteria for queryProperties; leave a field at its zero value to ignore it
+    struct PropertyFilter {
+        bool byStatus;               // Only match verificationStatus == status
+        VerificationStatus status;
+        ListingFilter listing;       // FOR_RENT only matches properties that aren't currently let
+        uint256 minPrice;            // Listed price bounds in the listing's currency
+        uint256 maxPrice;            // 0 = no upper bound
+        string propertyType;         // Exact match, empty = any type
+    }
+
+     struct FeeConfiguration {
+        uint256 agencyFeePercent;     // Basis points (1% = 100)
+        uint256 governmentFeePercent; // Basis points
+        uint256 processingFeeFlat;    // Flat amount in wei
+        uint256 agentCommissionPercent; // Basis points
+        bool feesEnabled;
+    }
+
+    FeeConfiguration public feeConfig;
+
+    // Matching GOVERNMENT_ROLE votes needed to approve or reject a property
+    uint256 public verificationQuorum; // 1 from initialize()
+    uint256 public governmentReviewerCount; // Current GOVERNMENT_ROLE holders, the N in M-of-N
+
+    // How long sale proceeds and first rent stay in escrow, open to disputes, before the payee gets them; 0 = no holdback
+    uint256 public holdbackPeriod;
+
+    // Prefix for document and survey hashes in tokenURI, e.g. "https://ipfs.io/ipfs/"; empty = raw hashes
+    string public ipfsGateway;
+
+    // Events for fee updates
+    event FeesUpdated(
+        uint256 agencyFeePercent,
+        uint256 governmentFeePercent,
+        uint256 processingFeeFlat,
+        uint256 agentCommissionPercent,
+        bool feesEnabled
+    );
+
+    // Mappings
+    mapping(uint256 => PropertyInfo) public propertyInfo;
+    mapping(uint256 => PropertyStatus) public propertyStatus;
+    mapping(uint256 => PropertyTimestamps) public propertyTimestamps;
+    mapping(uint256 => RentalInfo) public rentalInfo;
+    mapping(address => uint256[]) public ownerProperties;
+    mapping(address => Agent) public agents;
+    mapping(address => bool) public registeredUsers;
+    mapping(address => UserProfile) public userProfiles;
+    mapping(UserAction => uint8) public requiredTier; // 0 = open to any registered user
+    mapping(uint8 => mapping(address => uint256)) public tierPriceCeiling; // tier => currency => max price, 0 = no limit
+    mapping(uint256 => address[]) public propertyViewers;
+    mapping(uint256 => Offer) public offers;
+    mapping(uint256 => uint256[]) public propertyOffers;
+    mapping(address => mapping(address => uint256)) internal pendingBalances; // currency => payee => amount, see withdraw()
+    mapping(address => bool) public allowedPaymentTokens;
+    mapping(uint256 => address) public saleCurrency; // address(0) = native MATIC
+    mapping(uint256 => address) public rentCurrency; // address(0) = native MATIC
+    mapping(uint256 => RentTerms) public rentTerms;
+    mapping(uint256 => uint256) public listingExpiry; // Open sale or rent listing lapses at this time, 0 = never
+    mapping(uint256 => Fractionalization) public fractions;
+    mapping(uint256 => ListingAgent) public listingAgents;
+    mapping(uint256 => Escrow) public escrows;
+    mapping(uint256 => uint256[]) public propertyEscrows;
+    mapping(uint256 => Auction) public auctions; // propertyId => current or most recent auction
+    mapping(uint256 => InstallmentTerms) public installmentTerms; // Offered with the current sale listing
+    mapping(uint256 => InstallmentPlan) internal _installmentPlans; // propertyId => current or most recent plan
+    mapping(uint256 => PropertyInfo[]) internal _propertyRevisions; // Superseded PropertyInfo, oldest first
+    mapping(uint256 => mapping(DocumentType => PropertyDocument[])) internal _documents; // Versions, oldest first
+
+    // Review rounds: a round closes when a decision is reached or the review is reopened
+    mapping(uint256 => uint256) public verificationRound;
+    mapping(uint256 => string) public rejectionReason; // Reason behind the latest rejection, for the owner
+    mapping(uint256 => mapping(uint256 => mapping(address => Review))) internal _reviews; // propertyId => round => reviewer
+    mapping(uint256 => mapping(uint256 => address[])) internal _reviewers; // propertyId => round => reviewers
+    mapping(uint256 => mapping(uint256 => ReviewTally)) internal _tallies; // propertyId => round => tally
+
+    address[] public registeredAgents;
+
+    // Index sets behind the paginated property queries, kept in step by registerProperty,
+    // verifyProperty and _syncListingIndex
+    mapping(VerificationStatus => EnumerableSet.UintSet) internal _propertiesByStatus;
+    mapping(bytes32 => EnumerableSet.UintSet) internal _propertiesByType; // keccak256(propertyType) => ids
+    EnumerableSet.UintSet internal _propertiesForSale;
+    EnumerableSet.UintSet internal _propertiesForRent;
+
+    // Upgrade waiting out UPGRADE_DELAY, see scheduleUpgrade
+    address public pendingImplementation;
+    uint256 public upgradeReadyAt;
+
+    mapping(uint256 => PropertyFreeze) internal _freezes; // Latest court-ordered freeze per property
+
+    mapping(uint256 => Lien) public liens;
+    mapping(uint256 => uint256[]) public propertyLiens; // Every lien ever recorded, oldest first
+    uint256 internal _lienIds;
+
+    mapping(uint256 => Beneficiary[]) internal _beneficiaries; // Designated by the current owner
+    mapping(uint256 => Succession) public successions; // Current or most recent succession per property
+
+    // Stamp duty on direct title transfers, charged in native MATIC on the declared value
+    uint256 public stampDutyRate; // Basis points
+    uint256 public stampDutySignOffThreshold; // Declared values above this need government sign-off
+    mapping(uint256 => TitleTransfer) public pendingTitleTransfers;
+
+    // Time payRent has been blocked, see _rentBlockedTime
+    uint256 internal _pausedAt;
+    uint256 internal _totalPausedTime; // Pauses that have ended
+    mapping(uint256 => uint256) internal _totalFrozenTime; // Freezes that have been lifted or replaced
+
+    mapping(uint256 => uint256[]) internal _escrowLiens; // escrowId => liens whose payoff the escrow holds
+
+    mapping(uint256 => uint256) public lastSalePrice; // Latest price paid in native MATIC, 0 if never sold for MATIC
+
+    bool internal _lockingToken; // Set while a module moves an NFT into the contract, see TrustEstate._update
+
+    // Events
+    event UserRegistered(address indexed user);
+    event KycSubmitted(address indexed user, bytes32 profileHash);
+    event KycApproved(address indexed user, uint8 tier, address indexed reviewer);
+    event KycRejected(address indexed user, string reason, address indexed reviewer);
+    event UserDeregistered(address indexed user);
+    event UserBlacklistUpdated(address indexed user, bool blacklisted);
+    event RequiredTierUpdated(UserAction indexed action, uint8 tier);
+    event TierPriceCeilingUpdated(uint8 indexed tier, address indexed currency, uint256 ceiling);
+    event AgentRegistered(address indexed agent, string name);
+    event AgentVerified(address indexed agent, VerificationStatus status);
+    event AgentLicenseUpdated(address indexed agent, string licenseNumber, uint256 expiresAt);
+    event AgentSuspended(address indexed agent, string reason);
+    event AgentReinstated(address indexed agent);
+    event AgentDeregistered(address indexed agent);
+    event PropertyRegistered(uint256 indexed propertyId, address indexed owner);
+    event PropertyVerified(uint256 indexed propertyId, VerificationStatus status, address verifiedBy);
+    event PropertyMinted(uint256 indexed tokenId, address indexed owner);
+    event PropertyListedForSale(uint256 indexed propertyId, uint256 price);
+    event PropertyListedForRent(uint256 indexed propertyId, uint256 price);
+    event PropertySold(uint256 indexed propertyId, address indexed buyer, uint256 price);
+    event PropertyRented(uint256 indexed propertyId, address indexed tenant, uint256 price);
+    event RentalEnded(uint256 indexed propertyId, address indexed tenant);
+    event OwnershipTransferred(uint256 indexed propertyId, address indexed previousOwner, address indexed newOwner);
+    event PropertyViewed(uint256 indexed propertyId, address indexed viewer);
+    event OfferMade(uint256 indexed offerId, uint256 indexed propertyId, address indexed buyer, uint256 amount, uint256 expiry);
+    event OfferCountered(uint256 indexed offerId, uint256 indexed propertyId, uint256 counterPrice);
+    event OfferAccepted(uint256 indexed offerId, uint256 indexed propertyId, uint256 price);
+    event OfferWithdrawn(uint256 indexed offerId, uint256 indexed propertyId);
+    event OfferRefunded(uint256 indexed offerId, uint256 indexed propertyId, uint256 amount);
+    event AuctionStarted(
+        uint256 indexed propertyId,
+        AuctionType auctionType,
+        uint256 startPrice,
+        uint256 reservePrice,
+        uint256 endTime
+    );
+    event AuctionBid(uint256 indexed propertyId, address indexed bidder, uint256 amount, uint256 endTime);
+    event AuctionSettled(uint256 indexed propertyId, address indexed winner, uint256 price); // winner = address(0) if unsold
+    event AuctionCancelled(uint256 indexed propertyId);
+    event InstallmentPlanOffered(
+        uint256 indexed propertyId,
+        uint256 deposit,
+        uint256 installmentCount,
+        uint256 interval,
+        uint256 gracePeriod,
+        uint256 defaultRefundPercent
+    );
+    event InstallmentPlanStarted(uint256 indexed propertyId, address indexed buyer, uint256 price, uint256 deposit);
+    event InstallmentPaid(uint256 indexed propertyId, address indexed buyer, uint256 installment, uint256 amount);
+    event InstallmentPlanDefaulted(uint256 indexed propertyId, address indexed buyer, uint256 refunded, uint256 toSeller);
+    event InstallmentPlanCancelled(uint256 indexed propertyId, address indexed buyer, uint256 refunded);
+    event HoldbackPeriodUpdated(uint256 period);
+    event ProceedsHeld(
+        uint256 indexed escrowId,
+        uint256 indexed propertyId,
+        address indexed payee,
+        uint256 amount,
+        uint256 releaseAt
+    );
+    event EscrowReleased(uint256 indexed escrowId, uint256 indexed propertyId, uint256 amount);
+    event DisputeOpened(uint256 indexed escrowId, uint256 indexed propertyId, address indexed payer, bytes32 evidenceHash);
+    event DisputeResolved(
+        uint256 indexed escrowId,
+        uint256 indexed propertyId,
+        Ruling ruling,
+        uint256 refunded,
+        uint256 released,
+        string reason
+    );
+    event StampDutyUpdated(uint256 rate, uint256 signOffThreshold);
+    event TitleTransferRequested(
+        uint256 indexed propertyId,
+        address indexed from,
+        address indexed to,
+        uint256 declaredValue,
+        uint256 duty
+    );
+    event TitleTransferred(
+        uint256 indexed propertyId,
+        address indexed from,
+        address indexed to,
+        uint256 declaredValue,
+        uint256 duty,
+        address approvedBy
+    );
+    event TitleTransferRejected(uint256 indexed propertyId, address indexed rejectedBy, string reason);
+    event TitleTransferCancelled(uint256 indexed propertyId, address indexed from);
+    event PaymentCredited(address indexed payee, address indexed currency, uint256 amount);
+    event Withdrawn(address indexed payee, address indexed to, address indexed currency, uint256 amount);
+    event PaymentTokenUpdated(address indexed token, bool allowed);
+    event RentPaid(uint256 indexed propertyId, address indexed tenant, uint256 period, uint256 amount, uint256 lateFee);
+    event DepositDeductionClaimed(uint256 indexed propertyId, uint256 amount, string reason);
+    event DepositSettled(uint256 indexed propertyId, address indexed tenant, uint256 toLandlord, uint256 refunded);
+    event IpfsGatewayUpdated(string gateway);
+    event PropertyFractionalized(uint256 indexed propertyId, address indexed shareToken, uint256 shareSupply, uint256 buyoutPrice);
+    event PropertyBoughtOut(uint256 indexed propertyId, address indexed buyer, uint256 paid);
+    event PropertyAmended(uint256 indexed propertyId, uint256 revision, string[] changedFields);
+    event ListingAgentAppointed(uint256 indexed propertyId, address indexed owner, address indexed agent);
+    event ListingAgentAccepted(uint256 indexed propertyId, address indexed agent);
+    event ListingAgentRevoked(uint256 indexed propertyId, address indexed agent);
+    event PropertyDelisted(uint256 indexed propertyId, address indexed by);
+    event SaleListingCancelled(uint256 indexed propertyId, address indexed by);
+    event RentListingCancelled(uint256 indexed propertyId, address indexed by);
+    event SalePriceUpdated(uint256 indexed propertyId, uint256 oldPrice, uint256 price);
+    event RentTermsUpdated(uint256 indexed propertyId, uint256 price, uint256 duration, uint256 paymentInterval);
+    event ListingExpiryUpdated(uint256 indexed propertyId, uint256 expiresAt);
+    event VerificationQuorumUpdated(uint256 quorum);
+    event VerificationVoteCast(
+        uint256 indexed propertyId,
+        uint256 indexed round,
+        address indexed reviewer,
+        VerificationStatus decision,
+        string reason
+    );
+    event VerificationVetoed(uint256 indexed propertyId, uint256 indexed round, address indexed reviewer, string reason);
+    event ReviewerRecused(uint256 indexed propertyId, uint256 indexed round, address indexed reviewer);
+    event VerificationReopened(uint256 indexed propertyId, uint256 indexed round, address indexed reopenedBy);
+    event PropertyRejected(uint256 indexed propertyId, address indexed owner, string reason);
+    event SurveyReportSubmitted(uint256 indexed propertyId, string reportHash, address indexed submittedBy);
+    event DocumentUploaded(
+        uint256 indexed propertyId,
+        DocumentType indexed docType,
+        uint256 version,
+        bytes32 contentHash,
+        address indexed uploader
+    );
+    event DocumentAttested(uint256 indexed propertyId, DocumentType indexed docType, uint256 version, address indexed attestedBy);
+    event UpgradeScheduled(address indexed implementation, uint256 readyAt);
+    event UpgradeCancelled(address indexed implementation);
+    event PropertyFrozen(uint256 indexed propertyId, bytes32 courtOrderHash, uint256 expiresAt, address indexed frozenBy);
+    event PropertyUnfrozen(uint256 indexed propertyId, address indexed unfrozenBy);
+    event LienholderUpdated(address indexed lienholder, bool allowed);
+    event LienRecorded(
+        uint256 indexed lienId,
+        uint256 indexed propertyId,
+        address indexed creditor,
+        address currency,
+        uint256 amount,
+        address recordedBy
+    );
+    event LienReleased(uint256 indexed lienId, uint256 indexed propertyId, address indexed releasedBy);
+    event LienSettled(uint256 indexed lienId, uint256 indexed propertyId, address indexed creditor, uint256 amount);
+    event LienReinstated(uint256 indexed lienId, uint256 indexed propertyId);
+    event BeneficiariesDesignated(uint256 indexed propertyId, address indexed owner, address[] accounts, uint256[] shares);
+    event SuccessionInitiated(
+        uint256 indexed propertyId,
+        address indexed owner,
+        bytes32 deathCertificateHash,
+        uint256 executableAt,
+        address indexed initiatedBy
+    );
+    event SuccessionChallenged(uint256 indexed propertyId, address indexed challenger, bytes32 evidenceHash);
+    event SuccessionCancelled(uint256 indexed propertyId, address indexed cancelledBy, string reason);
+    event EstateBuyoutPriceSet(uint256 indexed propertyId, uint256 buyoutPrice, address indexed setBy);
+    event SuccessionExecuted(
+        uint256 indexed propertyId,
+        address indexed deceased,
+        address indexed heir,
+        address[] beneficiaries,
+        uint256[] shares,
+        address shareToken
+    );
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor(address _nextModule) {
+        nextModule = _nextModule;
+        _disableInitializers(); // TrustEstate and its modules are only ever used through the proxy
+    }
+
+    // ========== MODIFIERS ==========
+    modifier onlyDefaultAdmin() {
+        require(hasRole(DEFAULT_ADMIN_ROLE, msg.sender), "Caller is not the default admin");
+        _;
+    }
+
+    modifier onlyAdmin() {
+        require(hasRole(ADMIN_ROLE, msg.sender), "Caller is not an admin");
+        _;
+    }
+
+    modifier onlyGovernment() {
+        require(hasRole(GOVERNMENT_ROLE, msg.sender), "Caller is not a government agent");
+        _;
+    }
+
+    modifier onlyAgent() {
+        require(hasRole(AGENT_ROLE, msg.sender), "Caller is not an agent");
+        _;
+    }
+
+    // Both owner modifiers lock the owner out once a death has been attested, see initiateSuccession
+    modifier onlyOwnerOfProperty(uint256 propertyId) {
+        require(propertyStatus[propertyId].owner == msg.sender, "Not the owner");
+        require(!_isSuccessionPending(propertyId), "Succession in progress");
+        _;
+    }
+
+    // The owner, or the listing agent they appointed once the agent has accepted
+    modifier onlyOwnerOrListingAgent(uint256 propertyId) {
+        require(
+            propertyStatus[propertyId].owner == msg.sender || _isActingListingAgent(propertyId, msg.sender),
+            "Not the owner"
+        );
+        require(!_isSuccessionPending(propertyId), "Succession in progress");
+        _;
+    }
+
+    modifier propertyExists(uint256 propertyId) {
+        require(propertyStatus[propertyId].isRegistered, "Property does not exist");
+        _;
+    }
+
+    modifier whenNotFrozen(uint256 propertyId) {
+        require(!_isPropertyFrozen(propertyId), "Property is frozen");
+        _;
+    }
+
+    // ========== UTILITY FUNCTIONS ==========
+    // Splits the sale price, hands over ownership records and the NFT, and refunds competing offers.
+    // The caller must already hold amount + flatProcessingFee from the buyer.
+    function _completeSale(
+        uint256 propertyId,
+        address buyer,
+        uint256 amount,
+        uint256 flatProcessingFee,
+        address currency
+    ) internal {
+        address seller = propertyStatus[propertyId].owner;
+        uint256 proceeds = _creditFees(propertyId, seller, amount, flatProcessingFee, currency);
+        proceeds = _settleLiens(propertyId, currency, proceeds, holdbackPeriod > 0);
+        _holdOrPayOut(propertyId, EscrowKind.SALE, buyer, seller, currency, proceeds);
+        _conveyProperty(propertyId, buyer);
+        if (currency == address(0)) {
+            lastSalePrice[propertyId] = amount;
+        }
+
+        emit PropertySold(propertyId, buyer, amount);
+        emit OwnershipTransferred(propertyId, seller, buyer);
+    }
+
+    // Pays every active lien off from the seller's proceeds and returns what is left for the seller.
+    // With hold set the payoffs go into the escrow _holdOrPayOut is about to open instead.
+    function _settleLiens(uint256 propertyId, address currency, uint256 proceeds, bool hold) internal returns (uint256) {
+        uint256[] storage lienIds = propertyLiens[propertyId];
+        for (uint256 i = 0; i < lienIds.length; i++) {
+            Lien storage lien = liens[lienIds[i]];
+            if (lien.status != LienStatus.ACTIVE) {
+                continue;
+            }
+            require(lien.currency == currency, "Lien currency mismatch");
+            require(lien.amount <= proceeds, "Liens exceed sale proceeds");
+
+            proceeds -= lien.amount;
+            if (hold) {
+                lien.status = LienStatus.HELD;
+                lien.closedAt = block.timestamp;
+                _escrowLiens[_escrowIds].push(lienIds[i]);
+            } else {
+                _payOffLien(lienIds[i]);
+            }
+        }
+        return proceeds;
+    }
+
+    function _payOffLien(uint256 lienId) internal {
+        Lien storage lien = liens[lienId];
+        lien.status = LienStatus.SETTLED;
+        lien.closedAt = block.timestamp;
+        _credit(lien.currency, lien.creditor, lien.amount);
+        emit LienSettled(lienId, lien.propertyId, lien.creditor, lien.amount);
+    }
+
+    // Whether _settleLiens would succeed on these proceeds
+    function _liensCovered(uint256 propertyId, address currency, uint256 proceeds) internal view returns (bool) {
+        Lien[] memory active = _activeLiens(propertyId);
+        for (uint256 i = 0; i < active.length; i++) {
+            if (active[i].currency != currency || active[i].amount > proceeds) {
+                return false;
+            }
+            proceeds -= active[i].amount;
+        }
+        return true;
+    }
+
+    // Active liens, oldest first
+    function _activeLiens(uint256 propertyId) internal view returns (Lien[] memory active) {
+        uint256[] storage lienIds = propertyLiens[propertyId];
+        uint256 count = 0;
+        for (uint256 i = 0; i < lienIds.length; i++) {
+            if (liens[lienIds[i]].status == LienStatus.ACTIVE) {
+                count++;
+            }
+        }
+        active = new Lien[](count);
+        count = 0;
+        for (uint256 i = 0; i < lienIds.length; i++) {
+            if (liens[lienIds[i]].status == LienStatus.ACTIVE) {
+                active[count++] = liens[lienIds[i]];
+            }
+        }
+    }
+
+    // Hands the ownership records and NFT to the buyer and takes the property off the sale market.
+    // Payment is the caller's job, as are the sale events.
+    function _conveyProperty(uint256 propertyId, address buyer) internal {
+        address seller = propertyStatus[propertyId].owner;
+
+        propertyStatus[propertyId].owner = buyer;
+        propertyStatus[propertyId].isForSale = false;
+        _syncListingIndex(propertyId);
+
+        // Update ownership records
+        removePropertyFromOwner(seller, propertyId);
+        ownerProperties[buyer].push(propertyId);
+
+        // If the property was minted as an NFT, transfer the NFT as well
+        if (propertyStatus[propertyId].isMinted) {
+            _moveToken(seller, buyer, propertyId); // Transfer the ERC721 token
+        }
+
+        delete listingAgents[propertyId]; // The appointment was the seller's
+        delete installmentTerms[propertyId];
+        delete _beneficiaries[propertyId];
+
+        // The property is off the market, so every other open offer gets its escrow back
+        uint256[] storage offerIds = propertyOffers[propertyId];
+        for (uint256 i = 0; i < offerIds.length; i++) {
+            _refundOffer(offerIds[i]);
+        }
+    }
+
+    // Takes the buyer's payment for a sale or rent and returns the native overpayment.
+    // The flat processing fee is always paid in native MATIC; token prices are pulled with transferFrom.
+    function _collectPayment(
+        address currency,
+        uint256 amount,
+        uint256 flatProcessingFee
+    ) internal returns (uint256 excess) {
+        if (currency == address(0)) {
+            uint256 totalAmountDueFromBuyer = amount + flatProcessingFee;
+            require(msg.value >= totalAmountDueFromBuyer, "Insufficient payment including fees");
+            return msg.value - totalAmountDueFromBuyer;
+        }
+
+        require(allowedPaymentTokens[currency], "Payment token not allowed");
+        require(msg.value >= flatProcessingFee, "Insufficient payment including fees");
+        IERC20(currency).safeTransferFrom(msg.sender, address(this), amount);
+        return msg.value - flatProcessingFee;
+    }
+
+    // Pays the payee's share of a sale or first rent payment, or escrows it during the holdback period
+    function _holdOrPayOut(
+        uint256 propertyId,
+        EscrowKind kind,
+        address payer,
+        address payee,
+        address currency,
+        uint256 amount
+    ) internal {
+        bool toShareholders = kind == EscrowKind.RENT && payee == fractions[propertyId].shareToken;
+        if (holdbackPeriod == 0) {
+            _payOut(payee, toShareholders, currency, amount);
+            return;
+        }
+
+        uint256 escrowId = _escrowIds++;
+        uint256 releaseAt = block.timestamp + holdbackPeriod;
+        escrows[escrowId] = Escrow({
+            propertyId: propertyId,
+            kind: kind,
+            status: EscrowStatus.HELD,
+            payer: payer,
+            payee: payee,
+            currency: currency,
+            amount: amount,
+            releaseAt: releaseAt,
+            evidenceHash: bytes32(0),
+            toShareholders: toShareholders
+        });
+        propertyEscrows[propertyId].push(escrowId);
+
+        emit ProceedsHeld(escrowId, propertyId, payee, amount, releaseAt);
+    }
+
+    // Rent follows _creditRent and goes to the shareholders of a fractionalized property
+    function _payOut(address payee, bool toShareholders, address currency, uint256 amount) internal {
+        if (toShareholders) {
+            _distributeToShareholders(payee, currency, amount);
+        } else {
+            _credit(currency, payee, amount);
+        }
+    }
+
+    function _distributeToShareholders(address shareToken, address currency, uint256 amount) internal {
+        if (amount == 0) {
+            return;
+        }
+        if (currency == address(0)) {
+            PropertyShares(shareToken).distribute{value: amount}(currency, amount);
+        } else {
+            IERC20(currency).safeTransfer(shareToken, amount);
+            PropertyShares(shareToken).distribute(currency, amount);
+        }
+    }
+
+    // Credits the agency, government and commission cuts and returns what is left for the payee
+    function _creditFees(
+        uint256 propertyId,
+        address payee,
+        uint256 amount,
+        uint256 flatProcessingFee,
+        address currency
+    ) internal returns (uint256) {
+        (
+            uint256 agencyCut,
+            uint256 governmentCut,
+            uint256 agentCommissionCut,
+        ) = _feeBreakdown(amount);
+
+        // Agency gets its percentage + the flat processing fee (always native)
+        _credit(currency, agencyWallet, agencyCut);
+        _credit(address(0), agencyWallet, flatProcessingFee);
+        _credit(currency, governmentWallet, governmentCut);
+
+        // Agent commission goes to the property's listing agent, else to the payee if they are
+        // an agent themselves, otherwise to the agency
+        address listingAgent = listingAgents[propertyId].agent;
+        if (_isActingListingAgent(propertyId, listingAgent)) {
+            _credit(currency, listingAgent, agentCommissionCut);
+        } else if (_isApprovedAgent(payee)) {
+            _credit(currency, payee, agentCommissionCut);
+        } else {
+            _credit(currency, agencyWallet, agentCommissionCut);
+        }
+
+        // Payee receives the base amount minus percentage-based cuts
+        return amount - (agencyCut + governmentCut + agentCommissionCut);
+    }
+
+    function _credit(address currency, address payee, uint256 amount) internal {
+        if (amount == 0) {
+            return;
+        }
+        pendingBalances[currency][payee] += amount;
+        emit PaymentCredited(payee, currency, amount);
+    }
+
+    function _isOfferOpen(Offer storage offer) internal view returns (bool) {
+        return offer.status == OfferStatus.ACTIVE || offer.status == OfferStatus.COUNTERED;
+    }
+
+    // Returns an open offer's escrow to its buyer; closed offers are skipped
+    function _refundOffer(uint256 offerId) internal {
+        Offer storage offer = offers[offerId];
+        if (!_isOfferOpen(offer)) {
+            return;
+        }
+
+        uint256 refund = offer.amount + offer.processingFee;
+        offer.status = OfferStatus.REFUNDED;
+        _credit(address(0), offer.buyer, refund);
+
+        emit OfferRefunded(offerId, offer.propertyId, refund);
+    }
+
+    function _isListingExpired(uint256 propertyId) internal view returns (bool) {
+        uint256 expiresAt = listingExpiry[propertyId];
+        return expiresAt != 0 && block.timestamp >= expiresAt;
+    }
+
+    function _isInstallmentActive(uint256 propertyId) internal view returns (bool) {
+        return _installmentPlans[propertyId].status == InstallmentStatus.ACTIVE;
+    }
+
+    function _isAuctionActive(uint256 propertyId) internal view returns (bool) {
+        return auctions[propertyId].status == AuctionStatus.ACTIVE;
+    }
+
+    function _isSuccessionPending(uint256 propertyId) internal view returns (bool) {
+        return successions[propertyId].status == SuccessionStatus.PENDING;
+    }
+
+    // Ends a running auction without a sale and returns the top bid's escrow
+    function _cancelAuction(uint256 propertyId) internal {
+        if (!_isAuctionActive(propertyId)) {
+            return;
+        }
+
+        Auction storage auction = auctions[propertyId];
+        auction.status = AuctionStatus.CANCELLED;
+        _credit(address(0), auction.highestBidder, auction.highestBid + auction.processingFee);
+
+        emit AuctionCancelled(propertyId);
+    }
+
+    function _checkUserTier(address user, UserAction action, address currency, uint256 price) internal view {
+        UserProfile storage profile = userProfiles[user];
+        require(!profile.isBlacklisted, "User is blacklisted");
+        require(profile.tier >= requiredTier[action], "KYC tier too low");
+
+        uint256 ceiling = tierPriceCeiling[profile.tier][currency];
+        require(ceiling == 0 || price <= ceiling, "Price exceeds tier limit");
+    }
+
+    // Only approved, unsuspended agents with a current licence act on listings or earn commission
+    function _isApprovedAgent(address agent) internal view returns (bool) {
+        Agent storage record = agents[agent];
+        return hasRole(AGENT_ROLE, agent) &&
+            record.verificationStatus == VerificationStatus.APPROVED &&
+            !record.isSuspended &&
+            record.licenseExpiry > block.timestamp;
+    }
+
+    // An accepted appointment only counts while the agent is still approved
+    function _isActingListingAgent(uint256 propertyId, address account) internal view returns (bool) {
+        ListingAgent storage appointment = listingAgents[propertyId];
+        return account != address(0) && appointment.agent == account && appointment.accepted && _isApprovedAgent(account);
+    }
+
+    // Ends both listings, refunds open offers and cancels a running auction
+    function _takeOffMarket(uint256 propertyId) internal {
+        propertyStatus[propertyId].isForSale = false;
+        propertyStatus[propertyId].isForRent = false;
+        listingExpiry[propertyId] = 0;
+        _syncListingIndex(propertyId);
+
+        uint256[] storage offerIds = propertyOffers[propertyId];
+        for (uint256 i = 0; i < offerIds.length; i++) {
+            _refundOffer(offerIds[i]);
+        }
+        _cancelAuction(propertyId);
+    }
+
+    // Recomputes the property's membership of the for-sale and for-rent index sets from its state
+    function _syncListingIndex(uint256 propertyId) internal {
+        if (propertyStatus[propertyId].isForSale) {
+            _propertiesForSale.add(propertyId);
+        } else {
+            _propertiesForSale.remove(propertyId);
+        }
+
+        if (propertyStatus[propertyId].isForRent && !rentalInfo[propertyId].isActive) {
+            _propertiesForRent.add(propertyId);
+        } else {
+            _propertiesForRent.remove(propertyId);
+        }
+    }
+
+    function removePropertyFromOwner(address owner, uint256 propertyId) internal {
+        uint256[] storage props = ownerProperties[owner];
+        for (uint256 i = 0; i < props.length; i++) {
+            if (props[i] == propertyId) {
+                props[i] = props[props.length - 1];
+                props.pop();
+                break;
+            }
+        }
+    }
+
+    function _isEncumbered(uint256 propertyId) internal view returns (bool) {
+        uint256[] storage lienIds = propertyLiens[propertyId];
+        for (uint256 i = 0; i < lienIds.length; i++) {
+            if (liens[lienIds[i]].status == LienStatus.ACTIVE) {
+                return true;
+            }
+        }
+        return false;
+    }
+
+    function _isPropertyFrozen(uint256 propertyId) internal view returns (bool) {
+        PropertyFreeze storage freeze = _freezes[propertyId];
+        return freeze.active && (freeze.expiresAt == 0 || block.timestamp < freeze.expiresAt);
+    }
+
+    // How long a freeze has applied so far, up to its expiry; 0 once lifted
+    function _freezeDuration(PropertyFreeze storage freeze) internal view returns (uint256) {
+        if (!freeze.active) {
+            return 0;
+        }
+        uint256 end = freeze.expiresAt == 0 || block.timestamp < freeze.expiresAt ? block.timestamp : freeze.expiresAt;
+        return end - freeze.frozenAt;
+    }
+
+    // See getFeeBreakdown
+    function _feeBreakdown(uint256 amount) internal view returns (
+        uint256 agencyCut,
+        uint256 governmentCut,
+        uint256 agentCommissionCut,
+        uint256 flatProcessingFee
+    ) {
+        if (!feeConfig.feesEnabled) {
+            return (0, 0, 0, 0);
+        }
+
+        agencyCut = (amount * feeConfig.agencyFeePercent) / 10000;
+        governmentCut = (amount * feeConfig.governmentFeePercent) / 10000;
+        agentCommissionCut = (amount * feeConfig.agentCommissionPercent) / 10000;
+        flatProcessingFee = feeConfig.processingFeeFlat;
+        
+        // Validate that the total percentage-based cuts don't exceed the amount
+        // The flatProcessingFee is separate and paid on top by the buyer.
+        uint256 totalDeductiblePercentageFees = agencyCut + governmentCut + agentCommissionCut;
+        require(totalDeductiblePercentageFees < amount, "Percentage fees exceed transaction amount");
+    }
+
+    // The ERC721 code lives in TrustEstate alone, so the NFT is moved (or, from address(0), minted) there
+    function _moveToken(address from, address to, uint256 tokenId) internal {
+        ITrustEstateToken(address(this)).moveToken(from, to, tokenId);
+    }
+
+    // Called for every function this contract doesn't have
+    function _implementation() internal view override returns (address) {
+        require(nextModule != address(0), "Function does not exist");
+        return nextModule;
+    }
+
+    // Keeps governmentReviewerCount in step with GOVERNMENT_ROLE membership
+    function _grantRole(bytes32 role, address account) internal override returns (bool granted) {
+        granted = super._grantRole(role, account);
+        if (granted && role == GOVERNMENT_ROLE) {
+            governmentReviewerCount++;
+        }
+    }
+
+    function _revokeRole(bytes32 role, address account) internal override returns (bool revoked) {
+        revoked = super._revokeRole(role, account);
+        if (revoked && role == GOVERNMENT_ROLE) {
+            governmentReviewerCount--;
+            // Otherwise no review could reach a decision; lower the quorum first
+            require(governmentReviewerCount >= verificationQuorum, "Would break verification quorum");
+        }
+    }
+}
@@ -0,0 +1,11 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+import "@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol";
+
+// The address users and the te:* tasks talk to; it delegates every call to the current TrustEstate
+// implementation, which hands what it doesn't implement on to its modules. Deploy with
+// scripts/trustEstateProxy.js, which also deploys the modules and runs initialize().
+contract TrustEstateProxy is ERC1967Proxy {
+    constructor(address implementation, bytes memory data) ERC1967Proxy(implementation, data) {}
+}
@@ -0,0 +1,21 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+// Test helper: a contract wallet that rejects plain ETH transfers, standing in for
+// multisigs and smart wallets. It can still call into TrustEstate through execute().
+contract RevertingReceiver {
+    function execute(address target, bytes calldata data) external returns (bytes memory) {
+        (bool success, bytes memory result) = target.call(data);
+        if (!success) {
+            // Bubble up the original revert reason
+            assembly {
+                revert(add(result, 32), mload(result))
+            }
+        }
+        return result;
+    }
+
+    receive() external payable {
+        revert("ETH rejected");
+    }
+}
@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+import "../TrustEstate.sol";
+
+// Test helper: a next TrustEstate version that appends state and migrates it in a reinitializer,
+// used to check that an upgrade keeps the existing registry intact
+contract TrustEstateV2Mock is TrustEstate {
+    string public migrationNote;
+
+    constructor(address _nextModule, PropertyMetadata _propertyMetadata) TrustEstate(_nextModule, _propertyMetadata) {}
+
+    function initializeV2(string memory note) external reinitializer(2) {
+        migrationNote = note;
+    }
+
+    function version() external pure returns (string memory) {
+        return "2";
+    }
+}
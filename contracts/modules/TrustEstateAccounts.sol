@@ -0,0 +1,276 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+import "../TrustEstateBase.sol";
+
+// Users, agents, listing agents and withdrawals of credited payments.
+// A TrustEstate module: reached through TrustEstate's fallback, see TrustEstateBase.
+contract TrustEstateAccounts is TrustEstateBase {
+    using SafeERC20 for IERC20;
+
+    constructor(address _nextModule) TrustEstateBase(_nextModule) {}
+
+    // ========== PAYMENT FUNCTIONS ==========
+    // Sale proceeds, fees, rent and refunds are credited here instead of pushed, so a recipient
+    // that rejects plain transfers (multisig, contract wallet) can never block a sale
+    function withdraw() public {
+        withdrawTo(payable(msg.sender));
+    }
+
+    function withdrawTo(address payable to) public whenNotPaused nonReentrant {
+        require(to != address(0), "Invalid recipient");
+        uint256 amount = pendingBalances[address(0)][msg.sender];
+        require(amount > 0, "Nothing to withdraw");
+
+        pendingBalances[address(0)][msg.sender] = 0;
+        (bool success, ) = to.call{value: amount}("");
+        require(success, "Withdrawal failed");
+
+        emit Withdrawn(msg.sender, to, address(0), amount);
+    }
+
+    function withdrawToken(address token) public {
+        withdrawTokenTo(token, msg.sender);
+    }
+
+    function withdrawTokenTo(address token, address to) public whenNotPaused nonReentrant {
+        require(to != address(0), "Invalid recipient");
+        uint256 amount = pendingBalances[token][msg.sender];
+        require(amount > 0, "Nothing to withdraw");
+
+        pendingBalances[token][msg.sender] = 0;
+        IERC20(token).safeTransfer(to, amount);
+
+        emit Withdrawn(msg.sender, to, token, amount);
+    }
+
+    function pendingBalance(address payee) public view returns (uint256) {
+        return pendingBalances[address(0)][payee];
+    }
+
+    function pendingTokenBalance(address payee, address token) public view returns (uint256) {
+        return pendingBalances[token][payee];
+    }
+
+    function setPaymentToken(address token, bool allowed) external onlyAdmin {
+        require(token != address(0), "Invalid token address");
+        allowedPaymentTokens[token] = allowed;
+        emit PaymentTokenUpdated(token, allowed);
+    }
+    // ========== USER FUNCTIONS ==========
+    function registerUser() public whenNotPaused {
+        require(!registeredUsers[msg.sender], "Already registered");
+        require(!userProfiles[msg.sender].isBlacklisted, "User is blacklisted");
+        registeredUsers[msg.sender] = true;
+        emit UserRegistered(msg.sender);
+    }
+
+    // Submits (or resubmits) a KYC profile for government review; the current tier holds until then
+    function submitKyc(bytes32 profileHash) public whenNotPaused {
+        require(registeredUsers[msg.sender], "Not registered");
+        require(profileHash != bytes32(0), "Profile hash required");
+
+        userProfiles[msg.sender].kycHash = profileHash;
+        userProfiles[msg.sender].kycStatus = KycStatus.PENDING;
+        emit KycSubmitted(msg.sender, profileHash);
+    }
+
+    function approveKyc(address user, uint8 tier) public onlyGovernment {
+        UserProfile storage profile = userProfiles[user];
+        require(profile.kycStatus == KycStatus.PENDING, "No KYC pending");
+        require(tier > 0, "Invalid tier");
+
+        profile.kycStatus = KycStatus.APPROVED;
+        profile.tier = tier;
+        profile.reviewedBy = msg.sender;
+        profile.reviewedAt = block.timestamp;
+        emit KycApproved(user, tier, msg.sender);
+    }
+
+    function rejectKyc(address user, string memory reason) public onlyGovernment {
+        UserProfile storage profile = userProfiles[user];
+        require(profile.kycStatus == KycStatus.PENDING, "No KYC pending");
+
+        profile.kycStatus = KycStatus.REJECTED;
+        profile.tier = 0;
+        profile.reviewedBy = msg.sender;
+        profile.reviewedAt = block.timestamp;
+        emit KycRejected(user, reason, msg.sender);
+    }
+
+    // Removes the user and their KYC record; a blacklist entry stays in place
+    function deregisterUser(address user) public onlyAdmin {
+        require(registeredUsers[user], "Not registered");
+
+        registeredUsers[user] = false;
+        bool blacklisted = userProfiles[user].isBlacklisted;
+        delete userProfiles[user];
+        userProfiles[user].isBlacklisted = blacklisted;
+        emit UserDeregistered(user);
+    }
+
+    // Blacklisted users are deregistered and cannot register again until cleared
+    function setUserBlacklisted(address user, bool blacklisted) public onlyAdmin {
+        userProfiles[user].isBlacklisted = blacklisted;
+        if (blacklisted && registeredUsers[user]) {
+            registeredUsers[user] = false;
+            emit UserDeregistered(user);
+        }
+        emit UserBlacklistUpdated(user, blacklisted);
+    }
+
+    function setRequiredTier(UserAction action, uint8 tier) external onlyAdmin {
+        requiredTier[action] = tier;
+        emit RequiredTierUpdated(action, tier);
+    }
+
+    function setTierPriceCeiling(uint8 tier, address currency, uint256 ceiling) external onlyAdmin {
+        tierPriceCeiling[tier][currency] = ceiling;
+        emit TierPriceCeilingUpdated(tier, currency, ceiling);
+    }
+
+    // ========== AGENT FUNCTIONS ==========
+    // AGENT_ROLE is only held while the agent is APPROVED and not suspended. To list for owners or
+    // earn commission the agent also needs a current licence, see _isApprovedAgent.
+    function registerAgent(
+        address agentAddress, 
+        string memory name, 
+        string memory contactInfo
+    ) public onlyAdmin {
+        require(agentAddress != address(0), "Invalid agent address");
+        require(bytes(name).length > 0, "Name cannot be empty");
+        require(!agents[agentAddress].isActive, "Agent already registered");
+
+        agents[agentAddress] = Agent({
+            agentAddress: agentAddress,
+            name: name,
+            contactInfo: contactInfo,
+            isActive: true,
+            verificationStatus: VerificationStatus.PENDING,
+            licenseNumber: "",
+            licenseExpiry: 0,
+            isSuspended: false
+        });
+
+        registeredAgents.push(agentAddress);
+        emit AgentRegistered(agentAddress, name);
+    }
+
+    // In the verifyAgent function, 
+    function verifyAgent(address agentAddress, VerificationStatus status) public {
+        require(
+            hasRole(ADMIN_ROLE, msg.sender) || hasRole(GOVERNMENT_ROLE, msg.sender),
+            "Only admin or government can verify"  // Updated error message
+        );
+        require(agents[agentAddress].isActive, "Agent not registered");
+        agents[agentAddress].verificationStatus = status;
+        _syncAgentRole(agentAddress);
+        emit AgentVerified(agentAddress, status);
+    }
+
+    function setAgentLicense(
+        address agentAddress,
+        string memory licenseNumber,
+        uint256 expiresAt
+    ) public onlyAdminOrGovernment {
+        require(agents[agentAddress].isActive, "Agent not registered");
+        require(bytes(licenseNumber).length > 0, "License number required");
+        require(expiresAt > block.timestamp, "License already expired");
+
+        agents[agentAddress].licenseNumber = licenseNumber;
+        agents[agentAddress].licenseExpiry = expiresAt;
+        emit AgentLicenseUpdated(agentAddress, licenseNumber, expiresAt);
+    }
+
+    function suspendAgent(address agentAddress, string memory reason) public onlyAdminOrGovernment {
+        require(agents[agentAddress].isActive, "Agent not registered");
+        require(!agents[agentAddress].isSuspended, "Agent already suspended");
+
+        agents[agentAddress].isSuspended = true;
+        _syncAgentRole(agentAddress);
+        emit AgentSuspended(agentAddress, reason);
+    }
+
+    function reinstateAgent(address agentAddress) public onlyAdminOrGovernment {
+        require(agents[agentAddress].isActive, "Agent not registered");
+        require(agents[agentAddress].isSuspended, "Agent not suspended");
+
+        agents[agentAddress].isSuspended = false;
+        _syncAgentRole(agentAddress);
+        emit AgentReinstated(agentAddress);
+    }
+
+    // Removes the agent entirely; they can be registered again from scratch later
+    function deregisterAgent(address agentAddress) public onlyAdmin {
+        require(agents[agentAddress].isActive, "Agent not registered");
+
+        delete agents[agentAddress];
+        _syncAgentRole(agentAddress);
+
+        for (uint256 i = 0; i < registeredAgents.length; i++) {
+            if (registeredAgents[i] == agentAddress) {
+                registeredAgents[i] = registeredAgents[registeredAgents.length - 1];
+                registeredAgents.pop();
+                break;
+            }
+        }
+
+        emit AgentDeregistered(agentAddress);
+    }
+
+    modifier onlyAdminOrGovernment() {
+        require(
+            hasRole(ADMIN_ROLE, msg.sender) || hasRole(GOVERNMENT_ROLE, msg.sender),
+            "Not authorized"
+        );
+        _;
+    }
+
+    // ========== LISTING AGENT FUNCTIONS ==========
+    // Appoints an approved agent to handle the property's listings; replaces any earlier appointment.
+    // The agent has to accept before they can act or earn the commission.
+    function appointListingAgent(
+        uint256 propertyId,
+        address agent
+    ) public whenNotPaused whenNotFrozen(propertyId) onlyOwnerOfProperty(propertyId) propertyExists(propertyId) {
+        require(_isApprovedAgent(agent), "Agent not approved");
+        require(agent != msg.sender, "Cannot appoint yourself");
+
+        listingAgents[propertyId] = ListingAgent({
+            agent: agent,
+            accepted: false,
+            appointedAt: block.timestamp
+        });
+
+        emit ListingAgentAppointed(propertyId, msg.sender, agent);
+    }
+
+    function acceptListingAgentAppointment(uint256 propertyId) public whenNotPaused whenNotFrozen(propertyId) propertyExists(propertyId) {
+        ListingAgent storage appointment = listingAgents[propertyId];
+        require(appointment.agent == msg.sender, "Not the appointed agent");
+        require(!appointment.accepted, "Appointment already accepted");
+        require(_isApprovedAgent(msg.sender), "Agent not approved");
+
+        appointment.accepted = true;
+        emit ListingAgentAccepted(propertyId, msg.sender);
+    }
+
+    function revokeListingAgent(uint256 propertyId) public whenNotPaused whenNotFrozen(propertyId) onlyOwnerOfProperty(propertyId) propertyExists(propertyId) {
+        address agent = listingAgents[propertyId].agent;
+        require(agent != address(0), "No listing agent");
+
+        delete listingAgents[propertyId];
+        emit ListingAgentRevoked(propertyId, agent);
+    }
+
+    // ========== UTILITY FUNCTIONS ==========
+    // Grants AGENT_ROLE to active, approved, unsuspended agents and revokes it from everyone else
+    function _syncAgentRole(address agent) private {
+        Agent storage record = agents[agent];
+        if (record.isActive && !record.isSuspended && record.verificationStatus == VerificationStatus.APPROVED) {
+            _grantRole(AGENT_ROLE, agent);
+        } else {
+            _revokeRole(AGENT_ROLE, agent);
+        }
+    }
+}
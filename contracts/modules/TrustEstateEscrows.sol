@@ -0,0 +1,307 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+import "../TrustEstateBase.sol";
+
+// Installment plans, and disputes over the proceeds held back from sales and rentals.
+// A TrustEstate module: reached through TrustEstate's fallback, see TrustEstateBase.
+contract TrustEstateEscrows is TrustEstateBase {
+    constructor(address _nextModule) TrustEstateBase(_nextModule) {}
+
+    // ========== INSTALLMENT PLAN FUNCTIONS ==========
+    // Rent-to-own: the buyer pays a deposit and then installments, living in the property from the start.
+    // Each payment is fee-split like a sale; the seller's share is escrowed until the last installment
+    // conveys title, or until a default splits it between seller and buyer per defaultRefundPercent.
+
+    // Offers a plan with the current sale listing; relisting withdraws it
+    function offerInstallmentPlan(
+        uint256 propertyId,
+        InstallmentTerms memory terms
+    ) public whenNotPaused whenNotFrozen(propertyId) onlyOwnerOrListingAgent(propertyId) propertyExists(propertyId) {
+        require(propertyStatus[propertyId].isForSale, "Not for sale");
+        _validateInstallmentTerms(terms, propertyStatus[propertyId].salePrice);
+        require(terms.interval > 0, "Interval must be positive");
+        require(terms.defaultRefundPercent <= 10000, "Refund too high");
+
+        installmentTerms[propertyId] = terms;
+
+        emit InstallmentPlanOffered(
+            propertyId,
+            terms.deposit,
+            terms.installmentCount,
+            terms.interval,
+            terms.gracePeriod,
+            terms.defaultRefundPercent
+        );
+    }
+
+    // Pays the deposit (plus the flat processing fee) and takes the property off the market
+    function startInstallmentPlan(uint256 propertyId) public payable whenNotPaused whenNotFrozen(propertyId) nonReentrant propertyExists(propertyId) {
+        require(registeredUsers[msg.sender], "Not registered");
+        require(propertyStatus[propertyId].isForSale, "Not for sale");
+        require(!_isListingExpired(propertyId), "Listing expired");
+        require(installmentTerms[propertyId].installmentCount > 0, "No installment plan offered");
+        require(msg.sender != propertyStatus[propertyId].owner, "Cannot buy your own property");
+        require(!_isEncumbered(propertyId), "Property is encumbered");
+
+        uint256 price = propertyStatus[propertyId].salePrice;
+        address currency = saleCurrency[propertyId];
+        _checkUserTier(msg.sender, UserAction.PURCHASE, currency, price);
+
+        // The sale price may have been changed since the plan was offered
+        InstallmentTerms memory terms = installmentTerms[propertyId];
+        _validateInstallmentTerms(terms, price);
+        _installmentPlans[propertyId] = InstallmentPlan({
+            buyer: msg.sender,
+            currency: currency,
+            price: price,
+            installmentsPaid: 0,
+            startTime: block.timestamp,
+            escrowed: 0,
+            status: InstallmentStatus.ACTIVE,
+            terms: terms
+        });
+
+        propertyStatus[propertyId].isForSale = false;
+        listingExpiry[propertyId] = 0;
+        delete installmentTerms[propertyId];
+        _syncListingIndex(propertyId);
+
+        uint256[] storage offerIds = propertyOffers[propertyId];
+        for (uint256 i = 0; i < offerIds.length; i++) {
+            _refundOffer(offerIds[i]);
+        }
+
+        emit InstallmentPlanStarted(propertyId, msg.sender, price, terms.deposit);
+        _payIntoPlan(propertyId, terms.deposit);
+    }
+
+    // Pays the next installment; the last one conveys title to the buyer. If liens recorded during the
+    // plan can't be paid off from the seller's escrowed share, the plan is cancelled and that share refunded.
+    function payInstallment(uint256 propertyId) public payable whenNotPaused whenNotFrozen(propertyId) nonReentrant propertyExists(propertyId) {
+        InstallmentPlan storage plan = _installmentPlans[propertyId];
+        require(plan.status == InstallmentStatus.ACTIVE, "No active installment plan");
+        require(msg.sender == plan.buyer, "Not the plan buyer");
+
+        uint256 installment = plan.installmentsPaid + 1;
+        uint256 amount = _installmentAmount(plan, installment);
+        plan.installmentsPaid = installment;
+        emit InstallmentPaid(propertyId, msg.sender, installment, amount);
+
+        _payIntoPlan(propertyId, amount);
+
+        if (installment == plan.terms.installmentCount) {
+            if (!_liensCovered(propertyId, plan.currency, plan.escrowed)) {
+                plan.status = InstallmentStatus.CANCELLED;
+                _credit(plan.currency, plan.buyer, plan.escrowed);
+                emit InstallmentPlanCancelled(propertyId, plan.buyer, plan.escrowed);
+                return;
+            }
+
+            plan.status = InstallmentStatus.COMPLETED;
+            address seller = propertyStatus[propertyId].owner;
+            _credit(plan.currency, seller, _settleLiens(propertyId, plan.currency, plan.escrowed, false));
+            if (plan.currency == address(0)) {
+                lastSalePrice[propertyId] = plan.price;
+            }
+
+            _conveyProperty(propertyId, plan.buyer);
+            emit PropertySold(propertyId, plan.buyer, plan.price);
+            emit OwnershipTransferred(propertyId, seller, plan.buyer);
+        }
+    }
+
+    // Once an installment is more than the grace period overdue, the seller takes the property back.
+    // The buyer gets defaultRefundPercent of their escrowed payments, the seller keeps the rest.
+    function claimInstallmentDefault(
+        uint256 propertyId
+    ) public whenNotPaused whenNotFrozen(propertyId) nonReentrant onlyOwnerOrListingAgent(propertyId) propertyExists(propertyId) {
+        InstallmentPlan storage plan = _installmentPlans[propertyId];
+        require(plan.status == InstallmentStatus.ACTIVE, "No active installment plan");
+        (, uint256 dueAt) = getInstallmentDue(propertyId);
+        require(block.timestamp > dueAt + plan.terms.gracePeriod, "Installment not in default");
+
+        plan.status = InstallmentStatus.DEFAULTED;
+        uint256 refund = (plan.escrowed * plan.terms.defaultRefundPercent) / 10000;
+        _credit(plan.currency, plan.buyer, refund);
+        _credit(plan.currency, propertyStatus[propertyId].owner, plan.escrowed - refund);
+
+        emit InstallmentPlanDefaulted(propertyId, plan.buyer, refund, plan.escrowed - refund);
+    }
+
+    function getInstallmentPlan(uint256 propertyId) public view propertyExists(propertyId) returns (InstallmentPlan memory) {
+        return _installmentPlans[propertyId];
+    }
+
+    // Amount and due time of the next installment of the active plan
+    function getInstallmentDue(uint256 propertyId) public view propertyExists(propertyId) returns (
+        uint256 amount,
+        uint256 dueAt
+    ) {
+        InstallmentPlan storage plan = _installmentPlans[propertyId];
+        require(plan.status == InstallmentStatus.ACTIVE, "No active installment plan");
+
+        // Installment number n (1-based) falls due n intervals after the plan started
+        uint256 installment = plan.installmentsPaid + 1;
+        return (_installmentAmount(plan, installment), plan.startTime + installment * plan.terms.interval);
+    }
+
+    // Whoever has the right to live in the property: a tenant, an installment buyer, else the owner
+    function getOccupant(uint256 propertyId) public view propertyExists(propertyId) returns (address) {
+        if (rentalInfo[propertyId].isActive) {
+            return rentalInfo[propertyId].tenant;
+        }
+        if (_isInstallmentActive(propertyId)) {
+            return _installmentPlans[propertyId].buyer;
+        }
+        return propertyStatus[propertyId].owner;
+    }
+
+    // ========== DISPUTE FUNCTIONS ==========
+    // With a holdback period set, the seller's or landlord's share of a sale or first rent payment is
+    // escrowed (fees are paid out as usual and never refunded). The buyer or tenant can dispute it
+    // before it releases, and a government arbitrator rules on the dispute.
+
+    function setHoldbackPeriod(uint256 period) external onlyAdmin {
+        holdbackPeriod = period;
+        emit HoldbackPeriodUpdated(period);
+    }
+
+    // Anyone can release an undisputed escrow once the holdback is over; the payer can release it early
+    function releaseEscrow(uint256 escrowId) public whenNotPaused whenNotFrozen(escrows[escrowId].propertyId) nonReentrant {
+        Escrow storage escrow = escrows[escrowId];
+        require(escrow.status == EscrowStatus.HELD && escrow.payee != address(0), "Escrow not held");
+        require(block.timestamp >= escrow.releaseAt || msg.sender == escrow.payer, "Holdback period not over");
+
+        escrow.status = EscrowStatus.RELEASED;
+        _payOffHeldLiens(escrowId);
+        _payOut(escrow.payee, escrow.toShareholders, escrow.currency, escrow.amount);
+
+        emit EscrowReleased(escrowId, escrow.propertyId, escrow.amount);
+    }
+
+    function openDispute(uint256 escrowId, bytes32 evidenceHash) public whenNotPaused {
+        Escrow storage escrow = escrows[escrowId];
+        require(msg.sender == escrow.payer, "Not the buyer or tenant");
+        require(escrow.status == EscrowStatus.HELD, "Escrow not held");
+        require(block.timestamp < escrow.releaseAt, "Holdback period over");
+        require(evidenceHash != bytes32(0), "Evidence hash required");
+
+        escrow.status = EscrowStatus.DISPUTED;
+        escrow.evidenceHash = evidenceHash;
+
+        emit DisputeOpened(escrowId, escrow.propertyId, msg.sender, evidenceHash);
+    }
+
+    // RELEASE pays the payee in full, PARTIAL_REFUND returns refundAmount to the payer and the rest to
+    // the payee, REVERSAL refunds everything and undoes the sale or rental, reinstating any liens the
+    // sale would have paid off
+    function resolveDispute(
+        uint256 escrowId,
+        Ruling ruling,
+        uint256 refundAmount,
+        string memory reason
+    ) public whenNotFrozen(escrows[escrowId].propertyId) nonReentrant onlyGovernment {
+        Escrow storage escrow = escrows[escrowId];
+        require(escrow.status == EscrowStatus.DISPUTED, "No open dispute");
+
+        if (ruling == Ruling.RELEASE) {
+            refundAmount = 0;
+            _payOffHeldLiens(escrowId);
+        } else if (ruling == Ruling.PARTIAL_REFUND) {
+            require(refundAmount > 0 && refundAmount < escrow.amount, "Invalid refund");
+            _payOffHeldLiens(escrowId);
+        } else {
+            refundAmount = escrow.amount;
+            _reverseEscrowed(escrow);
+            _credit(escrow.currency, escrow.payer, _reinstateHeldLiens(escrowId));
+        }
+
+        escrow.status = EscrowStatus.RESOLVED;
+        _credit(escrow.currency, escrow.payer, refundAmount);
+        _payOut(escrow.payee, escrow.toShareholders, escrow.currency, escrow.amount - refundAmount);
+
+        emit DisputeResolved(escrowId, escrow.propertyId, ruling, refundAmount, escrow.amount - refundAmount, reason);
+    }
+
+    function getPropertyEscrows(uint256 propertyId) public view propertyExists(propertyId) returns (uint256[] memory) {
+        return propertyEscrows[propertyId];
+    }
+
+    // ========== UTILITY FUNCTIONS ==========
+    function _payOffHeldLiens(uint256 escrowId) private {
+        uint256[] storage lienIds = _escrowLiens[escrowId];
+        for (uint256 i = 0; i < lienIds.length; i++) {
+            _payOffLien(lienIds[i]);
+        }
+    }
+
+    // Puts the liens a reversed sale would have paid off back on the title; returns their total for the buyer
+    function _reinstateHeldLiens(uint256 escrowId) private returns (uint256 total) {
+        uint256[] storage lienIds = _escrowLiens[escrowId];
+        for (uint256 i = 0; i < lienIds.length; i++) {
+            Lien storage lien = liens[lienIds[i]];
+            lien.status = LienStatus.ACTIVE;
+            lien.closedAt = 0;
+            total += lien.amount;
+            emit LienReinstated(lienIds[i], lien.propertyId);
+        }
+    }
+
+    // Collects one installment-plan payment, splits the fees and escrows the seller's share
+    function _payIntoPlan(uint256 propertyId, uint256 amount) private {
+        InstallmentPlan storage plan = _installmentPlans[propertyId];
+        (, , , uint256 flatProcessingFee) = _feeBreakdown(amount);
+        uint256 excess = _collectPayment(plan.currency, amount, flatProcessingFee);
+
+        plan.escrowed += _creditFees(propertyId, propertyStatus[propertyId].owner, amount, flatProcessingFee, plan.currency);
+        _credit(address(0), msg.sender, excess);
+    }
+
+    // Undoes a disputed sale or rental: title goes back to the seller, or the tenancy ends with the deposit returned
+    function _reverseEscrowed(Escrow storage escrow) private {
+        uint256 propertyId = escrow.propertyId;
+
+        if (escrow.kind == EscrowKind.SALE) {
+            require(propertyStatus[propertyId].owner == escrow.payer, "Property no longer with buyer");
+            require(!rentalInfo[propertyId].isActive, "Property is currently rented");
+            require(fractions[propertyId].shareToken == address(0), "Property is fractionalized");
+            require(!_isInstallmentActive(propertyId), "Property is under installment plan");
+
+            _cancelAuction(propertyId);
+            propertyStatus[propertyId].isForRent = false;
+            _conveyProperty(propertyId, escrow.payee);
+            emit OwnershipTransferred(propertyId, escrow.payer, escrow.payee);
+            return;
+        }
+
+        RentalInfo storage rental = rentalInfo[propertyId];
+        require(rental.isActive && rental.tenant == escrow.payer, "Rental no longer active");
+
+        rental.isActive = false;
+        uint256 deposit = rental.depositHeld;
+        rental.depositHeld = 0;
+        _credit(rentCurrency[propertyId], rental.tenant, deposit);
+        _syncListingIndex(propertyId);
+
+        emit DepositSettled(propertyId, rental.tenant, 0, deposit);
+        emit RentalEnded(propertyId, rental.tenant);
+    }
+
+    // Every payment, the deposit included, has to be non-zero to be fee-split
+    function _validateInstallmentTerms(InstallmentTerms memory terms, uint256 price) private pure {
+        require(terms.deposit > 0, "Deposit must be positive");
+        require(terms.deposit < price, "Deposit must be below price");
+        require(terms.installmentCount > 0, "Installment count must be positive");
+        require(terms.installmentCount <= price - terms.deposit, "Too many installments");
+    }
+
+    function _installmentAmount(InstallmentPlan storage plan, uint256 installment) private view returns (uint256) {
+        uint256 financed = plan.price - plan.terms.deposit;
+        uint256 regular = financed / plan.terms.installmentCount;
+        if (installment == plan.terms.installmentCount) {
+            return financed - regular * (plan.terms.installmentCount - 1);
+        }
+        return regular;
+    }
+}
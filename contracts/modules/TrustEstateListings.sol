@@ -0,0 +1,463 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+import "../TrustEstateBase.sol";
+
+// Sale and rent listings, purchases, rent collection and deposits.
+// A TrustEstate module: reached through TrustEstate's fallback, see TrustEstateBase.
+contract TrustEstateListings is TrustEstateBase {
+    constructor(address _nextModule) TrustEstateBase(_nextModule) {}
+
+    // ========== SALES & RENTAL FUNCTIONS ==========
+    function listPropertyForSale(
+        uint256 propertyId, 
+        uint256 price
+    ) public {
+        listPropertyForSaleInToken(propertyId, price, address(0));
+    }
+
+    // Same as listPropertyForSale, priced in an allowlisted ERC-20 (address(0) = native MATIC)
+    function listPropertyForSaleInToken(
+        uint256 propertyId,
+        uint256 price,
+        address currency
+    ) public whenNotPaused whenNotFrozen(propertyId) onlyOwnerOrListingAgent(propertyId) propertyExists(propertyId) {
+        require(price > 0, "Price must be greater than 0");
+        require(currency == address(0) || allowedPaymentTokens[currency], "Payment token not allowed");
+        require(
+            propertyStatus[propertyId].verificationStatus == VerificationStatus.APPROVED,
+            "Property not approved"
+        );
+        require(!propertyStatus[propertyId].isForRent, "Property is listed for rent");
+        require(!rentalInfo[propertyId].isActive, "Property is currently rented");
+        require(fractions[propertyId].shareToken == address(0), "Property is fractionalized");
+        require(!_isAuctionActive(propertyId), "Property is at auction");
+        require(!_isInstallmentActive(propertyId), "Property is under installment plan");
+
+        propertyStatus[propertyId].isForSale = true;
+        propertyStatus[propertyId].salePrice = price;
+        saleCurrency[propertyId] = currency;
+        listingExpiry[propertyId] = 0;
+        delete installmentTerms[propertyId]; // Offered per listing
+        _syncListingIndex(propertyId);
+
+        emit PropertyListedForSale(propertyId, price);
+    }
+
+    function listPropertyForRent(
+        uint256 propertyId, 
+        uint256 price, 
+        uint256 duration
+    ) public {
+        listPropertyForRentInToken(propertyId, price, duration, address(0));
+    }
+
+    // Same as listPropertyForRent, priced in an allowlisted ERC-20 (address(0) = native MATIC)
+    function listPropertyForRentInToken(
+        uint256 propertyId,
+        uint256 price,
+        uint256 duration,
+        address currency
+    ) public {
+        // A single upfront payment for the whole duration, no deposit
+        listPropertyForRentWithTerms(propertyId, price, duration, currency, RentTerms({
+            paymentInterval: duration,
+            securityDeposit: 0,
+            gracePeriod: 0,
+            lateFeePercent: 0
+        }));
+    }
+
+    // Recurring lease: price is charged once per terms.paymentInterval over the duration
+    function listPropertyForRentWithTerms(
+        uint256 propertyId,
+        uint256 price,
+        uint256 duration,
+        address currency,
+        RentTerms memory terms
+    ) public whenNotPaused whenNotFrozen(propertyId) onlyOwnerOrListingAgent(propertyId) propertyExists(propertyId) {
+        require(currency == address(0) || allowedPaymentTokens[currency], "Payment token not allowed");
+        _validateRentTerms(price, duration, terms);
+        require(
+            propertyStatus[propertyId].verificationStatus == VerificationStatus.APPROVED,
+            "Property not approved"
+        );
+        require(!propertyStatus[propertyId].isForSale, "Property is listed for sale");
+        require(!rentalInfo[propertyId].isActive, "Property is currently rented");
+        require(!_isAuctionActive(propertyId), "Property is at auction");
+        require(!_isInstallmentActive(propertyId), "Property is under installment plan");
+
+        propertyStatus[propertyId].isForRent = true;
+        propertyStatus[propertyId].rentPrice = price;
+        rentCurrency[propertyId] = currency;
+        rentTerms[propertyId] = terms;
+        listingExpiry[propertyId] = 0;
+        rentalInfo[propertyId] = RentalInfo({
+            tenant: address(0),
+            startTime: 0,
+            duration: duration,
+            isActive: false,
+            periodsPaid: 0,
+            depositHeld: 0,
+            depositDeduction: 0,
+            blockedTimeAtStart: 0
+        });
+        _syncListingIndex(propertyId);
+
+        emit PropertyListedForRent(propertyId, price);
+    }
+
+    // Takes the property off both markets; an active rental carries on
+    function delistProperty(uint256 propertyId) public whenNotPaused whenNotFrozen(propertyId) onlyOwnerOrListingAgent(propertyId) propertyExists(propertyId) {
+        require(
+            propertyStatus[propertyId].isForSale || propertyStatus[propertyId].isForRent,
+            "Property is not listed"
+        );
+
+        propertyStatus[propertyId].isForSale = false;
+        propertyStatus[propertyId].isForRent = false;
+        listingExpiry[propertyId] = 0;
+        _syncListingIndex(propertyId);
+
+        // Offers lapse with the sale listing
+        uint256[] storage offerIds = propertyOffers[propertyId];
+        for (uint256 i = 0; i < offerIds.length; i++) {
+            _refundOffer(offerIds[i]);
+        }
+
+        emit PropertyDelisted(propertyId, msg.sender);
+    }
+
+    // Owner or listing agent any time; anyone once the listing has expired, to clear it off the market
+    function cancelSaleListing(uint256 propertyId) public whenNotPaused whenNotFrozen(propertyId) propertyExists(propertyId) {
+        require(propertyStatus[propertyId].isForSale, "Not for sale");
+        _requireListingCanceller(propertyId);
+
+        propertyStatus[propertyId].isForSale = false;
+        listingExpiry[propertyId] = 0;
+        _syncListingIndex(propertyId);
+
+        uint256[] storage offerIds = propertyOffers[propertyId];
+        for (uint256 i = 0; i < offerIds.length; i++) {
+            _refundOffer(offerIds[i]);
+        }
+
+        emit SaleListingCancelled(propertyId, msg.sender);
+    }
+
+    // Same rules as cancelSaleListing; an active rental carries on
+    function cancelRentListing(uint256 propertyId) public whenNotPaused whenNotFrozen(propertyId) propertyExists(propertyId) {
+        require(propertyStatus[propertyId].isForRent, "Not for rent");
+        _requireListingCanceller(propertyId);
+
+        propertyStatus[propertyId].isForRent = false;
+        listingExpiry[propertyId] = 0;
+        _syncListingIndex(propertyId);
+
+        emit RentListingCancelled(propertyId, msg.sender);
+    }
+
+    // Open offers keep their own amounts; the seller can still accept or counter them
+    function updateSalePrice(
+        uint256 propertyId,
+        uint256 price
+    ) public whenNotPaused whenNotFrozen(propertyId) onlyOwnerOrListingAgent(propertyId) propertyExists(propertyId) {
+        require(propertyStatus[propertyId].isForSale, "Not for sale");
+        require(price > 0, "Price must be greater than 0");
+
+        uint256 oldPrice = propertyStatus[propertyId].salePrice;
+        require(price != oldPrice, "No changes");
+        propertyStatus[propertyId].salePrice = price;
+
+        emit SalePriceUpdated(propertyId, oldPrice, price);
+    }
+
+    // Reprices an open rent listing in its current currency; not while a tenant is in
+    function updateRentTerms(
+        uint256 propertyId,
+        uint256 price,
+        uint256 duration,
+        RentTerms memory terms
+    ) public whenNotPaused whenNotFrozen(propertyId) onlyOwnerOrListingAgent(propertyId) propertyExists(propertyId) {
+        require(propertyStatus[propertyId].isForRent, "Not for rent");
+        require(!rentalInfo[propertyId].isActive, "Property is currently rented");
+        _validateRentTerms(price, duration, terms);
+
+        propertyStatus[propertyId].rentPrice = price;
+        rentTerms[propertyId] = terms;
+        rentalInfo[propertyId].duration = duration;
+
+        emit RentTermsUpdated(propertyId, price, duration, terms.paymentInterval);
+    }
+
+    // Sets when the open sale or rent listing lapses (0 = never); relisting clears it
+    function setListingExpiry(
+        uint256 propertyId,
+        uint256 expiresAt
+    ) public whenNotPaused whenNotFrozen(propertyId) onlyOwnerOrListingAgent(propertyId) propertyExists(propertyId) {
+        require(
+            propertyStatus[propertyId].isForSale || propertyStatus[propertyId].isForRent,
+            "Property is not listed"
+        );
+        require(expiresAt == 0 || expiresAt > block.timestamp, "Expiry must be in the future");
+
+        listingExpiry[propertyId] = expiresAt;
+        emit ListingExpiryUpdated(propertyId, expiresAt);
+    }
+
+    function purchaseProperty(
+        uint256 propertyId
+    ) public payable whenNotPaused whenNotFrozen(propertyId) nonReentrant propertyExists(propertyId) {
+        require(registeredUsers[msg.sender], "Not registered");
+        require(propertyStatus[propertyId].isForSale, "Not for sale");
+        require(!_isListingExpired(propertyId), "Listing expired");
+        require(msg.sender != propertyStatus[propertyId].owner, "Cannot buy your own property");
+
+        uint256 amount = propertyStatus[propertyId].salePrice; // Base price
+        address currency = saleCurrency[propertyId];
+        _checkUserTier(msg.sender, UserAction.PURCHASE, currency, amount);
+
+        // Only the flat fee matters here, the percentage cuts are split in _completeSale
+        (, , , uint256 flatProcessingFee) = _feeBreakdown(amount);
+
+        uint256 excess = _collectPayment(currency, amount, flatProcessingFee);
+
+        _completeSale(propertyId, msg.sender, amount, flatProcessingFee, currency);
+
+        // Refund any excess payment
+        _credit(address(0), msg.sender, excess);
+    }
+
+    function rentProperty(
+        uint256 propertyId
+    ) public payable whenNotPaused whenNotFrozen(propertyId) nonReentrant propertyExists(propertyId) {
+        require(registeredUsers[msg.sender], "Not registered");
+        require(propertyStatus[propertyId].isForRent, "Not for rent");
+        require(!_isListingExpired(propertyId), "Listing expired");
+        require(!rentalInfo[propertyId].isActive, "Property already rented");
+
+        address landlord = propertyStatus[propertyId].owner;
+        uint256 amount = propertyStatus[propertyId].rentPrice; // First period's rent
+        address currency = rentCurrency[propertyId];
+        _checkUserTier(msg.sender, UserAction.RENT, currency, amount);
+        uint256 deposit = rentTerms[propertyId].securityDeposit;
+
+        // Only the flat fee matters here, the percentage cuts are split in _creditProceeds
+        (, , , uint256 flatProcessingFee) = _feeBreakdown(amount);
+
+        // The security deposit is collected with the first period and stays in escrow
+        uint256 excess = _collectPayment(currency, amount + deposit, flatProcessingFee);
+
+        // Update rental info
+        rentalInfo[propertyId] = RentalInfo({
+            tenant: msg.sender,
+            startTime: block.timestamp,
+            duration: rentalInfo[propertyId].duration, // Keep original duration
+            isActive: true,
+            periodsPaid: 1,
+            depositHeld: deposit,
+            depositDeduction: 0,
+            blockedTimeAtStart: _rentBlockedTime(propertyId)
+        });
+        _syncListingIndex(propertyId);
+
+        // The escrow names today's landlord, so the rent stays theirs if the property is sold during the holdback
+        uint256 rentProceeds = _creditFees(propertyId, landlord, amount, flatProcessingFee, currency);
+        address shareToken = fractions[propertyId].shareToken;
+        _holdOrPayOut(
+            propertyId,
+            EscrowKind.RENT,
+            msg.sender,
+            shareToken != address(0) ? shareToken : landlord,
+            currency,
+            rentProceeds
+        );
+
+        // Refund any excess payment
+        _credit(address(0), msg.sender, excess);
+
+        emit PropertyRented(propertyId, msg.sender, amount);
+    }
+
+    function payRent(uint256 propertyId) public payable whenNotPaused whenNotFrozen(propertyId) nonReentrant propertyExists(propertyId) {
+        RentalInfo storage rental = rentalInfo[propertyId];
+        require(rental.isActive, "No active rental");
+        require(msg.sender == rental.tenant, "Not the tenant");
+        require(rental.periodsPaid < _rentPeriods(propertyId), "Rent fully paid");
+
+        address landlord = propertyStatus[propertyId].owner;
+        uint256 amount = propertyStatus[propertyId].rentPrice;
+        address currency = rentCurrency[propertyId];
+        uint256 period = rental.periodsPaid;
+        uint256 lateFee = _lateFee(propertyId, period);
+
+        (, , , uint256 flatProcessingFee) = _feeBreakdown(amount);
+        uint256 excess = _collectPayment(currency, amount + lateFee, flatProcessingFee);
+
+        rental.periodsPaid++;
+
+        _creditRent(propertyId, landlord, amount, flatProcessingFee, currency);
+        _creditLandlord(propertyId, currency, lateFee); // Late fees go to the landlord in full
+
+        // Refund any excess payment
+        _credit(address(0), msg.sender, excess);
+
+        emit RentPaid(propertyId, msg.sender, period, amount, lateFee);
+    }
+
+    // Landlord records what they intend to keep from the deposit (damage, cleaning...).
+    // A later claim replaces the earlier one; it is applied when the rental ends.
+    function claimDepositDeduction(
+        uint256 propertyId,
+        uint256 amount,
+        string memory reason
+    ) public whenNotPaused whenNotFrozen(propertyId) onlyOwnerOfProperty(propertyId) propertyExists(propertyId) {
+        RentalInfo storage rental = rentalInfo[propertyId];
+        require(rental.isActive, "No active rental");
+        require(amount <= rental.depositHeld, "Deduction exceeds deposit");
+
+        rental.depositDeduction = amount;
+        emit DepositDeductionClaimed(propertyId, amount, reason);
+    }
+
+    function endRental(uint256 propertyId) public whenNotPaused whenNotFrozen(propertyId) propertyExists(propertyId) {
+        require(
+            rentalInfo[propertyId].isActive,
+            "No active rental"
+        );
+        require(
+            msg.sender == propertyStatus[propertyId].owner || 
+            msg.sender == rentalInfo[propertyId].tenant,
+            "Not authorized"
+        );
+
+        // A tenant has to wait out the grace period so the landlord can lodge deposit claims first
+        uint256 endTime = rentalInfo[propertyId].startTime + rentalInfo[propertyId].duration;
+        if (msg.sender == rentalInfo[propertyId].tenant) {
+            endTime += rentTerms[propertyId].gracePeriod;
+        }
+        require(block.timestamp >= endTime, "Rental period not ended");
+
+        rentalInfo[propertyId].isActive = false;
+        _settleDeposit(propertyId);
+        _syncListingIndex(propertyId); // Back on the rental market if still listed
+
+        emit RentalEnded(propertyId, rentalInfo[propertyId].tenant);
+    }
+
+    // Returns how many due rent periods are unpaid and what they cost now, late fees included
+    function getRentArrears(uint256 propertyId) public view propertyExists(propertyId) returns (
+        uint256 periodsOverdue,
+        uint256 amountOverdue
+    ) {
+        RentalInfo storage rental = rentalInfo[propertyId];
+        if (!rental.isActive) {
+            return (0, 0);
+        }
+
+        uint256 interval = rentTerms[propertyId].paymentInterval;
+        uint256 periodsDue = (block.timestamp - rental.startTime - _rentDueDateShift(propertyId)) / interval + 1;
+        uint256 totalPeriods = _rentPeriods(propertyId);
+        if (periodsDue > totalPeriods) {
+            periodsDue = totalPeriods;
+        }
+
+        for (uint256 period = rental.periodsPaid; period < periodsDue; period++) {
+            periodsOverdue++;
+            amountOverdue += propertyStatus[propertyId].rentPrice + _lateFee(propertyId, period);
+        }
+    }
+
+    // ========== UTILITY FUNCTIONS ==========
+    // Rent goes to the landlord, or to the shareholders once the property is fractionalized
+    function _creditRent(
+        uint256 propertyId,
+        address landlord,
+        uint256 amount,
+        uint256 flatProcessingFee,
+        address currency
+    ) private {
+        _creditLandlord(propertyId, currency, _creditFees(propertyId, landlord, amount, flatProcessingFee, currency));
+    }
+
+    function _creditLandlord(uint256 propertyId, address currency, uint256 amount) private {
+        address shareToken = fractions[propertyId].shareToken;
+        if (shareToken == address(0) || amount == 0) {
+            _credit(currency, propertyStatus[propertyId].owner, amount);
+            return;
+        }
+        _distributeToShareholders(shareToken, currency, amount);
+    }
+
+    // Number of rent payments in the lease, rounding a partial last interval up
+    function _rentPeriods(uint256 propertyId) private view returns (uint256) {
+        uint256 interval = rentTerms[propertyId].paymentInterval;
+        return (rentalInfo[propertyId].duration + interval - 1) / interval;
+    }
+
+    // Total time payRent has been blocked on the property by a pause or a freeze. A pause during
+    // a freeze counts twice, erring on the tenant's side.
+    function _rentBlockedTime(uint256 propertyId) private view returns (uint256) {
+        uint256 pausedTime = _totalPausedTime + (paused() ? block.timestamp - _pausedAt : 0);
+        return pausedTime + _totalFrozenTime[propertyId] + _freezeDuration(_freezes[propertyId]);
+    }
+
+    // Due dates move back by the time the tenant could not pay since the lease began. Capped at the
+    // lease's age, which the double-counted overlap of a pause and a freeze could otherwise exceed.
+    function _rentDueDateShift(uint256 propertyId) private view returns (uint256) {
+        uint256 shift = _rentBlockedTime(propertyId) - rentalInfo[propertyId].blockedTimeAtStart;
+        uint256 leaseAge = block.timestamp - rentalInfo[propertyId].startTime;
+        return shift < leaseAge ? shift : leaseAge;
+    }
+
+    function _lateFee(uint256 propertyId, uint256 period) private view returns (uint256) {
+        RentTerms storage terms = rentTerms[propertyId];
+        uint256 dueDate = rentalInfo[propertyId].startTime + period * terms.paymentInterval + _rentDueDateShift(propertyId);
+        if (block.timestamp <= dueDate + terms.gracePeriod) {
+            return 0;
+        }
+        return (propertyStatus[propertyId].rentPrice * terms.lateFeePercent) / 10000;
+    }
+
+    // Unpaid rent and the landlord's claim come out of the deposit, the tenant gets the rest back.
+    // Rent recovered this way goes straight to the landlord without the fee split.
+    function _settleDeposit(uint256 propertyId) private {
+        RentalInfo storage rental = rentalInfo[propertyId];
+        uint256 deposit = rental.depositHeld;
+        if (deposit == 0) {
+            return;
+        }
+
+        uint256 unpaidRent = (_rentPeriods(propertyId) - rental.periodsPaid) * propertyStatus[propertyId].rentPrice;
+        uint256 toLandlord = unpaidRent + rental.depositDeduction;
+        if (toLandlord > deposit) {
+            toLandlord = deposit;
+        }
+
+        rental.depositHeld = 0;
+        address currency = rentCurrency[propertyId];
+        _creditLandlord(propertyId, currency, toLandlord);
+        _credit(currency, rental.tenant, deposit - toLandlord);
+
+        emit DepositSettled(propertyId, rental.tenant, toLandlord, deposit - toLandlord);
+    }
+
+    function _validateRentTerms(uint256 price, uint256 duration, RentTerms memory terms) private pure {
+        require(price > 0, "Price must be greater than 0");
+        require(duration > 0, "Duration must be greater than 0");
+        require(
+            terms.paymentInterval > 0 && terms.paymentInterval <= duration,
+            "Invalid payment interval"
+        );
+        require(terms.lateFeePercent <= 10000, "Late fee too high"); // Max 100% of one period
+    }
+
+    function _requireListingCanceller(uint256 propertyId) private view {
+        require(
+            msg.sender == propertyStatus[propertyId].owner ||
+                _isActingListingAgent(propertyId, msg.sender) ||
+                _isListingExpired(propertyId),
+            "Not the owner"
+        );
+    }
+}
@@ -0,0 +1,312 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+import "../TrustEstateBase.sol";
+
+// Offers and counter-offers on sale listings, and English and Dutch auctions.
+// A TrustEstate module: reached through TrustEstate's fallback, see TrustEstateBase.
+contract TrustEstateOffers is TrustEstateBase {
+    constructor(address _nextModule) TrustEstateBase(_nextModule) {}
+
+    // ========== OFFER FUNCTIONS ==========
+    function makeOffer(
+        uint256 propertyId,
+        uint256 expiry
+    ) public payable whenNotPaused whenNotFrozen(propertyId) nonReentrant propertyExists(propertyId) returns (uint256) {
+        require(registeredUsers[msg.sender], "Not registered");
+        require(propertyStatus[propertyId].isForSale, "Not for sale");
+        require(!_isListingExpired(propertyId), "Listing expired");
+        require(saleCurrency[propertyId] == address(0), "Offers only in native currency");
+        require(msg.sender != propertyStatus[propertyId].owner, "Cannot buy your own property");
+        require(expiry > block.timestamp, "Expiry must be in the future");
+
+        // The buyer escrows the offered price plus the flat processing fee, same as purchaseProperty
+        uint256 flatProcessingFee = feeConfig.feesEnabled ? feeConfig.processingFeeFlat : 0;
+        require(msg.value > flatProcessingFee, "Offer must exceed processing fee");
+        uint256 amount = msg.value - flatProcessingFee;
+        _feeBreakdown(amount); // Reverts if the percentage cuts would exceed the offer
+        _checkUserTier(msg.sender, UserAction.PURCHASE, address(0), amount);
+
+        uint256 offerId = _offerIds++;
+        offers[offerId] = Offer({
+            propertyId: propertyId,
+            buyer: msg.sender,
+            amount: amount,
+            processingFee: flatProcessingFee,
+            counterPrice: 0,
+            expiry: expiry,
+            status: OfferStatus.ACTIVE
+        });
+        propertyOffers[propertyId].push(offerId);
+
+        emit OfferMade(offerId, propertyId, msg.sender, amount, expiry);
+        return offerId;
+    }
+
+    function counterOffer(
+        uint256 offerId,
+        uint256 counterPrice
+    ) public whenNotPaused whenNotFrozen(offers[offerId].propertyId) onlyOwnerOfProperty(offers[offerId].propertyId) {
+        Offer storage offer = offers[offerId];
+        require(_isOfferOpen(offer), "Offer not open");
+        require(block.timestamp <= offer.expiry, "Offer expired");
+        require(counterPrice > 0, "Price must be greater than 0");
+        require(counterPrice != offer.amount, "Counter must differ from offer");
+        _feeBreakdown(counterPrice); // Reverts if the percentage cuts would exceed the counter
+
+        offer.counterPrice = counterPrice;
+        offer.status = OfferStatus.COUNTERED;
+
+        emit OfferCountered(offerId, offer.propertyId, counterPrice);
+    }
+
+    function acceptOffer(
+        uint256 offerId
+    ) public whenNotPaused whenNotFrozen(offers[offerId].propertyId) nonReentrant onlyOwnerOfProperty(offers[offerId].propertyId) {
+        Offer storage offer = offers[offerId];
+        require(_isOfferOpen(offer), "Offer not open");
+        require(block.timestamp <= offer.expiry, "Offer expired");
+        require(propertyStatus[offer.propertyId].isForSale, "Not for sale");
+        require(!_isListingExpired(offer.propertyId), "Listing expired");
+        require(saleCurrency[offer.propertyId] == address(0), "Offers only in native currency");
+        _checkUserTier(offer.buyer, UserAction.PURCHASE, address(0), offer.amount); // The buyer may have been restricted since
+
+        offer.status = OfferStatus.ACCEPTED;
+        emit OfferAccepted(offerId, offer.propertyId, offer.amount);
+
+        _completeSale(offer.propertyId, offer.buyer, offer.amount, offer.processingFee, address(0));
+    }
+
+    // Buyer accepts the seller's counter, topping up the escrow if the counter is higher
+    function acceptCounterOffer(uint256 offerId) public payable whenNotPaused whenNotFrozen(offers[offerId].propertyId) nonReentrant {
+        Offer storage offer = offers[offerId];
+        require(offer.buyer == msg.sender, "Not the offer maker");
+        require(offer.status == OfferStatus.COUNTERED, "Offer not countered");
+        require(block.timestamp <= offer.expiry, "Offer expired");
+        require(propertyStatus[offer.propertyId].isForSale, "Not for sale");
+        require(!_isListingExpired(offer.propertyId), "Listing expired");
+        require(saleCurrency[offer.propertyId] == address(0), "Offers only in native currency");
+
+        uint256 escrowed = offer.amount + msg.value;
+        require(escrowed >= offer.counterPrice, "Insufficient payment for counter");
+        _checkUserTier(msg.sender, UserAction.PURCHASE, address(0), offer.counterPrice);
+
+        offer.amount = offer.counterPrice;
+        offer.status = OfferStatus.ACCEPTED;
+        emit OfferAccepted(offerId, offer.propertyId, offer.counterPrice);
+
+        _completeSale(offer.propertyId, offer.buyer, offer.counterPrice, offer.processingFee, address(0));
+
+        // Return whatever the buyer escrowed above the counter price
+        _credit(address(0), msg.sender, escrowed - offer.counterPrice);
+    }
+
+    function withdrawOffer(uint256 offerId) public whenNotPaused nonReentrant {
+        Offer storage offer = offers[offerId];
+        require(offer.buyer == msg.sender, "Not the offer maker");
+        require(_isOfferOpen(offer), "Offer not open");
+
+        offer.status = OfferStatus.WITHDRAWN;
+        _credit(address(0), msg.sender, offer.amount + offer.processingFee);
+
+        emit OfferWithdrawn(offerId, offer.propertyId);
+    }
+
+    // Anyone can trigger refunds for offers that have passed their expiry
+    function refundExpiredOffers(uint256 propertyId) public whenNotPaused nonReentrant propertyExists(propertyId) {
+        uint256[] storage offerIds = propertyOffers[propertyId];
+        for (uint256 i = 0; i < offerIds.length; i++) {
+            if (block.timestamp > offers[offerIds[i]].expiry) {
+                _refundOffer(offerIds[i]);
+            }
+        }
+    }
+
+    function getPropertyOffers(uint256 propertyId) public view propertyExists(propertyId) returns (uint256[] memory) {
+        return propertyOffers[propertyId];
+    }
+
+    // ========== AUCTION FUNCTIONS ==========
+    // Auctions run in native MATIC like offers and settle through _completeSale, same as purchaseProperty.
+    // While one is running the property can't be listed, fractionalized or transferred.
+
+    // Bids below the reserve are accepted, but if the reserve isn't met by the end nothing is sold
+    function startEnglishAuction(
+        uint256 propertyId,
+        uint256 reservePrice,
+        uint256 minIncrement,
+        uint256 endTime,
+        uint256 extensionWindow
+    ) public whenNotPaused whenNotFrozen(propertyId) onlyOwnerOrListingAgent(propertyId) propertyExists(propertyId) {
+        require(reservePrice > 0, "Price must be greater than 0");
+        require(minIncrement > 0, "Increment must be greater than 0");
+
+        _startAuction(propertyId, Auction({
+            auctionType: AuctionType.ENGLISH,
+            status: AuctionStatus.NONE,
+            startPrice: 0,
+            reservePrice: reservePrice,
+            minIncrement: minIncrement,
+            extensionWindow: extensionWindow,
+            startTime: 0,
+            endTime: endTime,
+            highestBidder: address(0),
+            highestBid: 0,
+            processingFee: 0
+        }));
+    }
+
+    // The price falls linearly from startPrice to floorPrice at endTime; the first buyer takes it
+    function startDutchAuction(
+        uint256 propertyId,
+        uint256 startPrice,
+        uint256 floorPrice,
+        uint256 endTime
+    ) public whenNotPaused whenNotFrozen(propertyId) onlyOwnerOrListingAgent(propertyId) propertyExists(propertyId) {
+        require(floorPrice > 0, "Price must be greater than 0");
+        require(startPrice > floorPrice, "Start price must exceed floor");
+
+        _startAuction(propertyId, Auction({
+            auctionType: AuctionType.DUTCH,
+            status: AuctionStatus.NONE,
+            startPrice: startPrice,
+            reservePrice: floorPrice,
+            minIncrement: 0,
+            extensionWindow: 0,
+            startTime: 0,
+            endTime: endTime,
+            highestBidder: address(0),
+            highestBid: 0,
+            processingFee: 0
+        }));
+    }
+
+    // Escrows bid + flat processing fee; the outbid bidder's escrow is credited back for withdraw()
+    function placeBid(uint256 propertyId) public payable whenNotPaused whenNotFrozen(propertyId) nonReentrant propertyExists(propertyId) {
+        Auction storage auction = auctions[propertyId];
+        require(registeredUsers[msg.sender], "Not registered");
+        require(_isAuctionActive(propertyId) && auction.auctionType == AuctionType.ENGLISH, "No English auction");
+        require(block.timestamp < auction.endTime, "Auction ended");
+        require(msg.sender != propertyStatus[propertyId].owner, "Cannot buy your own property");
+
+        uint256 flatProcessingFee = feeConfig.feesEnabled ? feeConfig.processingFeeFlat : 0;
+        require(msg.value > flatProcessingFee, "Bid must exceed processing fee");
+        uint256 amount = msg.value - flatProcessingFee;
+        // Later bids must beat the top one by the increment, so the earlier of two equal bids wins
+        require(
+            auction.highestBidder == address(0) || amount >= auction.highestBid + auction.minIncrement,
+            "Bid too low"
+        );
+        _checkUserTier(msg.sender, UserAction.PURCHASE, address(0), amount);
+
+        _credit(address(0), auction.highestBidder, auction.highestBid + auction.processingFee);
+        auction.highestBidder = msg.sender;
+        auction.highestBid = amount;
+        auction.processingFee = flatProcessingFee;
+
+        // Anti-sniping: a late bid keeps the auction open for at least another extension window
+        if (auction.endTime - block.timestamp < auction.extensionWindow) {
+            auction.endTime = block.timestamp + auction.extensionWindow;
+        }
+
+        emit AuctionBid(propertyId, msg.sender, amount, auction.endTime);
+    }
+
+    // Buys a Dutch auction at its current price plus the flat processing fee
+    function buyAtAuctionPrice(uint256 propertyId) public payable whenNotPaused whenNotFrozen(propertyId) nonReentrant propertyExists(propertyId) {
+        Auction storage auction = auctions[propertyId];
+        require(registeredUsers[msg.sender], "Not registered");
+        require(_isAuctionActive(propertyId) && auction.auctionType == AuctionType.DUTCH, "No Dutch auction");
+        require(block.timestamp < auction.endTime, "Auction ended");
+        require(msg.sender != propertyStatus[propertyId].owner, "Cannot buy your own property");
+
+        uint256 price = getAuctionPrice(propertyId);
+        _checkUserTier(msg.sender, UserAction.PURCHASE, address(0), price);
+        (, , , uint256 flatProcessingFee) = _feeBreakdown(price);
+        uint256 excess = _collectPayment(address(0), price, flatProcessingFee);
+
+        auction.status = AuctionStatus.SETTLED;
+        auction.highestBidder = msg.sender;
+        auction.highestBid = price;
+        emit AuctionSettled(propertyId, msg.sender, price);
+
+        _completeSale(propertyId, msg.sender, price, flatProcessingFee, address(0));
+        _credit(address(0), msg.sender, excess);
+    }
+
+    // Anyone can close an auction once it has ended. The top English bid wins if it meets the reserve
+    // and covers any liens recorded since the start, otherwise it is refunded; an unsold Dutch auction
+    // simply closes.
+    function settleAuction(uint256 propertyId) public whenNotPaused whenNotFrozen(propertyId) nonReentrant propertyExists(propertyId) {
+        Auction storage auction = auctions[propertyId];
+        require(_isAuctionActive(propertyId), "No active auction");
+        require(block.timestamp >= auction.endTime, "Auction not ended");
+
+        auction.status = AuctionStatus.SETTLED;
+        if (
+            auction.highestBidder != address(0) &&
+            auction.highestBid >= auction.reservePrice &&
+            _liensCovered(propertyId, address(0), _proceedsAfterFees(auction.highestBid))
+        ) {
+            emit AuctionSettled(propertyId, auction.highestBidder, auction.highestBid);
+            _completeSale(propertyId, auction.highestBidder, auction.highestBid, auction.processingFee, address(0));
+        } else {
+            _credit(address(0), auction.highestBidder, auction.highestBid + auction.processingFee);
+            emit AuctionSettled(propertyId, address(0), 0);
+        }
+    }
+
+    // English auctions can only be cancelled before the first bid; Dutch ones any time before a sale
+    function cancelAuction(uint256 propertyId) public whenNotPaused whenNotFrozen(propertyId) onlyOwnerOrListingAgent(propertyId) propertyExists(propertyId) {
+        require(_isAuctionActive(propertyId), "No active auction");
+        require(auctions[propertyId].highestBidder == address(0), "Auction has bids");
+
+        auctions[propertyId].status = AuctionStatus.CANCELLED;
+        emit AuctionCancelled(propertyId);
+    }
+
+    function getAuctionPrice(uint256 propertyId) public view propertyExists(propertyId) returns (uint256) {
+        Auction storage auction = auctions[propertyId];
+        require(
+            auction.status != AuctionStatus.NONE && auction.auctionType == AuctionType.DUTCH,
+            "No Dutch auction"
+        );
+        if (block.timestamp >= auction.endTime) {
+            return auction.reservePrice;
+        }
+
+        uint256 elapsed = block.timestamp - auction.startTime;
+        uint256 duration = auction.endTime - auction.startTime;
+        return auction.startPrice - (auction.startPrice - auction.reservePrice) * elapsed / duration;
+    }
+
+    // ========== UTILITY FUNCTIONS ==========
+    // What _creditFees leaves the payee of amount
+    function _proceedsAfterFees(uint256 amount) private view returns (uint256) {
+        (uint256 agencyCut, uint256 governmentCut, uint256 agentCommissionCut, ) = _feeBreakdown(amount);
+        return amount - (agencyCut + governmentCut + agentCommissionCut);
+    }
+
+    function _startAuction(uint256 propertyId, Auction memory auction) private {
+        require(auction.endTime > block.timestamp, "End time must be in the future");
+        require(
+            propertyStatus[propertyId].verificationStatus == VerificationStatus.APPROVED,
+            "Property not approved"
+        );
+        require(!rentalInfo[propertyId].isActive, "Property is currently rented");
+        require(fractions[propertyId].shareToken == address(0), "Property is fractionalized");
+        require(
+            !propertyStatus[propertyId].isForSale && !propertyStatus[propertyId].isForRent,
+            "Property is listed"
+        );
+        require(!_isAuctionActive(propertyId), "Property is at auction");
+        require(!_isInstallmentActive(propertyId), "Property is under installment plan");
+        require(!_isEncumbered(propertyId), "Property is encumbered");
+
+        auction.status = AuctionStatus.ACTIVE;
+        auction.startTime = block.timestamp;
+        auctions[propertyId] = auction;
+
+        emit AuctionStarted(propertyId, auction.auctionType, auction.startPrice, auction.reservePrice, auction.endTime);
+    }
+}
@@ -0,0 +1,269 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+import "../TrustEstateBase.sol";
+
+// Property, document and agent queries.
+// A TrustEstate module: reached through TrustEstate's fallback, see TrustEstateBase.
+contract TrustEstateQueries is TrustEstateBase {
+    using EnumerableSet for EnumerableSet.UintSet;
+
+    constructor(address _nextModule) TrustEstateBase(_nextModule) {}
+
+    // ========== VIEW FUNCTIONS ==========
+    function viewProperty(uint256 propertyId) public whenNotPaused propertyExists(propertyId) {
+        require(registeredUsers[msg.sender], "Not registered");
+        propertyViewers[propertyId].push(msg.sender);
+        emit PropertyViewed(propertyId, msg.sender);
+    }
+
+    // New view function to get all viewers for a property
+    function getPropertyViewers(uint256 _propertyId) public view propertyExists(_propertyId) returns (address[] memory) {
+        return propertyViewers[_propertyId];
+    }
+
+    // attestedDocuments holds the latest version of each document type, where government has attested it
+    function verifyPropertyAsBuyer(
+        uint256 propertyId
+    ) public view propertyExists(propertyId) returns (
+        bool isVerified,
+        VerificationStatus status,
+        address verifiedBy,
+        string memory surveyReport,
+        PropertyDocument[] memory attestedDocuments,
+        Lien[] memory activeLiens
+    ) {
+        return (
+            propertyStatus[propertyId].verificationStatus == VerificationStatus.APPROVED,
+            propertyStatus[propertyId].verificationStatus,
+            propertyStatus[propertyId].verifiedBy,
+            propertyInfo[propertyId].surveyReportHash,
+            _attestedDocuments(propertyId),
+            _activeLiens(propertyId)
+        );
+    }
+
+    function getDocumentVersionCount(
+        uint256 propertyId,
+        DocumentType docType
+    ) public view propertyExists(propertyId) returns (uint256) {
+        return _documents[propertyId][docType].length;
+    }
+
+    function getDocument(
+        uint256 propertyId,
+        DocumentType docType,
+        uint256 version
+    ) public view propertyExists(propertyId) returns (PropertyDocument memory) {
+        require(version < _documents[propertyId][docType].length, "Document does not exist");
+        return _documents[propertyId][docType][version];
+    }
+
+    function getLatestDocument(
+        uint256 propertyId,
+        DocumentType docType
+    ) public view propertyExists(propertyId) returns (PropertyDocument memory) {
+        uint256 count = _documents[propertyId][docType].length;
+        require(count > 0, "Document does not exist");
+        return _documents[propertyId][docType][count - 1];
+    }
+
+    // Unpaginated; prefer getPropertiesByStatus on large registries
+    function getApprovedProperties() public view returns (uint256[] memory) {
+        return _propertiesByStatus[VerificationStatus.APPROVED].values();
+    }
+
+    function getPropertiesByStatus(
+        VerificationStatus status,
+        uint256 offset,
+        uint256 limit
+    ) public view returns (uint256[] memory ids, uint256 total) {
+        return _page(_propertiesByStatus[status], offset, limit);
+    }
+
+    function getPropertiesForSale(uint256 offset, uint256 limit) public view returns (uint256[] memory ids, uint256 total) {
+        return _page(_propertiesForSale, offset, limit);
+    }
+
+    // Listed for rent and not currently let
+    function getPropertiesForRent(uint256 offset, uint256 limit) public view returns (uint256[] memory ids, uint256 total) {
+        return _page(_propertiesForRent, offset, limit);
+    }
+
+    // Walks the smallest index set the filter allows. offset/limit count entries of that set rather
+    // than matches, so every call does bounded work and a page can hold fewer than limit ids.
+    // Keep calling with offset = nextOffset until nextOffset == total.
+    function queryProperties(
+        PropertyFilter memory filter,
+        uint256 offset,
+        uint256 limit
+    ) public view returns (uint256[] memory ids, uint256 nextOffset, uint256 total) {
+        (EnumerableSet.UintSet storage candidates, bool scanAll) = _candidateSet(filter);
+        total = scanAll ? _propertyIds : candidates.length();
+        if (offset > total) {
+            offset = total;
+        }
+        nextOffset = limit > total - offset ? total : offset + limit;
+
+        uint256[] memory matches = new uint256[](nextOffset - offset);
+        uint256 count = 0;
+        for (uint256 i = offset; i < nextOffset; i++) {
+            uint256 propertyId = scanAll ? i : candidates.at(i);
+            if (_matchesFilter(propertyId, filter)) {
+                matches[count] = propertyId;
+                count++;
+            }
+        }
+
+        ids = new uint256[](count);
+        for (uint256 j = 0; j < count; j++) {
+            ids[j] = matches[j];
+        }
+    }
+
+    function getAgents() public view returns (
+        address[] memory,
+        string[] memory,
+        VerificationStatus[] memory
+    ) {
+        uint256 count = registeredAgents.length;
+        address[] memory agentAddresses = new address[](count);
+        string[] memory names = new string[](count);
+        VerificationStatus[] memory statuses = new VerificationStatus[](count);
+
+        for (uint256 i = 0; i < count; i++) {
+            agentAddresses[i] = registeredAgents[i];
+            names[i] = agents[registeredAgents[i]].name;
+            statuses[i] = agents[registeredAgents[i]].verificationStatus;
+        }
+
+        return (agentAddresses, names, statuses);
+    }
+
+    function getOwnerProperties(address owner) public view returns (uint256[] memory) {
+        return ownerProperties[owner];
+    }
+
+    // Revision 0 is the registered details; the last revision is the current propertyInfo
+    function getPropertyRevisionCount(uint256 propertyId) public view propertyExists(propertyId) returns (uint256) {
+        return _propertyRevisions[propertyId].length + 1;
+    }
+
+    function getPropertyRevision(
+        uint256 propertyId,
+        uint256 revision
+    ) public view propertyExists(propertyId) returns (PropertyInfo memory) {
+        uint256 superseded = _propertyRevisions[propertyId].length;
+        require(revision <= superseded, "Revision does not exist");
+        return revision == superseded ? propertyInfo[propertyId] : _propertyRevisions[propertyId][revision];
+    }
+
+    // ========== UTILITY FUNCTIONS ==========
+    function _attestedDocuments(uint256 propertyId) private view returns (PropertyDocument[] memory) {
+        uint256 typeCount = uint256(type(DocumentType).max) + 1;
+        PropertyDocument[] memory latest = new PropertyDocument[](typeCount);
+        uint256 count = 0;
+
+        for (uint256 i = 0; i < typeCount; i++) {
+            PropertyDocument[] storage versions = _documents[propertyId][DocumentType(i)];
+            if (versions.length > 0 && versions[versions.length - 1].attested) {
+                latest[count] = versions[versions.length - 1];
+                count++;
+            }
+        }
+
+        PropertyDocument[] memory attested = new PropertyDocument[](count);
+        for (uint256 j = 0; j < count; j++) {
+            attested[j] = latest[j];
+        }
+        return attested;
+    }
+
+    function _page(
+        EnumerableSet.UintSet storage set,
+        uint256 offset,
+        uint256 limit
+    ) private view returns (uint256[] memory ids, uint256 total) {
+        total = set.length();
+        if (offset >= total) {
+            return (new uint256[](0), total);
+        }
+        uint256 end = limit > total - offset ? total : offset + limit;
+
+        ids = new uint256[](end - offset);
+        for (uint256 i = offset; i < end; i++) {
+            ids[i - offset] = set.at(i);
+        }
+    }
+
+    // Picks the smallest index set covering the filter; scanAll means no set narrows it and every ID is walked
+    function _candidateSet(PropertyFilter memory filter) private view returns (
+        EnumerableSet.UintSet storage candidates,
+        bool scanAll
+    ) {
+        candidates = _propertiesForSale; // Placeholder, unused while scanAll is set
+        scanAll = true;
+        uint256 size = _propertyIds;
+
+        if (filter.byStatus && _propertiesByStatus[filter.status].length() <= size) {
+            candidates = _propertiesByStatus[filter.status];
+            size = candidates.length();
+            scanAll = false;
+        }
+        if (filter.listing == ListingFilter.FOR_SALE && _propertiesForSale.length() <= size) {
+            candidates = _propertiesForSale;
+            size = candidates.length();
+            scanAll = false;
+        }
+        if (filter.listing == ListingFilter.FOR_RENT && _propertiesForRent.length() <= size) {
+            candidates = _propertiesForRent;
+            size = candidates.length();
+            scanAll = false;
+        }
+        if (bytes(filter.propertyType).length > 0) {
+            EnumerableSet.UintSet storage typed = _propertiesByType[keccak256(bytes(filter.propertyType))];
+            if (typed.length() <= size) {
+                candidates = typed;
+                scanAll = false;
+            }
+        }
+    }
+
+    function _matchesFilter(uint256 propertyId, PropertyFilter memory filter) private view returns (bool) {
+        PropertyStatus storage status = propertyStatus[propertyId];
+        if (filter.byStatus && status.verificationStatus != filter.status) {
+            return false;
+        }
+
+        bool forSale = _propertiesForSale.contains(propertyId);
+        bool forRent = _propertiesForRent.contains(propertyId);
+        if (filter.listing == ListingFilter.FOR_SALE) {
+            if (!forSale || !_inPriceRange(status.salePrice, filter)) {
+                return false;
+            }
+        } else if (filter.listing == ListingFilter.FOR_RENT) {
+            if (!forRent || !_inPriceRange(status.rentPrice, filter)) {
+                return false;
+            }
+        } else if (filter.minPrice > 0 || filter.maxPrice > 0) {
+            // Without a listing filter either listed price may match
+            bool saleMatches = forSale && _inPriceRange(status.salePrice, filter);
+            bool rentMatches = forRent && _inPriceRange(status.rentPrice, filter);
+            if (!saleMatches && !rentMatches) {
+                return false;
+            }
+        }
+
+        if (
+            bytes(filter.propertyType).length > 0 &&
+            keccak256(bytes(propertyInfo[propertyId].propertyType)) != keccak256(bytes(filter.propertyType))
+        ) {
+            return false;
+        }
+        return true;
+    }
+
+    function _inPriceRange(uint256 price, PropertyFilter memory filter) private pure returns (bool) {
+        return price >= filter.minPrice && (filter.maxPrice == 0 || price <= filter.maxPrice);
+    }
+}
@@ -0,0 +1,459 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+import "../TrustEstateBase.sol";
+
+// Property registration, verification reviews, documents and liens.
+// A TrustEstate module: reached through TrustEstate's fallback, see TrustEstateBase.
+contract TrustEstateRegistry is TrustEstateBase {
+    using EnumerableSet for EnumerableSet.UintSet;
+
+    constructor(address _nextModule) TrustEstateBase(_nextModule) {}
+
+    // ========== PROPERTY FUNCTIONS ==========
+    function registerProperty(
+        string memory _title,
+        string memory _location,
+        string memory _propertyType,
+        uint256 _size,
+        uint256 _bedrooms,
+        uint256 _bathrooms,
+        string memory _features,
+        string memory _description,
+        string memory _documentHash
+    ) public whenNotPaused returns (uint256) {
+        require(registeredUsers[msg.sender], "Not a registered user");
+        _checkUserTier(msg.sender, UserAction.REGISTER_PROPERTY, address(0), 0);
+        require(bytes(_title).length > 0, "Title cannot be empty");
+        require(_size > 0, "Size must be positive");
+        require(bytes(_documentHash).length > 0, "Document hash required");
+
+        uint256 newId = _propertyIds++;
+
+        propertyInfo[newId] = PropertyInfo({
+            title: _title,
+            location: _location,
+            propertyType: _propertyType,
+            size: _size,
+            bedrooms: _bedrooms,
+            bathrooms: _bathrooms,
+            features: _features,
+            description: _description,
+            documentHash: _documentHash,
+            surveyReportHash: ""
+        });
+
+        propertyStatus[newId] = PropertyStatus({
+            isRegistered: true,
+            verificationStatus: VerificationStatus.PENDING,
+            isMinted: false,
+            isForSale: false,
+            isForRent: false,
+            salePrice: 0,
+            rentPrice: 0,
+            owner: msg.sender,
+            verifiedBy: address(0)
+        });
+
+        propertyTimestamps[newId] = PropertyTimestamps({
+            registeredAt: block.timestamp,
+            verifiedAt: 0,
+            mintedAt: 0
+        });
+
+        ownerProperties[msg.sender].push(newId);
+        _propertiesByStatus[VerificationStatus.PENDING].add(newId);
+        _propertiesByType[keccak256(bytes(_propertyType))].add(newId);
+        _addDocument(newId, DocumentType.DEED, keccak256(bytes(_documentHash)));
+
+        emit PropertyRegistered(newId, msg.sender);
+        return newId;
+    }
+
+    function submitSurveyReport(
+        uint256 propertyId, 
+        string memory reportHash
+    ) public onlyGovernment propertyExists(propertyId) {
+        require(bytes(reportHash).length > 0, "Report hash required");
+        propertyInfo[propertyId].surveyReportHash = reportHash;
+        _addDocument(propertyId, DocumentType.SURVEY, keccak256(bytes(reportHash)));
+        emit SurveyReportSubmitted(propertyId, reportHash, msg.sender);
+    }
+
+    // Casts an APPROVED or REJECTED vote without a reason, see castVerificationVote.
+    // PENDING reopens the review instead: the property goes back to PENDING and off the market.
+    function verifyProperty(
+        uint256 propertyId, 
+        VerificationStatus status
+    ) public {
+        if (status == VerificationStatus.PENDING) {
+            reopenVerification(propertyId);
+        } else {
+            castVerificationVote(propertyId, status, "");
+        }
+    }
+
+    // Replaces the property details with a new revision. The old details stay readable through
+    // getPropertyRevision, and the property goes back to PENDING and off the market until re-approved.
+    function amendProperty(
+        uint256 propertyId,
+        string memory _title,
+        string memory _location,
+        string memory _propertyType,
+        uint256 _size,
+        uint256 _bedrooms,
+        uint256 _bathrooms,
+        string memory _features,
+        string memory _description,
+        string memory _documentHash
+    ) public whenNotPaused whenNotFrozen(propertyId) onlyOwnerOfProperty(propertyId) propertyExists(propertyId) returns (uint256) {
+        require(bytes(_title).length > 0, "Title cannot be empty");
+        require(_size > 0, "Size must be positive");
+        require(bytes(_documentHash).length > 0, "Document hash required");
+
+        PropertyInfo storage current = propertyInfo[propertyId];
+        PropertyInfo memory amended = PropertyInfo({
+            title: _title,
+            location: _location,
+            propertyType: _propertyType,
+            size: _size,
+            bedrooms: _bedrooms,
+            bathrooms: _bathrooms,
+            features: _features,
+            description: _description,
+            documentHash: _documentHash,
+            surveyReportHash: current.surveyReportHash // Survey reports come from government, not the owner
+        });
+
+        string[] memory changedFields = _changedFields(current, amended);
+        require(changedFields.length > 0, "No changes");
+
+        _propertiesByType[keccak256(bytes(current.propertyType))].remove(propertyId);
+        _propertiesByType[keccak256(bytes(_propertyType))].add(propertyId);
+        if (!_sameString(current.documentHash, _documentHash)) {
+            _addDocument(propertyId, DocumentType.DEED, keccak256(bytes(_documentHash)));
+        }
+
+        _propertyRevisions[propertyId].push(current);
+        propertyInfo[propertyId] = amended;
+
+        // The approval, open votes and offers all covered the old details
+        _resetVerification(propertyId);
+
+        uint256 revision = _propertyRevisions[propertyId].length;
+        emit PropertyAmended(propertyId, revision, changedFields);
+        return revision;
+    }
+
+    // ========== VERIFICATION REVIEW FUNCTIONS ==========
+    // A property is approved or rejected once verificationQuorum reviewers agree; the vote that
+    // reaches quorum becomes verifiedBy. Votes only count towards the current round.
+    function castVerificationVote(
+        uint256 propertyId,
+        VerificationStatus decision,
+        string memory reason
+    ) public onlyGovernment propertyExists(propertyId) {
+        require(decision != VerificationStatus.PENDING, "Invalid decision");
+
+        uint256 round = verificationRound[propertyId];
+        _recordReview(propertyId, round, decision == VerificationStatus.APPROVED ? ReviewVote.APPROVE : ReviewVote.REJECT, reason);
+
+        ReviewTally storage tally = _tallies[propertyId][round];
+        uint256 votes;
+        if (decision == VerificationStatus.APPROVED) {
+            votes = ++tally.approvals;
+        } else {
+            votes = ++tally.rejections;
+        }
+
+        emit VerificationVoteCast(propertyId, round, msg.sender, decision, reason);
+
+        if (votes >= verificationQuorum) {
+            _finalizeVerification(propertyId, decision, reason);
+        }
+    }
+
+    // Rejects the property outright, without waiting for quorum
+    function vetoVerification(
+        uint256 propertyId,
+        string memory reason
+    ) public onlyGovernment propertyExists(propertyId) {
+        require(bytes(reason).length > 0, "Reason required");
+
+        uint256 round = verificationRound[propertyId];
+        _recordReview(propertyId, round, ReviewVote.VETO, reason);
+
+        emit VerificationVetoed(propertyId, round, msg.sender, reason);
+        _finalizeVerification(propertyId, VerificationStatus.REJECTED, reason);
+    }
+
+    // Steps out of the current round, withdrawing any vote already cast in it
+    function recuseFromVerification(uint256 propertyId) public onlyGovernment propertyExists(propertyId) {
+        uint256 round = verificationRound[propertyId];
+        Review storage review = _reviews[propertyId][round][msg.sender];
+        require(review.vote != ReviewVote.RECUSED, "Already recused");
+
+        // Recused reviewers can't vote again this round, so enough others must be left to reach quorum
+        ReviewTally storage tally = _tallies[propertyId][round];
+        require(++tally.recusals + verificationQuorum <= governmentReviewerCount, "Too few reviewers left for quorum");
+
+        if (review.vote == ReviewVote.APPROVE) {
+            tally.approvals--;
+        } else if (review.vote == ReviewVote.REJECT) {
+            tally.rejections--;
+        } else if (review.vote == ReviewVote.NONE) {
+            _reviewers[propertyId][round].push(msg.sender);
+        }
+        review.vote = ReviewVote.RECUSED;
+        review.castAt = block.timestamp;
+
+        emit ReviewerRecused(propertyId, round, msg.sender);
+    }
+
+    // Sends the property back to PENDING for a fresh review round
+    function reopenVerification(uint256 propertyId) public onlyGovernment propertyExists(propertyId) {
+        uint256 round = verificationRound[propertyId];
+        _resetVerification(propertyId);
+        emit VerificationReopened(propertyId, round + 1, msg.sender);
+    }
+
+    function setVerificationQuorum(uint256 quorum) external onlyAdmin {
+        require(quorum > 0 && quorum <= governmentReviewerCount, "Invalid quorum");
+        verificationQuorum = quorum;
+        emit VerificationQuorumUpdated(quorum);
+    }
+
+    function getVerificationTally(uint256 propertyId) public view propertyExists(propertyId) returns (
+        uint256 round,
+        uint256 approvals,
+        uint256 rejections,
+        uint256 quorum
+    ) {
+        round = verificationRound[propertyId];
+        ReviewTally storage tally = _tallies[propertyId][round];
+        return (round, tally.approvals, tally.rejections, verificationQuorum);
+    }
+
+    function getVerificationReviews(
+        uint256 propertyId,
+        uint256 round
+    ) public view propertyExists(propertyId) returns (address[] memory reviewers, Review[] memory reviews) {
+        reviewers = _reviewers[propertyId][round];
+        reviews = new Review[](reviewers.length);
+        for (uint256 i = 0; i < reviewers.length; i++) {
+            reviews[i] = _reviews[propertyId][round][reviewers[i]];
+        }
+    }
+
+    // ========== DOCUMENT FUNCTIONS ==========
+    // Adds a new version of a document; the owner or a government account may upload any type
+    function uploadDocument(
+        uint256 propertyId,
+        DocumentType docType,
+        bytes32 contentHash
+    ) public whenNotPaused whenNotFrozen(propertyId) propertyExists(propertyId) returns (uint256) {
+        require(
+            msg.sender == propertyStatus[propertyId].owner || hasRole(GOVERNMENT_ROLE, msg.sender),
+            "Not authorized"
+        );
+        require(contentHash != bytes32(0), "Content hash required");
+        return _addDocument(propertyId, docType, contentHash);
+    }
+
+    function attestDocument(
+        uint256 propertyId,
+        DocumentType docType,
+        uint256 version
+    ) public onlyGovernment propertyExists(propertyId) {
+        require(version < _documents[propertyId][docType].length, "Document does not exist");
+        PropertyDocument storage document = _documents[propertyId][docType][version];
+        require(!document.attested, "Document already attested");
+
+        document.attested = true;
+        document.attestedBy = msg.sender;
+        document.attestedAt = block.timestamp;
+
+        emit DocumentAttested(propertyId, docType, version, msg.sender);
+    }
+
+    // ========== LIEN FUNCTIONS ==========
+    // Government or a whitelisted lienholder records claims against a title. A sale pays every active
+    // lien off from the seller's proceeds before the seller is credited, and reverts if it can't.
+    // During a holdback the payoffs are escrowed with the seller's share, so a reversed sale reinstates
+    // the liens and refunds the buyer. Auctions and installment plans can't start on an encumbered
+    // property, and refund the buyer if a lien recorded meanwhile can't be paid off. Transfers that
+    // carry no payment (NFT transfers, fractionalization, buyouts) are blocked instead.
+
+    function setLienholder(address lienholder, bool allowed) external onlyAdmin {
+        require(lienholder != address(0), "Invalid lienholder");
+        if (allowed) {
+            _grantRole(LIENHOLDER_ROLE, lienholder);
+        } else {
+            _revokeRole(LIENHOLDER_ROLE, lienholder);
+        }
+        emit LienholderUpdated(lienholder, allowed);
+    }
+
+    function recordLien(
+        uint256 propertyId,
+        address creditor,
+        address currency,
+        uint256 amount
+    ) public propertyExists(propertyId) returns (uint256) {
+        require(
+            hasRole(GOVERNMENT_ROLE, msg.sender) || hasRole(LIENHOLDER_ROLE, msg.sender),
+            "Caller is not a lienholder"
+        );
+        require(creditor != address(0), "Invalid creditor");
+        require(amount > 0, "Invalid lien amount");
+        require(currency == address(0) || allowedPaymentTokens[currency], "Payment token not allowed");
+
+        uint256 lienId = _lienIds++;
+        liens[lienId] = Lien({
+            propertyId: propertyId,
+            creditor: creditor,
+            currency: currency,
+            amount: amount,
+            status: LienStatus.ACTIVE,
+            recordedBy: msg.sender,
+            recordedAt: block.timestamp,
+            closedAt: 0
+        });
+        propertyLiens[propertyId].push(lienId);
+
+        emit LienRecorded(lienId, propertyId, creditor, currency, amount, msg.sender);
+        return lienId;
+    }
+
+    // The creditor, whoever recorded the lien, or a government agent can release it
+    function releaseLien(uint256 lienId) public {
+        Lien storage lien = liens[lienId];
+        require(lien.status == LienStatus.ACTIVE, "Lien not active");
+        require(
+            msg.sender == lien.creditor || msg.sender == lien.recordedBy || hasRole(GOVERNMENT_ROLE, msg.sender),
+            "Not authorized to release lien"
+        );
+
+        lien.status = LienStatus.RELEASED;
+        lien.closedAt = block.timestamp;
+        emit LienReleased(lienId, lien.propertyId, msg.sender);
+    }
+
+    function getPropertyLiens(uint256 propertyId) public view propertyExists(propertyId) returns (uint256[] memory) {
+        return propertyLiens[propertyId];
+    }
+
+    function isEncumbered(uint256 propertyId) public view returns (bool) {
+        return _isEncumbered(propertyId);
+    }
+
+    // ========== UTILITY FUNCTIONS ==========
+    function _recordReview(uint256 propertyId, uint256 round, ReviewVote vote, string memory reason) private {
+        Review storage review = _reviews[propertyId][round][msg.sender];
+        require(review.vote == ReviewVote.NONE, "Already reviewed this round");
+
+        _reviews[propertyId][round][msg.sender] = Review({
+            vote: vote,
+            reason: reason,
+            castAt: block.timestamp
+        });
+        _reviewers[propertyId][round].push(msg.sender);
+    }
+
+    // Applies a decision and closes the round
+    function _finalizeVerification(uint256 propertyId, VerificationStatus status, string memory reason) private {
+        _setVerificationStatus(propertyId, status);
+        propertyStatus[propertyId].verifiedBy = msg.sender;
+        verificationRound[propertyId]++;
+
+        if (status == VerificationStatus.APPROVED) {
+            propertyTimestamps[propertyId].verifiedAt = block.timestamp;
+            delete rejectionReason[propertyId];
+        } else {
+            propertyTimestamps[propertyId].verifiedAt = 0;
+            rejectionReason[propertyId] = reason;
+            _takeOffMarket(propertyId);
+            emit PropertyRejected(propertyId, propertyStatus[propertyId].owner, reason);
+        }
+
+        emit PropertyVerified(propertyId, status, msg.sender);
+    }
+
+    // Back to PENDING in a new round, off the market, with open offers refunded
+    function _resetVerification(uint256 propertyId) private {
+        _setVerificationStatus(propertyId, VerificationStatus.PENDING);
+        propertyStatus[propertyId].verifiedBy = address(0);
+        propertyTimestamps[propertyId].verifiedAt = 0;
+        verificationRound[propertyId]++;
+        _takeOffMarket(propertyId);
+    }
+
+    function _setVerificationStatus(uint256 propertyId, VerificationStatus status) private {
+        _propertiesByStatus[propertyStatus[propertyId].verificationStatus].remove(propertyId);
+        _propertiesByStatus[status].add(propertyId);
+        propertyStatus[propertyId].verificationStatus = status;
+    }
+
+    // Adds a version uploaded by msg.sender. Registration, amendments and survey reports record
+    // the keccak256 of their deed or report hash string here.
+    function _addDocument(uint256 propertyId, DocumentType docType, bytes32 contentHash) private returns (uint256) {
+        PropertyDocument[] storage versions = _documents[propertyId][docType];
+        uint256 version = versions.length;
+        versions.push(PropertyDocument({
+            docType: docType,
+            version: version,
+            contentHash: contentHash,
+            uploader: msg.sender,
+            uploadedAt: block.timestamp,
+            attested: false,
+            attestedBy: address(0),
+            attestedAt: 0
+        }));
+
+        emit DocumentUploaded(propertyId, docType, version, contentHash, msg.sender);
+        return version;
+    }
+
+    // Names of the owner-editable PropertyInfo fields that differ between two revisions
+    function _changedFields(
+        PropertyInfo storage current,
+        PropertyInfo memory amended
+    ) private view returns (string[] memory) {
+        string[9] memory names = [
+            "title", "location", "propertyType", "size", "bedrooms",
+            "bathrooms", "features", "description", "documentHash"
+        ];
+        bool[9] memory changed = [
+            !_sameString(current.title, amended.title),
+            !_sameString(current.location, amended.location),
+            !_sameString(current.propertyType, amended.propertyType),
+            current.size != amended.size,
+            current.bedrooms != amended.bedrooms,
+            current.bathrooms != amended.bathrooms,
+            !_sameString(current.features, amended.features),
+            !_sameString(current.description, amended.description),
+            !_sameString(current.documentHash, amended.documentHash)
+        ];
+
+        uint256 count = 0;
+        for (uint256 i = 0; i < 9; i++) {
+            if (changed[i]) {
+                count++;
+            }
+        }
+
+        string[] memory fields = new string[](count);
+        uint256 j = 0;
+        for (uint256 i = 0; i < 9; i++) {
+            if (changed[i]) {
+                fields[j] = names[i];
+                j++;
+            }
+        }
+        return fields;
+    }
+
+    function _sameString(string memory a, string memory b) private pure returns (bool) {
+        return keccak256(bytes(a)) == keccak256(bytes(b));
+    }
+}
@@ -0,0 +1,398 @@
+// SPDX-License-Identifier: MIT
+pragma solidity 0.8.28;
+
+import "@openzeppelin/contracts/utils/Strings.sol";
+import "../PropertySharesFactory.sol";
+import "../TrustEstateBase.sol";
+
+// Succession, direct title transfers and fractional ownership.
+// A TrustEstate module: reached through TrustEstate's fallback, see TrustEstateBase.
+contract TrustEstateTitles is TrustEstateBase {
+    using Strings for uint256;
+
+    PropertySharesFactory public immutable shareFactory;
+
+    constructor(address _nextModule, PropertySharesFactory _shareFactory) TrustEstateBase(_nextModule) {
+        shareFactory = _shareFactory;
+    }
+
+    // ========== SUCCESSION FUNCTIONS ==========
+    // Owners designate beneficiaries per property. After a government agent attests the owner's death
+    // the property is taken off the market and the owner's side is locked for SUCCESSION_CHALLENGE_WINDOW;
+    // anyone can lodge a challenge in that window, and the owner (proving they are alive) or a government
+    // agent can cancel. A government agent then executes it: a sole beneficiary takes the title, several
+    // share it through PropertyShares minted in proportion to their splits, with the largest share
+    // (first listed on ties) as owner of record. Liens and a running tenancy carry over to the heirs.
+    // A split estate has no buyout price until holders of a majority of its shares or a government
+    // agent set one, after which it can be bought out like any fractionalized property.
+
+    // Empty arrays clear the designation
+    function designateBeneficiaries(
+        uint256 propertyId,
+        address[] memory accounts,
+        uint256[] memory shares
+    ) public whenNotPaused whenNotFrozen(propertyId) onlyOwnerOfProperty(propertyId) propertyExists(propertyId) {
+        require(accounts.length == shares.length, "Length mismatch");
+        require(accounts.length <= MAX_BENEFICIARIES, "Too many beneficiaries");
+
+        delete _beneficiaries[propertyId];
+        uint256 total = 0;
+        for (uint256 i = 0; i < accounts.length; i++) {
+            require(accounts[i] != address(0) && accounts[i] != msg.sender, "Invalid beneficiary");
+            require(shares[i] > 0, "Invalid share");
+            for (uint256 j = 0; j < i; j++) {
+                require(accounts[j] != accounts[i], "Duplicate beneficiary");
+            }
+            total += shares[i];
+            _beneficiaries[propertyId].push(Beneficiary({ account: accounts[i], share: shares[i] }));
+        }
+        require(accounts.length == 0 || total == 10000, "Shares must total 100%");
+
+        emit BeneficiariesDesignated(propertyId, msg.sender, accounts, shares);
+    }
+
+    function initiateSuccession(
+        uint256 propertyId,
+        bytes32 deathCertificateHash
+    ) public onlyGovernment whenNotFrozen(propertyId) nonReentrant propertyExists(propertyId) {
+        require(_beneficiaries[propertyId].length > 0, "No beneficiaries designated");
+        require(deathCertificateHash != bytes32(0), "Death certificate hash required");
+        require(!_isSuccessionPending(propertyId), "Succession in progress");
+        require(!_isInstallmentActive(propertyId), "Property is under installment plan");
+        require(fractions[propertyId].shareToken == address(0), "Property is fractionalized");
+
+        address propertyOwner = propertyStatus[propertyId].owner;
+        successions[propertyId] = Succession({
+            status: SuccessionStatus.PENDING,
+            owner: propertyOwner,
+            deathCertificateHash: deathCertificateHash,
+            initiatedBy: msg.sender,
+            executableAt: block.timestamp + SUCCESSION_CHALLENGE_WINDOW,
+            challenger: address(0),
+            challengeHash: bytes32(0)
+        });
+
+        // Nobody can act for the owner any more
+        _takeOffMarket(propertyId);
+
+        emit SuccessionInitiated(propertyId, propertyOwner, deathCertificateHash, block.timestamp + SUCCESSION_CHALLENGE_WINDOW, msg.sender);
+    }
+
+    // Records the challenge for the government agents who decide whether to cancel or execute
+    function challengeSuccession(uint256 propertyId, bytes32 evidenceHash) public whenNotPaused {
+        Succession storage succession = successions[propertyId];
+        require(succession.status == SuccessionStatus.PENDING, "No pending succession");
+        require(block.timestamp < succession.executableAt, "Challenge window closed");
+        require(evidenceHash != bytes32(0), "Evidence hash required");
+
+        succession.challenger = msg.sender;
+        succession.challengeHash = evidenceHash;
+        emit SuccessionChallenged(propertyId, msg.sender, evidenceHash);
+    }
+
+    function cancelSuccession(uint256 propertyId, string memory reason) public {
+        Succession storage succession = successions[propertyId];
+        require(succession.status == SuccessionStatus.PENDING, "No pending succession");
+        require(
+            msg.sender == succession.owner || hasRole(GOVERNMENT_ROLE, msg.sender),
+            "Not authorized to cancel succession"
+        );
+
+        succession.status = SuccessionStatus.CANCELLED;
+        emit SuccessionCancelled(propertyId, msg.sender, reason);
+    }
+
+    function executeSuccession(
+        uint256 propertyId
+    ) public onlyGovernment whenNotFrozen(propertyId) nonReentrant propertyExists(propertyId) returns (address shareToken) {
+        Succession storage succession = successions[propertyId];
+        require(succession.status == SuccessionStatus.PENDING, "No pending succession");
+        require(block.timestamp >= succession.executableAt, "Challenge window open");
+
+        Beneficiary[] memory heirs = _beneficiaries[propertyId];
+        address[] memory accounts = new address[](heirs.length);
+        uint256[] memory shares = new uint256[](heirs.length);
+        uint256 primary = 0;
+        for (uint256 i = 0; i < heirs.length; i++) {
+            accounts[i] = heirs[i].account;
+            shares[i] = heirs[i].share;
+            if (heirs[i].share > heirs[primary].share) {
+                primary = i;
+            }
+        }
+        address heir = accounts[primary];
+
+        succession.status = SuccessionStatus.EXECUTED;
+        _conveyProperty(propertyId, heir);
+
+        if (heirs.length > 1) {
+            shareToken = _splitEstate(propertyId, heir, heirs);
+        }
+
+        emit SuccessionExecuted(propertyId, succession.owner, heir, accounts, shares, shareToken);
+        emit OwnershipTransferred(propertyId, succession.owner, heir);
+    }
+
+    function setEstateBuyoutPrice(
+        uint256 propertyId,
+        uint256 buyoutPrice
+    ) public whenNotPaused whenNotFrozen(propertyId) propertyExists(propertyId) {
+        Fractionalization storage fraction = fractions[propertyId];
+        require(fraction.shareToken != address(0), "Property not fractionalized");
+        require(fraction.buyoutPrice == 0, "Buyout already offered");
+        require(buyoutPrice > 0, "Price must be greater than 0");
+        if (!hasRole(GOVERNMENT_ROLE, msg.sender)) {
+            PropertyShares shares = PropertyShares(fraction.shareToken);
+            require(shares.balanceOf(msg.sender) * 2 > shares.totalSupply(), "Not a majority shareholder");
+            // A majority heir can't price the others out below what the property last sold for; with
+            // no sale on record only the government can value it
+            require(lastSalePrice[propertyId] > 0, "No sale price on record");
+            require(buyoutPrice >= lastSalePrice[propertyId], "Below last sale price");
+        }
+
+        fraction.buyoutPrice = buyoutPrice;
+        emit EstateBuyoutPriceSet(propertyId, buyoutPrice, msg.sender);
+    }
+
+    function getBeneficiaries(uint256 propertyId) public view returns (Beneficiary[] memory) {
+        return _beneficiaries[propertyId];
+    }
+
+    // ========== TITLE TRANSFER FUNCTIONS ==========
+    // Gifts and family transfers: the owner hands the title over without a listing, paying stamp duty
+    // on the declared value. Up to stampDutySignOffThreshold it goes through at once; above it the duty
+    // is held until a government agent approves or rejects the transfer. So is a declared value of 0,
+    // or one below what the property last sold or was listed for in MATIC.
+
+    function transferTitle(
+        uint256 propertyId,
+        address to,
+        uint256 declaredValue
+    ) public payable whenNotPaused whenNotFrozen(propertyId) nonReentrant onlyOwnerOfProperty(propertyId) propertyExists(propertyId) {
+        TitleTransfer memory pending = pendingTitleTransfers[propertyId];
+        require(pending.from != msg.sender, "Title transfer pending");
+        if (pending.from != address(0)) {
+            // Left behind by a previous owner who sold the property meanwhile
+            delete pendingTitleTransfers[propertyId];
+            _credit(address(0), pending.from, pending.duty);
+            emit TitleTransferCancelled(propertyId, pending.from);
+        }
+        _requireTitleTransferable(propertyId, to, declaredValue);
+
+        uint256 duty = getStampDuty(declaredValue);
+        require(msg.value >= duty, "Insufficient stamp duty");
+        _credit(address(0), msg.sender, msg.value - duty);
+
+        if (_needsTitleSignOff(propertyId, declaredValue)) {
+            pendingTitleTransfers[propertyId] = TitleTransfer({
+                from: msg.sender,
+                to: to,
+                declaredValue: declaredValue,
+                duty: duty,
+                requestedAt: block.timestamp
+            });
+            emit TitleTransferRequested(propertyId, msg.sender, to, declaredValue, duty);
+        } else {
+            _completeTitleTransfer(propertyId, msg.sender, to, declaredValue, duty, address(0));
+        }
+    }
+
+    function approveTitleTransfer(
+        uint256 propertyId
+    ) public onlyGovernment whenNotFrozen(propertyId) nonReentrant propertyExists(propertyId) {
+        TitleTransfer memory transfer = pendingTitleTransfers[propertyId];
+        require(transfer.to != address(0), "No pending title transfer");
+        require(propertyStatus[propertyId].owner == transfer.from, "Property changed hands");
+        require(!_isSuccessionPending(propertyId), "Succession in progress");
+        _requireTitleTransferable(propertyId, transfer.to, transfer.declaredValue);
+
+        delete pendingTitleTransfers[propertyId];
+        _completeTitleTransfer(propertyId, transfer.from, transfer.to, transfer.declaredValue, transfer.duty, msg.sender);
+    }
+
+    function rejectTitleTransfer(uint256 propertyId, string memory reason) public onlyGovernment {
+        TitleTransfer memory transfer = pendingTitleTransfers[propertyId];
+        require(transfer.to != address(0), "No pending title transfer");
+
+        delete pendingTitleTransfers[propertyId];
+        _credit(address(0), transfer.from, transfer.duty);
+        emit TitleTransferRejected(propertyId, msg.sender, reason);
+    }
+
+    function cancelTitleTransfer(uint256 propertyId) public {
+        TitleTransfer memory transfer = pendingTitleTransfers[propertyId];
+        require(transfer.to != address(0), "No pending title transfer");
+        require(msg.sender == transfer.from, "Not the requester");
+
+        delete pendingTitleTransfers[propertyId];
+        _credit(address(0), transfer.from, transfer.duty);
+        emit TitleTransferCancelled(propertyId, msg.sender);
+    }
+
+    function getStampDuty(uint256 declaredValue) public view returns (uint256) {
+        return (declaredValue * stampDutyRate) / 10000;
+    }
+
+    // ========== FRACTIONAL OWNERSHIP FUNCTIONS ==========
+    // Locks the NFT in this contract and mints the whole share supply to the owner, who stays the
+    // owner of record and keeps managing rentals; rent from then on is paid out to shareholders.
+    function fractionalizeProperty(
+        uint256 propertyId,
+        uint256 shareSupply,
+        string memory name,
+        string memory symbol,
+        uint256 buyoutPrice
+    ) public whenNotPaused whenNotFrozen(propertyId) nonReentrant onlyOwnerOfProperty(propertyId) propertyExists(propertyId) returns (address) {
+        require(
+            propertyStatus[propertyId].verificationStatus == VerificationStatus.APPROVED,
+            "Property not approved"
+        );
+        require(propertyStatus[propertyId].isMinted, "Token not minted");
+        require(fractions[propertyId].shareToken == address(0), "Property is fractionalized");
+        require(!_isEncumbered(propertyId), "Property is encumbered");
+        require(!propertyStatus[propertyId].isForSale, "Property is listed for sale");
+        require(!rentalInfo[propertyId].isActive, "Property is currently rented");
+        require(!_isAuctionActive(propertyId), "Property is at auction");
+        require(!_isInstallmentActive(propertyId), "Property is under installment plan");
+        require(shareSupply > 0, "Share supply must be positive");
+        require(buyoutPrice > 0, "Price must be greater than 0");
+
+        PropertyShares shares = shareFactory.createShares(name, symbol, propertyId, msg.sender, shareSupply);
+        fractions[propertyId] = Fractionalization({
+            shareToken: address(shares),
+            buyoutPrice: buyoutPrice
+        });
+
+        _moveToken(msg.sender, address(this), propertyId); // Lock the NFT
+
+        emit PropertyFractionalized(propertyId, address(shares), shareSupply, buyoutPrice);
+        return address(shares);
+    }
+
+    // Buys the whole property back out of fractional ownership. The buyer pays buyoutPrice for the
+    // shares they don't hold; their own shares are burned and everyone else redeems from the pool.
+    function buyoutProperty(uint256 propertyId) public payable whenNotPaused whenNotFrozen(propertyId) nonReentrant propertyExists(propertyId) {
+        require(registeredUsers[msg.sender], "Not registered");
+        Fractionalization memory fraction = fractions[propertyId];
+        require(fraction.shareToken != address(0), "Property not fractionalized");
+        require(fraction.buyoutPrice > 0, "Buyout not offered"); // Split estates wait for setEstateBuyoutPrice
+        require(!rentalInfo[propertyId].isActive, "Property is currently rented");
+        require(!_isEncumbered(propertyId), "Property is encumbered");
+
+        PropertyShares shares = PropertyShares(fraction.shareToken);
+        uint256 supply = shares.totalSupply();
+        uint256 cost = (fraction.buyoutPrice * (supply - shares.balanceOf(msg.sender))) / supply;
+        // Only a holder of every share gets the property for nothing
+        require(cost > 0 || shares.balanceOf(msg.sender) == supply, "Buyout cost rounds to zero");
+        require(msg.value >= cost, "Insufficient payment for buyout");
+        _checkUserTier(msg.sender, UserAction.PURCHASE, address(0), cost);
+
+        address previousOwner = propertyStatus[propertyId].owner;
+        delete fractions[propertyId];
+
+        propertyStatus[propertyId].owner = msg.sender;
+        propertyStatus[propertyId].isForRent = false;
+        _syncListingIndex(propertyId);
+        removePropertyFromOwner(previousOwner, propertyId);
+        ownerProperties[msg.sender].push(propertyId);
+        delete listingAgents[propertyId];
+        delete _beneficiaries[propertyId];
+        _moveToken(address(this), msg.sender, propertyId); // Unlock the NFT to the buyer
+
+        _releaseShareholderEscrows(propertyId, address(shares));
+        shares.openRedemption{value: cost}(msg.sender);
+
+        // Refund any excess payment
+        _credit(address(0), msg.sender, msg.value - cost);
+
+        emit PropertyBoughtOut(propertyId, msg.sender, cost);
+        emit OwnershipTransferred(propertyId, previousOwner, msg.sender);
+    }
+
+    // ========== UTILITY FUNCTIONS ==========
+    // The same conditions a plain NFT transfer has to meet, plus the recipient's KYC checks
+    function _requireTitleTransferable(uint256 propertyId, address to, uint256 declaredValue) private view {
+        require(to != address(0) && to != propertyStatus[propertyId].owner, "Invalid recipient");
+        require(registeredUsers[to], "Recipient not registered");
+        _checkUserTier(to, UserAction.PURCHASE, address(0), declaredValue);
+        require(
+            propertyStatus[propertyId].verificationStatus == VerificationStatus.APPROVED,
+            "Property not approved"
+        );
+        require(!rentalInfo[propertyId].isActive, "Property is currently rented");
+        require(
+            !propertyStatus[propertyId].isForSale && !propertyStatus[propertyId].isForRent &&
+                !_isAuctionActive(propertyId) && !_isInstallmentActive(propertyId),
+            "Property is listed"
+        );
+        require(fractions[propertyId].shareToken == address(0), "Property is fractionalized");
+        require(!_isEncumbered(propertyId), "Property is encumbered");
+    }
+
+    function _needsTitleSignOff(uint256 propertyId, uint256 declaredValue) private view returns (bool) {
+        uint256 floor = lastSalePrice[propertyId];
+        if (saleCurrency[propertyId] == address(0) && propertyStatus[propertyId].salePrice > floor) {
+            floor = propertyStatus[propertyId].salePrice;
+        }
+        return declaredValue == 0 || declaredValue < floor || declaredValue > stampDutySignOffThreshold;
+    }
+
+    function _completeTitleTransfer(
+        uint256 propertyId,
+        address from,
+        address to,
+        uint256 declaredValue,
+        uint256 duty,
+        address approvedBy
+    ) private {
+        _credit(address(0), governmentWallet, duty);
+        _conveyProperty(propertyId, to);
+
+        emit TitleTransferred(propertyId, from, to, declaredValue, duty, approvedBy);
+        emit OwnershipTransferred(propertyId, from, to);
+    }
+
+    // Locks the NFT (minting it first if needed) and hands out PropertyShares by each heir's split.
+    // The shares have no buyout price until one is set through setEstateBuyoutPrice.
+    // Rent held back for the shareholders is paid out while they still hold their shares, ahead of the
+    // holdback: it was earned before the buyout, and with the rental over it can't be reversed any more.
+    // Disputed rent stays with the dispute.
+    function _releaseShareholderEscrows(uint256 propertyId, address shareToken) private {
+        uint256[] storage escrowIds = propertyEscrows[propertyId];
+        for (uint256 i = 0; i < escrowIds.length; i++) {
+            Escrow storage escrow = escrows[escrowIds[i]];
+            if (escrow.status != EscrowStatus.HELD || !escrow.toShareholders || escrow.payee != shareToken) {
+                continue;
+            }
+            escrow.status = EscrowStatus.RELEASED;
+            _payOut(shareToken, true, escrow.currency, escrow.amount);
+            emit EscrowReleased(escrowIds[i], propertyId, escrow.amount);
+        }
+    }
+
+    function _splitEstate(uint256 propertyId, address heir, Beneficiary[] memory heirs) private returns (address) {
+        if (propertyStatus[propertyId].isMinted) {
+            _moveToken(heir, address(this), propertyId);
+        } else {
+            _moveToken(address(0), address(this), propertyId);
+            propertyStatus[propertyId].isMinted = true;
+            propertyTimestamps[propertyId].mintedAt = block.timestamp;
+            emit PropertyMinted(propertyId, heir);
+        }
+
+        PropertyShares shares = shareFactory.createShares(
+            string.concat("TrustEstate Estate #", propertyId.toString()),
+            "TEES",
+            propertyId,
+            address(this),
+            ESTATE_SHARE_SUPPLY
+        );
+        for (uint256 i = 0; i < heirs.length; i++) {
+            shares.transfer(heirs[i].account, (ESTATE_SHARE_SUPPLY * heirs[i].share) / 10000);
+        }
+        fractions[propertyId] = Fractionalization({ shareToken: address(shares), buyoutPrice: 0 });
+
+        emit PropertyFractionalized(propertyId, address(shares), ESTATE_SHARE_SUPPLY, 0);
+        return address(shares);
+    }
+}
@@ -1,5 +1,6 @@
 require("@nomicfoundation/hardhat-toolbox");
 require('dotenv').config(); // Load environment variables from .env file
+require("./tasks/trustEstate"); // te:* registry operation tasks
 
 /** @type import('hardhat/config').HardhatUserConfig */
 module.exports = {
@@ -0,0 +1,399 @@
+const { ethers } = require("ethers");
+const { JsonStore } = require("./jsonStore");
+
+// Replays and tails TrustEstate events into a local store and answers history queries from it.
+//
+//   const indexer = new TrustEstateIndexer({ provider, address, abi, store: new JsonStore("index.json") });
+//   await indexer.sync();          // catch up once
+//   indexer.start(5000);           // keep polling every 5s, stop() to end
+//   indexer.getSalesByOwner(seller);
+//
+// Reorgs: every sync first checks the checkpoint block hash against the chain. If it changed, the index is
+// rolled back to the newest recorded block that is still canonical and re-synced from there. Recorded blocks
+// are kept for the last `reorgDepth` blocks; a deeper reorg rebuilds the index from `startBlock`.
+// On public networks set `confirmations` so only settled blocks are indexed in the first place.
+//
+// Amounts are kept as decimal strings in the smallest unit of the listing currency.
+
+const VERIFICATION_STATUS = ["PENDING", "APPROVED", "REJECTED"];
+const RULING_REVERSAL = "2";
+const PROPERTY_OWNERSHIP_TRANSFERRED = "OwnershipTransferred(uint256,address,address)";
+
+// Event args are stored as JSON: integers become decimal strings, arrays and structs plain arrays
+function toStoredValue(value) {
+  if (typeof value === "bigint") {
+    return value.toString();
+  }
+  return Array.isArray(value) ? Array.from(value, toStoredValue) : value;
+}
+
+class TrustEstateIndexer {
+  constructor({ provider, address, abi, store, startBlock = 0, confirmations = 0, reorgDepth = 64, batchSize = 2000 }) {
+    this.provider = provider;
+    this.address = address;
+    this.interface = new ethers.Interface(abi);
+    this.store = store || new JsonStore();
+    this.startBlock = startBlock;
+    this.confirmations = confirmations;
+    this.reorgDepth = reorgDepth;
+    this.batchSize = batchSize;
+    this.timer = null;
+    this.syncing = null;
+  }
+
+  // ========== SYNCING ==========
+  // Indexes everything up to the latest confirmed block; returns the number of new events
+  async sync() {
+    // Polling can fire while a slow sync is still running; share the in-flight one
+    if (!this.syncing) {
+      this.syncing = this._sync().finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  start(intervalMs = 5000) {
+    if (this.timer) {
+      return;
+    }
+    this.timer = setInterval(() => {
+      this.sync().catch((error) => console.error("TrustEstate indexer sync failed:", error));
+    }, intervalMs);
+  }
+
+  stop() {
+    clearInterval(this.timer);
+    this.timer = null;
+  }
+
+  getCheckpoint() {
+    return this.store.load().checkpoint;
+  }
+
+  async _sync() {
+    const state = this.store.load();
+    await this._rollbackReorg(state);
+
+    const target = (await this.provider.getBlockNumber()) - this.confirmations;
+    let from = state.checkpoint ? state.checkpoint.blockNumber + 1 : this.startBlock;
+    let added = 0;
+
+    while (from <= target) {
+      const to = Math.min(from + this.batchSize - 1, target);
+      const logs = await this.provider.getLogs({ address: this.address, fromBlock: from, toBlock: to });
+      const events = await this._decodeLogs(logs);
+      const toBlock = await this.provider.getBlock(to);
+
+      state.events.push(...events);
+      for (const event of events) {
+        this._recordBlock(state, event.blockNumber, event.blockHash);
+      }
+      this._recordBlock(state, to, toBlock.hash);
+      state.checkpoint = { blockNumber: to, blockHash: toBlock.hash };
+      state.recentBlocks = state.recentBlocks.filter((block) => block.number > to - this.reorgDepth);
+      this.store.save();
+
+      added += events.length;
+      from = to + 1;
+    }
+    return added;
+  }
+
+  async _rollbackReorg(state) {
+    if (!state.checkpoint || (await this._isCanonical(state.checkpoint.blockNumber, state.checkpoint.blockHash))) {
+      return;
+    }
+
+    for (let i = state.recentBlocks.length - 1; i >= 0; i--) {
+      const block = state.recentBlocks[i];
+      if (await this._isCanonical(block.number, block.hash)) {
+        state.events = state.events.filter((event) => event.blockNumber <= block.number);
+        state.recentBlocks = state.recentBlocks.slice(0, i + 1);
+        state.checkpoint = { blockNumber: block.number, blockHash: block.hash };
+        this.store.save();
+        return;
+      }
+    }
+
+    // Nothing recorded survived the reorg, so start over
+    state.events = [];
+    state.recentBlocks = [];
+    state.checkpoint = null;
+    this.store.save();
+  }
+
+  async _isCanonical(blockNumber, blockHash) {
+    const block = await this.provider.getBlock(blockNumber);
+    return block !== null && block.hash === blockHash;
+  }
+
+  _recordBlock(state, number, hash) {
+    const last = state.recentBlocks[state.recentBlocks.length - 1];
+    if (!last || last.number < number) {
+      state.recentBlocks.push({ number, hash });
+    }
+  }
+
+  async _decodeLogs(logs) {
+    const timestamps = new Map();
+    const events = [];
+
+    for (const log of logs) {
+      const parsed = this.interface.parseLog(log);
+      if (!parsed) {
+        continue;
+      }
+      if (!timestamps.has(log.blockNumber)) {
+        timestamps.set(log.blockNumber, (await this.provider.getBlock(log.blockNumber)).timestamp);
+      }
+
+      const args = {};
+      parsed.fragment.inputs.forEach((input, i) => {
+        args[input.name] = toStoredValue(parsed.args[i]);
+      });
+
+      events.push({
+        name: parsed.name,
+        signature: parsed.signature,
+        args,
+        blockNumber: log.blockNumber,
+        blockHash: log.blockHash,
+        transactionHash: log.transactionHash,
+        logIndex: log.index,
+        timestamp: timestamps.get(log.blockNumber),
+      });
+    }
+    return events;
+  }
+
+  // ========== QUERIES ==========
+  getEvents({ name, propertyId } = {}) {
+    return this.store.load().events.filter((event) =>
+      (name === undefined || event.name === name) &&
+      (propertyId === undefined || event.args.propertyId === String(propertyId))
+    );
+  }
+
+  // Current view of every property, rebuilt from its event history
+  getProperties() {
+    const properties = new Map();
+    const lastTransferTx = new Map(); // propertyId => transaction of its latest ownership change
+
+    for (const event of this.store.load().events) {
+      const { args } = event;
+      const property = properties.get(args.propertyId !== undefined ? args.propertyId : args.tokenId);
+      // Skips the contract-level Ownable events and properties registered before startBlock
+      if (event.name !== "PropertyRegistered" && !property) {
+        continue;
+      }
+      switch (event.name) {
+        case "PropertyRegistered":
+          properties.set(args.propertyId, {
+            propertyId: args.propertyId,
+            owner: args.owner,
+            verificationStatus: "PENDING",
+            isMinted: false,
+            isForSale: false,
+            salePrice: "0",
+            isForRent: false,
+            rentPrice: "0",
+            listingExpiry: null,
+            tenant: null,
+            shareToken: null,
+            rejectionReason: null,
+            registeredAt: event.timestamp,
+          });
+          break;
+        case "PropertyVerified":
+          property.verificationStatus = VERIFICATION_STATUS[Number(args.status)];
+          break;
+        case "PropertyAmended":
+        case "VerificationReopened":
+          // Back under review and off the market until re-approved
+          Object.assign(property, { verificationStatus: "PENDING", isForSale: false, isForRent: false });
+          break;
+        case "PropertyRejected":
+          // A rejection or veto also ends both listings
+          Object.assign(property, { rejectionReason: args.reason, isForSale: false, isForRent: false, listingExpiry: null });
+          break;
+        case "PropertyMinted":
+          property.isMinted = true;
+          break;
+        case "PropertyListedForSale":
+          Object.assign(property, { isForSale: true, salePrice: args.price, listingExpiry: null });
+          break;
+        case "PropertyListedForRent":
+          Object.assign(property, { isForRent: true, rentPrice: args.price, listingExpiry: null });
+          break;
+        case "PropertyDelisted":
+        case "SuccessionInitiated":
+          Object.assign(property, { isForSale: false, isForRent: false, listingExpiry: null });
+          break;
+        case "SaleListingCancelled":
+        case "InstallmentPlanStarted":
+          Object.assign(property, { isForSale: false, listingExpiry: null });
+          break;
+        case "RentListingCancelled":
+          Object.assign(property, { isForRent: false, listingExpiry: null });
+          break;
+        case "SalePriceUpdated":
+          property.salePrice = args.price;
+          break;
+        case "RentTermsUpdated":
+          property.rentPrice = args.price;
+          break;
+        case "ListingExpiryUpdated":
+          property.listingExpiry = args.expiresAt === "0" ? null : args.expiresAt;
+          break;
+        case "PropertySold":
+          property.isForSale = false;
+          break;
+        case "PropertyRented":
+          // The rent listing stays up for the next tenant
+          property.tenant = args.tenant;
+          break;
+        case "RentalEnded":
+          property.tenant = null;
+          break;
+        case "PropertyFractionalized":
+          property.shareToken = args.shareToken;
+          break;
+        case "PropertyBoughtOut":
+          Object.assign(property, { shareToken: null, isForRent: false });
+          break;
+        case "DisputeResolved":
+          // A reversed sale hands the property back off the market; a reversed rental only ends the
+          // tenancy, through RentalEnded. Only the sale reversal moves ownership in the same transaction.
+          if (args.ruling === RULING_REVERSAL && lastTransferTx.get(args.propertyId) === event.transactionHash) {
+            Object.assign(property, { isForSale: false, isForRent: false });
+          }
+          break;
+        case "OwnershipTransferred":
+          if (event.signature === PROPERTY_OWNERSHIP_TRANSFERRED) {
+            property.owner = args.newOwner;
+            lastTransferTx.set(args.propertyId, event.transactionHash);
+          }
+          break;
+      }
+    }
+    return [...properties.values()];
+  }
+
+  getProperty(propertyId) {
+    return this.getProperties().find((property) => property.propertyId === String(propertyId)) || null;
+  }
+
+  // Sales with the seller taken from the OwnershipTransferred event emitted in the same transaction
+  getSales() {
+    const sales = [];
+    for (const event of this.store.load().events) {
+      if (event.name === "PropertySold") {
+        sales.push({
+          propertyId: event.args.propertyId,
+          seller: null,
+          buyer: event.args.buyer,
+          price: event.args.price,
+          blockNumber: event.blockNumber,
+          timestamp: event.timestamp,
+          transactionHash: event.transactionHash,
+        });
+      } else if (event.signature === PROPERTY_OWNERSHIP_TRANSFERRED) {
+        const sale = sales.find((s) =>
+          s.transactionHash === event.transactionHash && s.propertyId === event.args.propertyId && s.seller === null
+        );
+        if (sale) {
+          sale.seller = event.args.previousOwner;
+        }
+      }
+    }
+    return sales;
+  }
+
+  getSalesByOwner(owner) {
+    return this.getSales().filter((sale) => sameAddress(sale.seller, owner));
+  }
+
+  getPurchasesByBuyer(buyer) {
+    return this.getSales().filter((sale) => sameAddress(sale.buyer, buyer));
+  }
+
+  // Listing prices and settled prices for one property, oldest first
+  getPriceHistory(propertyId) {
+    const kinds = {
+      PropertyListedForSale: "LISTED_FOR_SALE",
+      PropertyListedForRent: "LISTED_FOR_RENT",
+      SalePriceUpdated: "SALE_REPRICED",
+      RentTermsUpdated: "RENT_REPRICED",
+      PropertySold: "SOLD",
+      PropertyRented: "RENTED",
+      PropertyBoughtOut: "BOUGHT_OUT",
+    };
+    return this.getEvents({ propertyId })
+      .filter((event) => kinds[event.name])
+      .map((event) => ({
+        kind: kinds[event.name],
+        price: event.args.price !== undefined ? event.args.price : event.args.paid,
+        blockNumber: event.blockNumber,
+        timestamp: event.timestamp,
+        transactionHash: event.transactionHash,
+      }));
+  }
+
+  getAgents() {
+    const agents = new Map();
+    for (const event of this.store.load().events) {
+      const { args } = event;
+      if (event.name === "AgentRegistered") {
+        agents.set(args.agent, {
+          agent: args.agent,
+          name: args.name,
+          verificationStatus: "PENDING",
+          licenseNumber: null,
+          licenseExpiry: null,
+          isSuspended: false,
+        });
+        continue;
+      }
+
+      const agent = agents.get(args.agent);
+      if (!agent) {
+        continue;
+      }
+      switch (event.name) {
+        case "AgentVerified":
+          agent.verificationStatus = VERIFICATION_STATUS[Number(args.status)];
+          break;
+        case "AgentLicenseUpdated":
+          Object.assign(agent, { licenseNumber: args.licenseNumber, licenseExpiry: args.expiresAt });
+          break;
+        case "AgentSuspended":
+          agent.isSuspended = true;
+          break;
+        case "AgentReinstated":
+          agent.isSuspended = false;
+          break;
+        case "AgentDeregistered":
+          agents.delete(args.agent);
+          break;
+      }
+    }
+    return [...agents.values()];
+  }
+
+  getFeeHistory() {
+    return this.getEvents({ name: "FeesUpdated" }).map((event) => ({
+      ...event.args,
+      blockNumber: event.blockNumber,
+      timestamp: event.timestamp,
+    }));
+  }
+}
+
+function sameAddress(a, b) {
+  return a !== null && b !== null && a.toLowerCase() === b.toLowerCase();
+}
+
+module.exports = {
+  TrustEstateIndexer,
+};
@@ -0,0 +1,52 @@
+const fs = require("fs");
+const path = require("path");
+
+// Persists the indexer state as one JSON document. Without a file path the state only lives in memory,
+// which is what the tests use.
+//
+// State shape:
+//   { version, checkpoint: { blockNumber, blockHash } | null, recentBlocks: [{ number, hash }], events: [...] }
+
+const STORE_VERSION = 1;
+
+function emptyState() {
+  return { version: STORE_VERSION, checkpoint: null, recentBlocks: [], events: [] };
+}
+
+class JsonStore {
+  constructor(file) {
+    this.file = file || null;
+    this.state = null;
+  }
+
+  load() {
+    if (this.state) {
+      return this.state;
+    }
+    if (this.file && fs.existsSync(this.file)) {
+      const state = JSON.parse(fs.readFileSync(this.file, "utf8"));
+      if (state.version !== STORE_VERSION) {
+        throw new Error(`Unsupported index version ${state.version} in ${this.file}; delete it to rebuild`);
+      }
+      this.state = state;
+    } else {
+      this.state = emptyState();
+    }
+    return this.state;
+  }
+
+  // Writes to a temp file first so a crash mid-write never leaves a truncated index behind
+  save() {
+    if (!this.file) {
+      return;
+    }
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.state, null, 2) + "\n");
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+module.exports = {
+  JsonStore,
+};
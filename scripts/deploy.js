@@ -1,11 +1,11 @@
 const hre = require("hardhat");
+const { saveDeployment } = require("../tasks/deployments");
+const { deployTrustEstateProxy } = require("./trustEstateProxy");
 
 async function main() {
   // Compile the contracts (optional, Hardhat usually compiles automatically)
   await hre.run("compile");
 
-  // Get the ContractFactory for TrustEstate
-  const TrustEstate = await hre.ethers.getContractFactory("TrustEstate");
   console.log("Deploying TrustEstate to Polygon Amoy...");
 
   // IMPORTANT: Ensure these are the actual wallet addresses on Polygon Amoy
@@ -16,36 +16,38 @@ async function main() {
   // The previous 'if' condition that checked for placeholder addresses has been removed.
   // Make sure these addresses are correct and funded with Amoy MATIC.
 
-  // Deploy the TrustEstate contract with constructor arguments
-  const trustEstate = await TrustEstate.deploy(
+  // Deploy the implementation and a proxy initialized with the wallet addresses.
+  // Later versions are rolled out with scripts/upgrade.js; the proxy address never changes.
+  const { trustEstate, implementation, deployed } = await deployTrustEstateProxy(
+    hre.ethers,
     agencyWalletAddress,
     governmentWalletAddress
   );
 
-  // Wait for the deployment transaction to be mined
-  await trustEstate.waitForDeployment();
-
   // Get the deployed contract's address
   const deployedAddress = await trustEstate.getAddress();
-
-  console.log(`TrustEstate deployed to: ${deployedAddress}`);
-
-  // You can optionally verify the contract on Polygonscan Amoy here
-  console.log("Verifying contract on Polygonscan Amoy (this may take a moment)...");
-  try {
-    await hre.run("verify:verify", {
-      address: deployedAddress,
-      constructorArguments: [
-        agencyWalletAddress,
-        governmentWalletAddress
-      ],
-    });
-    console.log("Contract verified successfully!");
-  } catch (error) {
-    if (error.message.includes("Reason: Already Verified")) {
-      console.log("Contract is already verified.");
-    } else {
-      console.error("Error verifying contract:", error);
+  const implementationAddress = await implementation.getAddress();
+
+  console.log(`TrustEstate deployed to: ${deployedAddress} (implementation ${implementationAddress})`);
+
+  // Record the address so the te:* Hardhat tasks can find it
+  saveDeployment(hre, "TrustEstateImplementation", implementationAddress);
+  const deploymentFile = saveDeployment(hre, "TrustEstate", deployedAddress);
+  console.log(`Deployment recorded in ${deploymentFile}`);
+
+  // You can optionally verify the contracts on Polygonscan Amoy here
+  console.log("Verifying contracts on Polygonscan Amoy (this may take a moment)...");
+  // The implementation, its modules and their helpers; Polygonscan links the proxy to the implementation
+  for (const { name, address, constructorArguments } of deployed) {
+    try {
+      await hre.run("verify:verify", { address, constructorArguments });
+      console.log(`${name} verified successfully!`);
+    } catch (error) {
+      if (error.message.includes("Reason: Already Verified")) {
+        console.log(`${name} is already verified.`);
+      } else {
+        console.error(`Error verifying ${name}:`, error);
+      }
     }
   }
 }
@@ -0,0 +1,83 @@
+// Deploys TrustEstate (or a later version) behind a TrustEstateProxy and returns the proxied contract.
+// Used by scripts/deploy.js and the tests, e.g.
+//   const { trustEstate } = await deployTrustEstateProxy(hre.ethers, agencyWallet, governmentWallet);
+// TrustEstate is too big for one contract, so an implementation is the core contract plus the modules in
+// contracts/modules it falls through to (see TrustEstateBase). The returned contracts carry the ABI of all of them.
+
+// In chain order: the core falls through to the first, each module to the next
+const TRUST_ESTATE_MODULES = [
+  "TrustEstateAccounts",
+  "TrustEstateRegistry",
+  "TrustEstateListings",
+  "TrustEstateOffers",
+  "TrustEstateEscrows",
+  "TrustEstateTitles",
+  "TrustEstateQueries",
+];
+
+async function deployContract(ethers, deployed, name, constructorArguments = []) {
+  const contract = await (await ethers.getContractFactory(name)).deploy(...constructorArguments);
+  await contract.waitForDeployment();
+  deployed.push({ name, address: contract.target, constructorArguments });
+  return contract;
+}
+
+// Deploys a fresh implementation and its modules. `deployed` lists every contract with its constructor
+// arguments, for verification.
+async function deployTrustEstateImplementation(ethers, contractName = "TrustEstate") {
+  const deployed = [];
+  const shareFactory = await deployContract(ethers, deployed, "PropertySharesFactory");
+
+  let next = ethers.ZeroAddress;
+  for (const name of [...TRUST_ESTATE_MODULES].reverse()) {
+    const args = name === "TrustEstateTitles" ? [next, shareFactory.target] : [next];
+    next = (await deployContract(ethers, deployed, name, args)).target;
+  }
+
+  const metadata = await deployContract(ethers, deployed, "PropertyMetadata");
+  const implementation = await deployContract(ethers, deployed, contractName, [next, metadata.target]);
+
+  return { implementation, deployed };
+}
+
+// The core ABI merged with every module's, so one contract object reaches the whole chain
+async function trustEstateAbi(ethers, contractName = "TrustEstate") {
+  const seen = new Set();
+  const abi = [];
+  for (const name of [contractName, ...TRUST_ESTATE_MODULES]) {
+    for (const fragment of (await ethers.getContractFactory(name)).interface.fragments) {
+      const key = fragment.type === "constructor" ? null : `${fragment.type} ${fragment.format("sighash")}`;
+      if (key && !seen.has(key)) {
+        seen.add(key);
+        abi.push(fragment);
+      }
+    }
+  }
+  return abi;
+}
+
+async function getTrustEstateAt(ethers, address, signer, contractName = "TrustEstate") {
+  return ethers.getContractAt(await trustEstateAbi(ethers, contractName), address, signer);
+}
+
+async function deployTrustEstateProxy(ethers, agencyWallet, governmentWallet, contractName = "TrustEstate") {
+  const { implementation, deployed } = await deployTrustEstateImplementation(ethers, contractName);
+
+  const initData = implementation.interface.encodeFunctionData("initialize", [agencyWallet, governmentWallet]);
+  const proxy = await (await ethers.getContractFactory("TrustEstateProxy")).deploy(implementation.target, initData);
+  await proxy.waitForDeployment();
+
+  return {
+    trustEstate: await getTrustEstateAt(ethers, proxy.target, undefined, contractName),
+    implementation,
+    deployed,
+  };
+}
+
+module.exports = {
+  TRUST_ESTATE_MODULES,
+  deployTrustEstateImplementation,
+  deployTrustEstateProxy,
+  getTrustEstateAt,
+  trustEstateAbi,
+};
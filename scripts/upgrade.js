@@ -0,0 +1,51 @@
+const hre = require("hardhat");
+const { getDeploymentAddress, saveDeployment } = require("../tasks/deployments");
+const { deployTrustEstateImplementation, getTrustEstateAt } = require("./trustEstateProxy");
+
+// Two-phase upgrade of the TrustEstate proxy recorded in deployments/<network>.json:
+//   npx hardhat run scripts/upgrade.js --network amoy   # deploys the new implementation and schedules it
+//   ...wait out UPGRADE_DELAY...
+//   npx hardhat run scripts/upgrade.js --network amoy   # carries the scheduled upgrade out
+// Set TRUST_ESTATE_CONTRACT to deploy a contract other than TrustEstate (on top of fresh modules), and TRUST_ESTATE_MIGRATION
+// to the name of a no-argument migration function (e.g. a reinitializer) to call during the upgrade.
+// Must be sent from an account with DEFAULT_ADMIN_ROLE.
+
+async function main() {
+  const contractName = process.env.TRUST_ESTATE_CONTRACT || "TrustEstate";
+  const proxyAddress = getDeploymentAddress(hre, "TrustEstate");
+  const trustEstate = await getTrustEstateAt(hre.ethers, proxyAddress, undefined, contractName);
+
+  const pending = await trustEstate.pendingImplementation();
+  if (pending === hre.ethers.ZeroAddress) {
+    const { implementation } = await deployTrustEstateImplementation(hre.ethers, contractName);
+    console.log(`${contractName} implementation deployed to: ${implementation.target}`);
+
+    const tx = await trustEstate.scheduleUpgrade(implementation.target);
+    await tx.wait();
+    const readyAt = await trustEstate.upgradeReadyAt();
+    console.log(`Upgrade scheduled (tx ${tx.hash}); run this script again after ${new Date(Number(readyAt) * 1000).toISOString()}`);
+    return;
+  }
+
+  const readyAt = await trustEstate.upgradeReadyAt();
+  const now = (await hre.ethers.provider.getBlock("latest")).timestamp;
+  if (now < readyAt) {
+    console.log(`Upgrade to ${pending} is still timelocked until ${new Date(Number(readyAt) * 1000).toISOString()}`);
+    return;
+  }
+
+  const migration = process.env.TRUST_ESTATE_MIGRATION;
+  const data = migration ? trustEstate.interface.encodeFunctionData(migration, []) : "0x";
+  const tx = await trustEstate.upgradeToAndCall(pending, data);
+  await tx.wait();
+
+  saveDeployment(hre, "TrustEstateImplementation", pending);
+  console.log(`TrustEstate at ${proxyAddress} upgraded to ${pending} (tx ${tx.hash})`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
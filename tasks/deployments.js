@@ -0,0 +1,45 @@
+const fs = require("fs");
+const path = require("path");
+
+// Deployed contract addresses are kept per network in deployments/<network>.json,
+// e.g. { "TrustEstate": "0x..." }, written by scripts/deploy.js and read by the te:* tasks.
+
+function deploymentFile(hre) {
+  return path.join(hre.config.paths.root, "deployments", `${hre.network.name}.json`);
+}
+
+function readDeployments(hre) {
+  const file = deploymentFile(hre);
+  if (!fs.existsSync(file)) {
+    return {};
+  }
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+function saveDeployment(hre, contractName, address) {
+  const file = deploymentFile(hre);
+  const deployments = readDeployments(hre);
+  deployments[contractName] = address;
+
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, JSON.stringify(deployments, null, 2) + "\n");
+  return file;
+}
+
+function getDeploymentAddress(hre, contractName) {
+  const address = readDeployments(hre)[contractName];
+  if (!address) {
+    throw new Error(
+      `No ${contractName} deployment recorded for network "${hre.network.name}" (${deploymentFile(hre)}). ` +
+      "Deploy with scripts/deploy.js or pass --address."
+    );
+  }
+  return address;
+}
+
+module.exports = {
+  deploymentFile,
+  readDeployments,
+  saveDeployment,
+  getDeploymentAddress,
+};
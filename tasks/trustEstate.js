@@ -0,0 +1,286 @@
+const fs = require("fs");
+const path = require("path");
+const { task, types } = require("hardhat/config");
+const { getDeploymentAddress } = require("./deployments");
+const { getTrustEstateAt } = require("../scripts/trustEstateProxy");
+
+// Day-to-day registry operations, e.g.
+//   npx hardhat te:property 3 --network amoy
+//   npx hardhat te:register-property --file prop.json --network amoy
+// Every task reads the TrustEstate address from deployments/<network>.json unless --address is given.
+
+const VERIFICATION_STATUS = ["PENDING", "APPROVED", "REJECTED"];
+// AGENT_ROLE is left out: agents get it through registerAgent/verifyAgent, which keep their record in step
+const ROLES = {
+  ADMIN: "ADMIN_ROLE",
+  GOVERNMENT: "GOVERNMENT_ROLE",
+};
+
+async function getTrustEstate(hre, args) {
+  const address = args.address || getDeploymentAddress(hre, "TrustEstate");
+  const signer = args.from
+    ? await hre.ethers.getSigner(args.from)
+    : (await hre.ethers.getSigners())[0];
+  return getTrustEstateAt(hre.ethers, address, signer);
+}
+
+function parseStatus(status) {
+  const index = VERIFICATION_STATUS.indexOf(status.toUpperCase());
+  if (index === -1) {
+    throw new Error(`Unknown status "${status}", expected one of ${VERIFICATION_STATUS.join(", ")}`);
+  }
+  return index;
+}
+
+async function currencyDecimals(hre, currency) {
+  if (!currency || currency === hre.ethers.ZeroAddress) {
+    return 18; // Native MATIC
+  }
+  const token = await hre.ethers.getContractAt(["function decimals() view returns (uint8)"], currency);
+  return token.decimals();
+}
+
+async function parseAmount(hre, amount, currency) {
+  return hre.ethers.parseUnits(amount, await currencyDecimals(hre, currency));
+}
+
+async function amountFormatter(hre, currency) {
+  const decimals = await currencyDecimals(hre, currency);
+  return (value) => hre.ethers.formatUnits(value, decimals);
+}
+
+// The flat processing fee is always charged in native MATIC, whatever the listing currency
+async function feeBreakdown(hre, trustEstate, amount, format) {
+  const [agencyCut, governmentCut, agentCommissionCut, flatProcessingFee] =
+    await trustEstate.getFeeBreakdown(amount);
+  return {
+    agencyCut: format(agencyCut),
+    governmentCut: format(governmentCut),
+    agentCommissionCut: format(agentCommissionCut),
+    flatProcessingFee: hre.ethers.formatEther(flatProcessingFee),
+    sellerProceeds: format(amount - (agencyCut + governmentCut + agentCommissionCut)),
+  };
+}
+
+// Adds the options every te:* task shares
+function teTask(name, description) {
+  return task(name, description)
+    .addOptionalParam("address", "TrustEstate address (defaults to deployments/<network>.json)")
+    .addOptionalParam("from", "Address of the signer to send from (defaults to the first account)");
+}
+
+teTask("te:register-user", "Registers the signer as a TrustEstate user")
+  .setAction(async (args, hre) => {
+    const trustEstate = await getTrustEstate(hre, args);
+    const tx = await trustEstate.registerUser();
+    await tx.wait();
+
+    const user = await trustEstate.runner.getAddress();
+    console.log(`Registered user ${user} (tx ${tx.hash})`);
+    return user;
+  });
+
+teTask("te:register-property", "Registers a property described in a JSON file")
+  .addParam("file", "JSON file with title, location, propertyType, size, bedrooms, bathrooms, features, description, documentHash")
+  .setAction(async (args, hre) => {
+    const property = JSON.parse(fs.readFileSync(args.file, "utf8"));
+    for (const field of ["title", "size", "documentHash"]) {
+      if (property[field] === undefined) {
+        throw new Error(`Property file is missing "${field}"`);
+      }
+    }
+
+    const trustEstate = await getTrustEstate(hre, args);
+    const tx = await trustEstate.registerProperty(
+      property.title,
+      property.location || "",
+      property.propertyType || "",
+      property.size,
+      property.bedrooms || 0,
+      property.bathrooms || 0,
+      property.features || "",
+      property.description || "",
+      property.documentHash
+    );
+    const receipt = await tx.wait();
+
+    const event = receipt.logs
+      .map((log) => { try { return trustEstate.interface.parseLog(log); } catch (e) { return null; } })
+      .find((parsed) => parsed && parsed.name === "PropertyRegistered");
+    if (!event) {
+      throw new Error(`No PropertyRegistered event in tx ${tx.hash}, is ${trustEstate.target} a TrustEstate contract?`);
+    }
+    const propertyId = event.args.propertyId;
+
+    console.log(`Registered property #${propertyId} "${property.title}" (tx ${tx.hash})`);
+    return propertyId;
+  });
+
+teTask("te:verify-property", "Casts a verification vote on a property, or reopens its review with PENDING")
+  .addParam("id", "Property ID", undefined, types.int)
+  .addOptionalParam("status", "APPROVED, REJECTED or PENDING", "APPROVED")
+  .addOptionalParam("reason", "Reason (or report hash) recorded with the vote", "")
+  .setAction(async (args, hre) => {
+    const status = parseStatus(args.status);
+    const trustEstate = await getTrustEstate(hre, args);
+    const tx = status === 0
+      ? await trustEstate.reopenVerification(args.id)
+      : await trustEstate.castVerificationVote(args.id, status, args.reason);
+    await tx.wait();
+
+    const current = VERIFICATION_STATUS[Number((await trustEstate.propertyStatus(args.id)).verificationStatus)];
+    if (status === 0) {
+      console.log(`Property #${args.id} review reopened (tx ${tx.hash})`);
+    } else {
+      const [, approvals, rejections, quorum] = await trustEstate.getVerificationTally(args.id);
+      console.log(`Voted ${VERIFICATION_STATUS[status]} on property #${args.id} (tx ${tx.hash})`);
+      console.log(`Property #${args.id} is ${current}; open round: ${approvals} approvals, ${rejections} rejections, quorum ${quorum}`);
+    }
+    return current;
+  });
+
+teTask("te:list-sale", "Lists a property for sale")
+  .addParam("id", "Property ID", undefined, types.int)
+  .addParam("price", "Sale price in whole units, e.g. 2.5")
+  .addOptionalParam("currency", "Allowlisted ERC-20 to price the sale in (defaults to native MATIC)")
+  .setAction(async (args, hre) => {
+    const trustEstate = await getTrustEstate(hre, args);
+    const currency = args.currency || hre.ethers.ZeroAddress;
+    const price = await parseAmount(hre, args.price, currency);
+
+    const tx = await trustEstate.listPropertyForSaleInToken(args.id, price, currency);
+    await tx.wait();
+
+    const fees = await feeBreakdown(hre, trustEstate, price, await amountFormatter(hre, currency));
+    console.log(`Property #${args.id} listed for sale at ${args.price} (tx ${tx.hash})`);
+    console.table(fees);
+    return fees;
+  });
+
+teTask("te:set-fees", "Updates the fee configuration")
+  .addParam("agency", "Agency fee in basis points", undefined, types.int)
+  .addParam("government", "Government fee in basis points", undefined, types.int)
+  .addParam("processing", "Flat processing fee in MATIC, e.g. 0.005")
+  .addParam("commission", "Agent commission in basis points", undefined, types.int)
+  .addFlag("disabled", "Turn fees off")
+  .setAction(async (args, hre) => {
+    const trustEstate = await getTrustEstate(hre, args);
+    const tx = await trustEstate.setFees(
+      args.agency,
+      args.government,
+      hre.ethers.parseEther(args.processing),
+      args.commission,
+      !args.disabled
+    );
+    await tx.wait();
+
+    const config = await trustEstate.feeConfig();
+    const fees = {
+      agencyFeePercent: `${Number(config.agencyFeePercent) / 100}%`,
+      governmentFeePercent: `${Number(config.governmentFeePercent) / 100}%`,
+      processingFeeFlat: `${hre.ethers.formatEther(config.processingFeeFlat)} MATIC`,
+      agentCommissionPercent: `${Number(config.agentCommissionPercent) / 100}%`,
+      feesEnabled: config.feesEnabled,
+    };
+    console.log(`Fees updated (tx ${tx.hash})`);
+    console.table(fees);
+    return fees;
+  });
+
+teTask("te:grant-role", "Grants ADMIN or GOVERNMENT role to an account")
+  .addParam("role", "ADMIN or GOVERNMENT")
+  .addParam("account", "Account to grant the role to")
+  .setAction(async (args, hre) => {
+    const roleName = ROLES[args.role.toUpperCase()];
+    if (!roleName) {
+      throw new Error(`Unknown role "${args.role}", expected one of ${Object.keys(ROLES).join(", ")}`);
+    }
+
+    const trustEstate = await getTrustEstate(hre, args);
+    const tx = await trustEstate.grantRole(await trustEstate[roleName](), args.account);
+    await tx.wait();
+
+    console.log(`Granted ${roleName} to ${args.account} (tx ${tx.hash})`);
+    return roleName;
+  });
+
+teTask("te:property", "Prints a property's details, status and fee breakdown")
+  .addPositionalParam("id", "Property ID", undefined, types.int)
+  .setAction(async (args, hre) => {
+    const trustEstate = await getTrustEstate(hre, args);
+    const status = await trustEstate.propertyStatus(args.id);
+    if (!status.isRegistered) {
+      throw new Error(`Property #${args.id} does not exist`);
+    }
+    const info = await trustEstate.propertyInfo(args.id);
+    const timestamps = await trustEstate.propertyTimestamps(args.id);
+    const formatDate = (seconds) => (seconds > 0n ? new Date(Number(seconds) * 1000).toISOString() : "-");
+    const formatSale = await amountFormatter(hre, await trustEstate.saleCurrency(args.id));
+    const formatRent = await amountFormatter(hre, await trustEstate.rentCurrency(args.id));
+
+    const details = {
+      id: args.id,
+      title: info.title,
+      location: info.location,
+      propertyType: info.propertyType,
+      size: info.size.toString(),
+      bedrooms: info.bedrooms.toString(),
+      bathrooms: info.bathrooms.toString(),
+      owner: status.owner,
+      verificationStatus: VERIFICATION_STATUS[Number(status.verificationStatus)],
+      verifiedBy: status.verifiedBy,
+      isMinted: status.isMinted,
+      isForSale: status.isForSale,
+      salePrice: formatSale(status.salePrice),
+      isForRent: status.isForRent,
+      rentPrice: formatRent(status.rentPrice),
+      documentHash: info.documentHash,
+      surveyReportHash: info.surveyReportHash,
+      registeredAt: formatDate(timestamps.registeredAt),
+      verifiedAt: formatDate(timestamps.verifiedAt),
+      mintedAt: formatDate(timestamps.mintedAt),
+    };
+    console.table(details);
+
+    if (status.isForSale) {
+      details.saleFees = await feeBreakdown(hre, trustEstate, status.salePrice, formatSale);
+      console.log("Sale fee breakdown:");
+      console.table(details.saleFees);
+    }
+    if (status.isForRent) {
+      details.rentFees = await feeBreakdown(hre, trustEstate, status.rentPrice, formatRent);
+      console.log("Rent fee breakdown:");
+      console.table(details.rentFees);
+    }
+    return details;
+  });
+
+teTask("te:index", "Indexes TrustEstate events into a local JSON database")
+  .addOptionalParam("out", "Index file (defaults to indexes/<network>.json)")
+  .addOptionalParam("startBlock", "Block to start indexing from", 0, types.int)
+  .addOptionalParam("confirmations", "Blocks to wait before indexing a block", 0, types.int)
+  .addFlag("watch", "Keep polling for new events")
+  .setAction(async (args, hre) => {
+    const { TrustEstateIndexer } = require("../indexer/TrustEstateIndexer");
+    const { JsonStore } = require("../indexer/jsonStore");
+
+    const out = args.out || path.join(hre.config.paths.root, "indexes", `${hre.network.name}.json`);
+    const indexer = new TrustEstateIndexer({
+      provider: hre.ethers.provider,
+      address: args.address || getDeploymentAddress(hre, "TrustEstate"),
+      abi: (await hre.artifacts.readArtifact("TrustEstate")).abi,
+      store: new JsonStore(out),
+      startBlock: args.startBlock,
+      confirmations: args.confirmations,
+    });
+
+    const added = await indexer.sync();
+    console.log(`Indexed ${added} new events up to block ${indexer.getCheckpoint().blockNumber} into ${out}`);
+
+    if (args.watch) {
+      console.log("Watching for new events, Ctrl+C to stop");
+      indexer.start();
+      await new Promise(() => {});
+    }
+    return indexer;
+  });
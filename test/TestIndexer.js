@@ -0,0 +1,235 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, artifacts, network } = require("hardhat");
+const { TrustEstateIndexer } = require("../indexer/TrustEstateIndexer");
+const { JsonStore } = require("../indexer/jsonStore");
+const { deployTrustEstateProxy } = require("../scripts/trustEstateProxy");
+
+describe("TrustEstate Event Indexer", function () {
+    let trustEstate, abi, startBlock;
+    let owner, agency, government, agent, seller, buyer;
+    let indexer;
+
+    const price = ethers.parseEther("1");
+
+    async function registerApprovedProperty(title) {
+        const tx = await trustEstate.connect(seller).registerProperty(
+            title, "Index Lane", "House", 120, 3, 2, "Garden", "Indexed home", "QmIndexDoc"
+        );
+        const receipt = await tx.wait();
+        const propertyId = receipt.logs
+            .map((log) => trustEstate.interface.parseLog(log))
+            .find((parsed) => parsed && parsed.name === "PropertyRegistered").args.propertyId;
+        await trustEstate.connect(government).verifyProperty(propertyId, 1);
+        return propertyId;
+    }
+
+    async function buy(propertyId, from, amount) {
+        const [, , , processingFee] = await trustEstate.getFeeBreakdown(amount);
+        await trustEstate.connect(from).purchaseProperty(propertyId, { value: amount + processingFee });
+    }
+
+    function newIndexer(store) {
+        return new TrustEstateIndexer({ provider: ethers.provider, address: trustEstate.target, abi, store, startBlock });
+    }
+
+    before(async function () {
+        [owner, agency, government, agent, seller, buyer] = await ethers.getSigners();
+        startBlock = await ethers.provider.getBlockNumber();
+
+        ({ trustEstate } = await deployTrustEstateProxy(ethers, agency.address, government.address));
+        abi = (await artifacts.readArtifact("TrustEstate")).abi;
+
+        await trustEstate.grantRole(await trustEstate.GOVERNMENT_ROLE(), government.address);
+        await trustEstate.connect(seller).registerUser();
+        await trustEstate.connect(buyer).registerUser();
+        await trustEstate.setFees(500, 200, ethers.parseEther("0.005"), 100, true);
+
+        indexer = newIndexer();
+    });
+
+    it("should replay registrations, verifications and fee updates", async function () {
+        const propertyId = await registerApprovedProperty("First Index House");
+        await trustEstate.registerAgent(agent.address, "Index Agent", "agent@example.com");
+        await trustEstate.verifyAgent(agent.address, 1);
+
+        const added = await indexer.sync();
+
+        expect(added).to.be.greaterThan(0);
+        expect(indexer.getCheckpoint().blockNumber).to.equal(await ethers.provider.getBlockNumber());
+        expect(indexer.getProperty(propertyId)).to.include({
+            owner: seller.address,
+            verificationStatus: "APPROVED",
+            isForSale: false
+        });
+        expect(indexer.getAgents()).to.deep.equal([{
+            agent: agent.address,
+            name: "Index Agent",
+            verificationStatus: "APPROVED",
+            licenseNumber: null,
+            licenseExpiry: null,
+            isSuspended: false
+        }]);
+        expect(indexer.getFeeHistory()[0]).to.include({ agencyFeePercent: "500", feesEnabled: true });
+    });
+
+    it("should only index new blocks on the next sync", async function () {
+        const before = indexer.getEvents().length;
+        expect(await indexer.sync()).to.equal(0);
+
+        await trustEstate.connect(owner).setFees(400, 200, ethers.parseEther("0.005"), 100, true);
+        expect(await indexer.sync()).to.equal(1);
+        expect(indexer.getEvents()).to.have.length(before + 1);
+        expect(indexer.getFeeHistory().map((fees) => fees.agencyFeePercent)).to.deep.equal(["500", "400"]);
+    });
+
+    it("should answer sales by owner, purchases and price history", async function () {
+        const propertyId = await registerApprovedProperty("Sold Index House");
+        await trustEstate.connect(seller).listPropertyForSale(propertyId, price);
+        await buy(propertyId, buyer, price);
+        await trustEstate.connect(buyer).listPropertyForSale(propertyId, price * 2n);
+        await indexer.sync();
+
+        const [sale] = indexer.getSalesByOwner(seller.address);
+        expect(sale).to.include({
+            propertyId: propertyId.toString(),
+            seller: seller.address,
+            buyer: buyer.address,
+            price: price.toString()
+        });
+        expect(indexer.getPurchasesByBuyer(buyer.address)).to.deep.equal([sale]);
+        expect(indexer.getSalesByOwner(buyer.address)).to.be.empty;
+
+        expect(indexer.getPriceHistory(propertyId).map((entry) => [entry.kind, entry.price])).to.deep.equal([
+            ["LISTED_FOR_SALE", price.toString()],
+            ["SOLD", price.toString()],
+            ["LISTED_FOR_SALE", (price * 2n).toString()]
+        ]);
+        expect(indexer.getProperty(propertyId)).to.include({ owner: buyer.address, isForSale: true });
+    });
+
+    it("should track rentals starting and ending", async function () {
+        const propertyId = await registerApprovedProperty("Rented Index House");
+        await trustEstate.connect(seller).listPropertyForRent(propertyId, price, 1);
+        const [, , , processingFee] = await trustEstate.getFeeBreakdown(price);
+        await trustEstate.connect(buyer).rentProperty(propertyId, { value: price + processingFee });
+        await indexer.sync();
+        expect(indexer.getProperty(propertyId)).to.include({ tenant: buyer.address, isForRent: true });
+
+        await trustEstate.connect(seller).endRental(propertyId);
+        await indexer.sync();
+        expect(indexer.getProperty(propertyId).tenant).to.be.null;
+        expect(indexer.getEvents({ name: "RentalEnded", propertyId })).to.have.length(1);
+    });
+
+    it("should follow repriced, expiring and cancelled listings", async function () {
+        const propertyId = await registerApprovedProperty("Repriced Index House");
+        await trustEstate.connect(seller).listPropertyForSale(propertyId, price);
+        await trustEstate.connect(seller).updateSalePrice(propertyId, price / 2n);
+        const expiresAt = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+        await trustEstate.connect(seller).setListingExpiry(propertyId, expiresAt);
+        await indexer.sync();
+
+        expect(indexer.getProperty(propertyId)).to.include({
+            isForSale: true,
+            salePrice: (price / 2n).toString(),
+            listingExpiry: expiresAt.toString()
+        });
+        expect(indexer.getPriceHistory(propertyId).map((entry) => entry.kind))
+            .to.deep.equal(["LISTED_FOR_SALE", "SALE_REPRICED"]);
+
+        await trustEstate.connect(seller).cancelSaleListing(propertyId);
+        await indexer.sync();
+        expect(indexer.getProperty(propertyId)).to.include({ isForSale: false, listingExpiry: null });
+    });
+
+    it("should take properties off sale when an installment plan or a succession starts", async function () {
+        const planPropertyId = await registerApprovedProperty("Installment Index House");
+        await trustEstate.connect(seller).listPropertyForSale(planPropertyId, price);
+        const terms = { deposit: price / 2n, installmentCount: 1, interval: 3600, gracePeriod: 3600, defaultRefundPercent: 0 };
+        await trustEstate.connect(seller).offerInstallmentPlan(planPropertyId, terms);
+        const [, , , processingFee] = await trustEstate.getFeeBreakdown(terms.deposit);
+        await trustEstate.connect(buyer).startInstallmentPlan(planPropertyId, { value: terms.deposit + processingFee });
+
+        const estatePropertyId = await registerApprovedProperty("Estate Index House");
+        await trustEstate.connect(seller).listPropertyForSale(estatePropertyId, price);
+        await trustEstate.connect(seller).designateBeneficiaries(estatePropertyId, [buyer.address], [10000]);
+        await trustEstate.connect(government).initiateSuccession(estatePropertyId, ethers.id("index-death-certificate"));
+
+        await indexer.sync();
+        expect(indexer.getProperty(planPropertyId)).to.include({ owner: seller.address, isForSale: false });
+        expect(indexer.getProperty(estatePropertyId)).to.include({ owner: seller.address, isForSale: false });
+    });
+
+    it("should roll back events from blocks dropped by a reorg", async function () {
+        const propertyId = await registerApprovedProperty("Reorged Index House");
+        await trustEstate.connect(seller).listPropertyForSale(propertyId, price);
+        await indexer.sync();
+
+        const snapshot = await network.provider.send("evm_snapshot");
+        await buy(propertyId, buyer, price);
+        await indexer.sync();
+        expect(indexer.getPurchasesByBuyer(buyer.address)).to.have.length(2);
+
+        // Replace the sale block with a different chain of the same height plus one
+        await network.provider.send("evm_revert", [snapshot]);
+        await trustEstate.connect(seller).listPropertyForSale(propertyId, price * 3n);
+        await network.provider.send("evm_mine");
+
+        await indexer.sync();
+        expect(indexer.getPurchasesByBuyer(buyer.address)).to.have.length(1);
+        expect(indexer.getProperty(propertyId)).to.include({ owner: seller.address, salePrice: (price * 3n).toString() });
+        expect(indexer.getCheckpoint().blockHash).to.equal((await ethers.provider.getBlock("latest")).hash);
+    });
+
+    it("should persist to a JSON file and resume from its checkpoint", async function () {
+        const file = path.join(os.tmpdir(), `te-index-${Date.now()}.json`);
+        try {
+            const first = newIndexer(new JsonStore(file));
+            const total = await first.sync();
+            const checkpoint = first.getCheckpoint();
+
+            const resumed = newIndexer(new JsonStore(file));
+            expect(resumed.getCheckpoint()).to.deep.equal(checkpoint);
+            expect(resumed.getEvents()).to.have.length(total);
+            expect(await resumed.sync()).to.equal(0);
+            expect(resumed.getSalesByOwner(seller.address)).to.deep.equal(first.getSalesByOwner(seller.address));
+        } finally {
+            fs.rmSync(file, { force: true });
+        }
+    });
+
+    it("should take bought-out properties off the rental market", async function () {
+        const propertyId = await registerApprovedProperty("Bought Out Index House");
+        await trustEstate.connect(seller).mintPropertyNFT(propertyId);
+        await trustEstate.connect(seller).fractionalizeProperty(propertyId, ethers.parseEther("100"), "Index Shares", "IDX", price);
+        await trustEstate.connect(seller).listPropertyForRent(propertyId, price, 3600);
+        await indexer.sync();
+        expect(indexer.getProperty(propertyId)).to.include({ isForRent: true });
+
+        await trustEstate.connect(buyer).buyoutProperty(propertyId, { value: price });
+        await indexer.sync();
+        expect(indexer.getProperty(propertyId)).to.include({ owner: buyer.address, isForRent: false, shareToken: null });
+    });
+
+    it("should take a property handed back by a sale reversal off the market", async function () {
+        const propertyId = await registerApprovedProperty("Reversed Index House");
+        await trustEstate.setHoldbackPeriod(3600);
+        try {
+            await trustEstate.connect(seller).listPropertyForSale(propertyId, price);
+            await buy(propertyId, buyer, price);
+            await trustEstate.connect(buyer).listPropertyForRent(propertyId, price, 3600);
+            const escrowIds = await trustEstate.getPropertyEscrows(propertyId);
+            const escrowId = escrowIds[escrowIds.length - 1];
+            await trustEstate.connect(buyer).openDispute(escrowId, ethers.id("index-evidence"));
+            await trustEstate.connect(government).resolveDispute(escrowId, 2, 0, "Title defect");
+        } finally {
+            await trustEstate.setHoldbackPeriod(0);
+        }
+
+        await indexer.sync();
+        expect(indexer.getProperty(propertyId)).to.include({ owner: seller.address, isForSale: false, isForRent: false });
+    });
+});
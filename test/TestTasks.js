@@ -0,0 +1,162 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { ethers } = hre;
+const { deploymentFile, saveDeployment } = require("../tasks/deployments");
+const { deployTrustEstateProxy } = require("../scripts/trustEstateProxy");
+
+describe("TrustEstate Hardhat Tasks", function () {
+    let trustEstate;
+    let owner, agency, government, user1, newAdmin;
+    let previousDeployments; // Restored after the suite so a local deployments file survives
+    let propertyFile;
+
+    // Runs a task while capturing what it prints
+    async function runTask(name, args = {}) {
+        const output = [];
+        const originalLog = console.log;
+        const originalTable = console.table;
+        console.log = (...values) => output.push(values.join(" "));
+        console.table = (data) => output.push(JSON.stringify(data));
+        try {
+            const result = await hre.run(name, args);
+            return { result, output: output.join("\n") };
+        } finally {
+            console.log = originalLog;
+            console.table = originalTable;
+        }
+    }
+
+    before(async function () {
+        [owner, agency, government, user1, newAdmin] = await ethers.getSigners();
+        ({ trustEstate } = await deployTrustEstateProxy(ethers, agency.address, government.address));
+
+        const file = deploymentFile(hre);
+        previousDeployments = fs.existsSync(file) ? fs.readFileSync(file, "utf8") : null;
+        saveDeployment(hre, "TrustEstate", trustEstate.target);
+
+        propertyFile = path.join(os.tmpdir(), `te-property-${Date.now()}.json`);
+        fs.writeFileSync(propertyFile, JSON.stringify({
+            title: "Task House",
+            location: "CLI Close",
+            propertyType: "Bungalow",
+            size: 140,
+            bedrooms: 3,
+            bathrooms: 2,
+            features: "Garden",
+            description: "Registered from a task",
+            documentHash: "QmTaskDoc"
+        }));
+    });
+
+    after(function () {
+        const file = deploymentFile(hre);
+        if (previousDeployments === null) {
+            fs.rmSync(file, { force: true });
+        } else {
+            fs.writeFileSync(file, previousDeployments);
+        }
+        fs.rmSync(propertyFile, { force: true });
+    });
+
+    it("te:register-user should register the signer", async function () {
+        const { result, output } = await runTask("te:register-user", { from: user1.address });
+
+        expect(result).to.equal(user1.address);
+        expect(await trustEstate.registeredUsers(user1.address)).to.be.true;
+        expect(output).to.contain(`Registered user ${user1.address}`);
+    });
+
+    it("te:register-property should register the property from a JSON file", async function () {
+        const { result, output } = await runTask("te:register-property", { file: propertyFile, from: user1.address });
+
+        const info = await trustEstate.propertyInfo(result);
+        expect(info.title).to.equal("Task House");
+        expect(info.documentHash).to.equal("QmTaskDoc");
+        expect((await trustEstate.propertyStatus(result)).owner).to.equal(user1.address);
+        expect(output).to.contain(`Registered property #${result}`);
+    });
+
+    it("te:verify-property should set the decoded status", async function () {
+        const { result, output } = await runTask("te:verify-property", { id: 0, status: "approved" });
+
+        expect(result).to.equal("APPROVED");
+        expect((await trustEstate.propertyStatus(0)).verificationStatus).to.equal(1);
+        expect(output).to.contain("Voted APPROVED on property #0");
+        expect(output).to.contain("Property #0 is APPROVED");
+
+        await expect(runTask("te:verify-property", { id: 0, status: "MAYBE" }))
+            .to.be.rejectedWith('Unknown status "MAYBE"');
+    });
+
+    it("te:set-fees should update the fee configuration and print it", async function () {
+        const { result } = await runTask("te:set-fees", {
+            agency: 500,
+            government: 200,
+            processing: "0.005",
+            commission: 100,
+            disabled: false
+        });
+
+        const config = await trustEstate.feeConfig();
+        expect(config.agencyFeePercent).to.equal(500);
+        expect(config.processingFeeFlat).to.equal(ethers.parseEther("0.005"));
+        expect(config.feesEnabled).to.be.true;
+        expect(result).to.deep.equal({
+            agencyFeePercent: "5%",
+            governmentFeePercent: "2%",
+            processingFeeFlat: "0.005 MATIC",
+            agentCommissionPercent: "1%",
+            feesEnabled: true
+        });
+    });
+
+    it("te:list-sale should list the property and print the fee breakdown", async function () {
+        const { result } = await runTask("te:list-sale", { id: 0, price: "2", from: user1.address });
+
+        const status = await trustEstate.propertyStatus(0);
+        expect(status.isForSale).to.be.true;
+        expect(status.salePrice).to.equal(ethers.parseEther("2"));
+        expect(result).to.deep.equal({
+            agencyCut: "0.1",
+            governmentCut: "0.04",
+            agentCommissionCut: "0.02",
+            flatProcessingFee: "0.005",
+            sellerProceeds: "1.84"
+        });
+    });
+
+    it("te:grant-role should grant the named role", async function () {
+        await runTask("te:grant-role", { role: "admin", account: newAdmin.address });
+        expect(await trustEstate.hasRole(await trustEstate.ADMIN_ROLE(), newAdmin.address)).to.be.true;
+
+        await expect(runTask("te:grant-role", { role: "MAYOR", account: newAdmin.address }))
+            .to.be.rejectedWith('Unknown role "MAYOR"');
+        // Agents are onboarded through registerAgent/verifyAgent, not a bare role grant
+        await expect(runTask("te:grant-role", { role: "agent", account: newAdmin.address }))
+            .to.be.rejectedWith('Unknown role "agent"');
+    });
+
+    it("te:property should print decoded details and the sale fee breakdown", async function () {
+        const { result, output } = await runTask("te:property", { id: 0 });
+
+        expect(result.title).to.equal("Task House");
+        expect(result.verificationStatus).to.equal("APPROVED");
+        expect(result.owner).to.equal(user1.address);
+        expect(result.salePrice).to.equal("2.0");
+        expect(result.saleFees.sellerProceeds).to.equal("1.84");
+        expect(output).to.contain("Sale fee breakdown:");
+
+        await expect(runTask("te:property", { id: 99 }))
+            .to.be.rejectedWith("Property #99 does not exist");
+    });
+
+    it("should use --address instead of the deployments file when given", async function () {
+        const { trustEstate: other } = await deployTrustEstateProxy(ethers, agency.address, government.address);
+
+        await runTask("te:register-user", { address: other.target, from: user1.address });
+        expect(await other.registeredUsers(user1.address)).to.be.true;
+    });
+});
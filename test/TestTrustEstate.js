@@ -1,5 +1,7 @@
 const { expect } = require("chai");
 const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const { deployTrustEstateProxy } = require("../scripts/trustEstateProxy");
 
 // 0x3552f526DC9352ECFce4dB2d3A627dC0C2Be0881
 
@@ -39,15 +41,16 @@ describe("TrustEstate Contract - Comprehensive Tests", function () {
         [owner, admin, government, agent, user1, user2, user3, user4] = await ethers.getSigners(); // Destructure more signers
         TrustEstate = await ethers.getContractFactory("TrustEstate");
 
-        // Deploy the contract
+        // Deploy the contract behind its proxy
         // Using 'admin.address' for agencyWallet to clearly separate roles in tests.
-        trustEstate = await TrustEstate.deploy(
+        ({ trustEstate } = await deployTrustEstateProxy(
+            ethers,
             admin.address, // agencyWallet
             government.address // governmentWallet
-        );
+        ));
 
         // Setup roles
-        // The constructor already grants DEFAULT_ADMIN_ROLE, ADMIN_ROLE, GOVERNMENT_ROLE to msg.sender (owner).
+        // initialize() already grants DEFAULT_ADMIN_ROLE, ADMIN_ROLE, GOVERNMENT_ROLE to msg.sender (owner).
         // Here, we explicitly grant ADMIN_ROLE to the 'admin' signer and GOVERNMENT_ROLE to 'government' signer.
         await trustEstate.grantRole(await trustEstate.ADMIN_ROLE(), admin.address);
         await trustEstate.grantRole(await trustEstate.GOVERNMENT_ROLE(), government.address);
@@ -97,6 +100,31 @@ describe("TrustEstate Contract - Comprehensive Tests", function () {
         throw new Error("PropertyRegistered event not found in transaction receipt.");
     }
 
+    // Registers a property for user1 and leaves it pending review. `overrides` replaces any
+    // testProperty field, plus `owner` for another signer.
+    async function registerTestProperty(docHash, overrides = {}) {
+        const property = { ...testProperty, ...overrides };
+        const tx = await trustEstate.connect(property.owner || user1).registerProperty(
+            property.title, property.location, property.type, property.size, property.bedrooms,
+            property.bathrooms, property.features, property.description, docHash
+        );
+        return getPropertyIdFromTx(tx);
+    }
+
+    // registerTestProperty, then has the government approve it
+    async function registerApprovedProperty(docHash, overrides = {}) {
+        const propertyId = await registerTestProperty(docHash, overrides);
+        await trustEstate.connect(government).verifyProperty(propertyId, VerificationStatus.APPROVED);
+        return propertyId;
+    }
+
+    // registerApprovedProperty, then has the owner mint the NFT
+    async function mintApprovedProperty(docHash, overrides = {}) {
+        const propertyId = await registerApprovedProperty(docHash, overrides);
+        await trustEstate.connect(overrides.owner || user1).mintPropertyNFT(propertyId);
+        return propertyId;
+    }
+
     // ========== INITIAL PROPERTY REGISTRATION TESTS ==========
     describe("Initial Property Registration", function () {
         it("Should allow a registered user to register a property", async function () {
@@ -294,9 +322,9 @@ describe("TrustEstate Contract - Comprehensive Tests", function () {
         });
 
         it("Should complete property sale", async function () {
-            const initialOwnerBalance = await ethers.provider.getBalance(user1.address);
-            const initialAgencyBalance = await ethers.provider.getBalance(admin.address);
-            const initialGovBalance = await ethers.provider.getBalance(government.address);
+            const initialOwnerBalance = await trustEstate.pendingBalance(user1.address);
+            const initialAgencyBalance = await trustEstate.pendingBalance(admin.address);
+            const initialGovBalance = await trustEstate.pendingBalance(government.address);
             
             // Calculate expected fees and proceeds using the new getFeeBreakdown
             const [agencyCut, governmentCut, agentCommissionCut, flatProcessingFee] = await trustEstate.getFeeBreakdown(salePrice);
@@ -309,10 +337,10 @@ describe("TrustEstate Contract - Comprehensive Tests", function () {
             // Verify ownership transfer
             expect(await trustEstate.ownerOf(propertyId)).to.equal(user2.address);
             
-            // Verify funds distribution (approximate due to gas costs)
-            const finalOwnerBalance = await ethers.provider.getBalance(user1.address);
-            const finalAgencyBalance = await ethers.provider.getBalance(admin.address);
-            const finalGovBalance = await ethers.provider.getBalance(government.address);
+            // Verify funds distribution (credited to the pull-payment ledger)
+            const finalOwnerBalance = await trustEstate.pendingBalance(user1.address);
+            const finalAgencyBalance = await trustEstate.pendingBalance(admin.address);
+            const finalGovBalance = await trustEstate.pendingBalance(government.address);
 
             // Calculate expected seller proceeds based on the contract's logic
             // Seller (user1) is not an agent, so agentCommissionCut goes to agency
@@ -628,7 +656,7 @@ describe("TrustEstate Contract - Comprehensive Tests", function () {
                 .to.be.revertedWith("Only admin or government can verify"); // Updated expected message
         });
 
-        it("Should allow admin to verify properties", async function () {
+        it("Should not allow admin-only accounts to verify properties", async function () {
             const tx = await trustEstate.connect(user1).registerProperty(
                 "Admin Verify Property",
                 "Area",
@@ -642,12 +670,12 @@ describe("TrustEstate Contract - Comprehensive Tests", function () {
             );
             await expect(tx).to.emit(trustEstate, "PropertyRegistered");
             const propertyId = await getPropertyIdFromTx(tx);
+            // Verification is voted on by GOVERNMENT_ROLE reviewers only
             await expect(trustEstate.connect(admin).verifyProperty(propertyId, VerificationStatus.APPROVED))
-                .to.emit(trustEstate, "PropertyVerified")
-                .withArgs(propertyId, VerificationStatus.APPROVED, admin.address);
-            
+                .to.be.revertedWith("Caller is not a government agent");
+
             const propertyStatus = await trustEstate.propertyStatus(propertyId);
-            expect(propertyStatus.verificationStatus).to.equal(VerificationStatus.APPROVED);
+            expect(propertyStatus.verificationStatus).to.equal(VerificationStatus.PENDING);
         });
 
         it("Should allow government to verify properties", async function () {
@@ -687,7 +715,7 @@ describe("TrustEstate Contract - Comprehensive Tests", function () {
             await expect(tx).to.emit(trustEstate, "PropertyRegistered");
             const propertyId = await getPropertyIdFromTx(tx);
             await expect(trustEstate.connect(user2).verifyProperty(propertyId, VerificationStatus.APPROVED))
-                .to.be.revertedWith("Not authorized");
+                .to.be.revertedWith("Caller is not a government agent");
         });
     });
 
@@ -998,6 +1026,7 @@ describe("TrustEstate Contract - Comprehensive Tests", function () {
             // Register tempAgentWallet as an agent and verify
             await trustEstate.connect(admin).registerAgent(tempAgentWallet.address, "Agent User", "agent@user.com");
             await trustEstate.connect(admin).verifyAgent(tempAgentWallet.address, VerificationStatus.APPROVED);
+            await trustEstate.connect(admin).setAgentLicense(tempAgentWallet.address, "LIC-SALE", (await time.latest()) + 365 * 24 * 3600);
 
             const tx = await trustEstate.connect(tempAgentWallet).registerProperty(
                 "Agent Sold Property",
@@ -1018,9 +1047,9 @@ describe("TrustEstate Contract - Comprehensive Tests", function () {
             const salePrice = ethers.parseEther("5");
             await trustEstate.connect(tempAgentWallet).listPropertyForSale(propertyId, salePrice);
 
-            const initialSellerBalance = await ethers.provider.getBalance(tempAgentWallet.address); // Agent's balance
-            const initialAgencyBalance = await ethers.provider.getBalance(admin.address);
-            const initialGovBalance = await ethers.provider.getBalance(government.address);
+            const initialSellerBalance = await trustEstate.pendingBalance(tempAgentWallet.address); // Agent's balance
+            const initialAgencyBalance = await trustEstate.pendingBalance(admin.address);
+            const initialGovBalance = await trustEstate.pendingBalance(government.address);
 
             const [agencyCut, governmentCut, agentCommissionCut, flatProcessingFee] =
                 await trustEstate.getFeeBreakdown(salePrice);
@@ -1028,9 +1057,9 @@ describe("TrustEstate Contract - Comprehensive Tests", function () {
 
             await trustEstate.connect(user2).purchaseProperty(propertyId, { value: totalAmountToPay });
 
-            const finalSellerBalance = await ethers.provider.getBalance(tempAgentWallet.address);
-            const finalAgencyBalance = await ethers.provider.getBalance(admin.address);
-            const finalGovBalance = await ethers.provider.getBalance(government.address);
+            const finalSellerBalance = await trustEstate.pendingBalance(tempAgentWallet.address);
+            const finalAgencyBalance = await trustEstate.pendingBalance(admin.address);
+            const finalGovBalance = await trustEstate.pendingBalance(government.address);
 
             // If seller is an agent, they receive: salePrice - agencyCut - governmentCut
             const expectedSellerProceeds = salePrice - (agencyCut + governmentCut); 
@@ -1059,6 +1088,7 @@ describe("TrustEstate Contract - Comprehensive Tests", function () {
              // Register tempLandlordWallet as an agent and verify
              await trustEstate.connect(admin).registerAgent(tempLandlordWallet.address, "Agent Landlord", "landlord@agent.com");
              await trustEstate.connect(admin).verifyAgent(tempLandlordWallet.address, VerificationStatus.APPROVED);
+             await trustEstate.connect(admin).setAgentLicense(tempLandlordWallet.address, "LIC-RENT", (await time.latest()) + 365 * 24 * 3600);
  
              const tx = await trustEstate.connect(tempLandlordWallet).registerProperty(
                  "Agent Rented Property",
@@ -1080,9 +1110,9 @@ describe("TrustEstate Contract - Comprehensive Tests", function () {
              const rentalDuration = 100; // Short duration for testing
              await trustEstate.connect(tempLandlordWallet).listPropertyForRent(propertyId, rentPrice, rentalDuration);
  
-             const initialLandlordBalance = await ethers.provider.getBalance(tempLandlordWallet.address); // Agent's balance
-             const initialAgencyBalance = await ethers.provider.getBalance(admin.address);
-             const initialGovBalance = await ethers.provider.getBalance(government.address);
+             const initialLandlordBalance = await trustEstate.pendingBalance(tempLandlordWallet.address); // Agent's balance
+             const initialAgencyBalance = await trustEstate.pendingBalance(admin.address);
+             const initialGovBalance = await trustEstate.pendingBalance(government.address);
  
              const [agencyCut, governmentCut, agentCommissionCut, flatProcessingFee] =
                  await trustEstate.getFeeBreakdown(rentPrice);
@@ -1090,9 +1120,9 @@ describe("TrustEstate Contract - Comprehensive Tests", function () {
  
              await trustEstate.connect(user1).rentProperty(propertyId, { value: totalAmountToPay });
  
-             const finalLandlordBalance = await ethers.provider.getBalance(tempLandlordWallet.address);
-             const finalAgencyBalance = await ethers.provider.getBalance(admin.address);
-             const finalGovBalance = await ethers.provider.getBalance(government.address);
+             const finalLandlordBalance = await trustEstate.pendingBalance(tempLandlordWallet.address);
+             const finalAgencyBalance = await trustEstate.pendingBalance(admin.address);
+             const finalGovBalance = await trustEstate.pendingBalance(government.address);
  
              // If landlord is an agent, they receive: rentPrice - agencyCut - governmentCut
              const expectedLandlordProceeds = rentPrice - (agencyCut + governmentCut);
@@ -1145,9 +1175,9 @@ describe("TrustEstate Contract - Comprehensive Tests", function () {
             const salePrice = ethers.parseEther("10"); 
             await trustEstate.connect(user1).listPropertyForSale(propertyId, salePrice);
             
-            const initialAgencyBalance = await ethers.provider.getBalance(admin.address); 
-            const initialGovBalance = await ethers.provider.getBalance(government.address);
-            const initialOwnerBalance = await ethers.provider.getBalance(user1.address);
+            const initialAgencyBalance = await trustEstate.pendingBalance(admin.address); 
+            const initialGovBalance = await trustEstate.pendingBalance(government.address);
+            const initialOwnerBalance = await trustEstate.pendingBalance(user1.address);
             
             // Recalculate based on defaultFeeConfig
             const [agencyCut, governmentCut, agentCommissionCut, flatProcessingFee] =
@@ -1157,9 +1187,9 @@ describe("TrustEstate Contract - Comprehensive Tests", function () {
             // Execute sale
             await trustEstate.connect(user2).purchaseProperty(propertyId, { value: totalAmountToPay });
             
-            const finalAgencyBalance = await ethers.provider.getBalance(admin.address);
-            const finalGovBalance = await ethers.provider.getBalance(government.address);
-            const finalOwnerBalance = await ethers.provider.getBalance(user1.address);
+            const finalAgencyBalance = await trustEstate.pendingBalance(admin.address);
+            const finalGovBalance = await trustEstate.pendingBalance(government.address);
+            const finalOwnerBalance = await trustEstate.pendingBalance(user1.address);
             
             // Expected distribution: agencyCut (to agency) + agentCommissionCut (to agency as seller is not agent) + flatProcessingFee (to agency)
             // governmentCut (to government)
@@ -1233,4 +1263,3171 @@ describe("TrustEstate Contract - Comprehensive Tests", function () {
             ).to.not.be.reverted;
         });
     });
+
+    // ========== OFFER & COUNTER-OFFER TESTS ==========
+    describe("Offers & Counter-Offers", function () {
+        const salePrice = ethers.parseEther("3");
+        const ONE_DAY = 24 * 60 * 60;
+        let bidder; // Second registered buyer competing with user2
+
+        // Registers, approves, mints and lists a fresh property owned by user1
+        async function listFreshProperty(docHash) {
+            const propertyId = await registerApprovedProperty(docHash);
+            await trustEstate.connect(user1).mintPropertyNFT(propertyId);
+            await trustEstate.connect(user1).listPropertyForSale(propertyId, salePrice);
+            return propertyId;
+        }
+
+        // Reads the offer id from the OfferMade event
+        async function getOfferIdFromTx(tx) {
+            const receipt = await tx.wait();
+            for (const log of receipt.logs) {
+                try {
+                    const parsedLog = trustEstate.interface.parseLog(log);
+                    if (parsedLog && parsedLog.name === "OfferMade") {
+                        return parsedLog.args.offerId;
+                    }
+                } catch (e) {
+                    continue;
+                }
+            }
+            throw new Error("OfferMade event not found in transaction receipt.");
+        }
+
+        before(async function () {
+            bidder = ethers.Wallet.createRandom().connect(ethers.provider);
+            await owner.sendTransaction({ to: bidder.address, value: ethers.parseEther("20") });
+            await trustEstate.connect(bidder).registerUser();
+        });
+
+        it("Should escrow the offer and settle the accepted one while refunding the competing offer", async function () {
+            const propertyId = await listFreshProperty("offerHash1");
+            const expiry = (await time.latest()) + ONE_DAY;
+            const [, , , flatProcessingFee] = await trustEstate.getFeeBreakdown(salePrice);
+
+            const lowOffer = ethers.parseEther("2");
+            const highOffer = ethers.parseEther("2.5");
+
+            const lowTx = await trustEstate.connect(user2).makeOffer(propertyId, expiry, { value: lowOffer + flatProcessingFee });
+            await expect(lowTx).to.emit(trustEstate, "OfferMade");
+            const lowOfferId = await getOfferIdFromTx(lowTx);
+
+            const highTx = await trustEstate.connect(bidder).makeOffer(propertyId, expiry, { value: highOffer + flatProcessingFee });
+            const highOfferId = await getOfferIdFromTx(highTx);
+
+            const highOfferInfo = await trustEstate.offers(highOfferId);
+            expect(highOfferInfo.amount).to.equal(highOffer);
+            expect(highOfferInfo.processingFee).to.equal(flatProcessingFee);
+            expect(await trustEstate.getPropertyOffers(propertyId)).to.deep.equal([lowOfferId, highOfferId]);
+
+            const initialSellerBalance = await trustEstate.pendingBalance(user1.address);
+            const initialAgencyBalance = await trustEstate.pendingBalance(admin.address);
+            const initialLowBidderBalance = await trustEstate.pendingBalance(user2.address);
+
+            const acceptTx = trustEstate.connect(user1).acceptOffer(highOfferId);
+            await expect(acceptTx)
+                .to.emit(trustEstate, "OfferAccepted")
+                .withArgs(highOfferId, propertyId, highOffer);
+            await expect(acceptTx)
+                .to.emit(trustEstate, "OfferRefunded")
+                .withArgs(lowOfferId, propertyId, lowOffer + flatProcessingFee);
+
+            // Ownership and NFT moved to the winning bidder
+            expect(await trustEstate.ownerOf(propertyId)).to.equal(bidder.address);
+            const status = await trustEstate.propertyStatus(propertyId);
+            expect(status.owner).to.equal(bidder.address);
+            expect(status.isForSale).to.be.false;
+
+            // Same split as purchaseProperty, applied to the accepted offer price
+            const [agencyCut, governmentCut, agentCommissionCut] = await trustEstate.getFeeBreakdown(highOffer);
+            const expectedSellerProceeds = highOffer - (agencyCut + governmentCut + agentCommissionCut);
+            expect((await trustEstate.pendingBalance(user1.address)) - initialSellerBalance).to.be.closeTo(
+                expectedSellerProceeds,
+                ethers.parseEther("0.01")
+            );
+            expect((await trustEstate.pendingBalance(admin.address)) - initialAgencyBalance).to.equal(
+                agencyCut + agentCommissionCut + flatProcessingFee
+            );
+
+            // The losing bidder was credited the full escrow without doing anything
+            expect((await trustEstate.pendingBalance(user2.address)) - initialLowBidderBalance).to.equal(
+                lowOffer + flatProcessingFee
+            );
+            expect((await trustEstate.offers(lowOfferId)).status).to.equal(4); // REFUNDED
+        });
+
+        it("Should let the buyer accept a higher counter-offer by topping up", async function () {
+            const propertyId = await listFreshProperty("offerHash2");
+            const expiry = (await time.latest()) + ONE_DAY;
+            const [, , , flatProcessingFee] = await trustEstate.getFeeBreakdown(salePrice);
+
+            const offerAmount = ethers.parseEther("2");
+            const counterPrice = ethers.parseEther("2.8");
+
+            const tx = await trustEstate.connect(user2).makeOffer(propertyId, expiry, { value: offerAmount + flatProcessingFee });
+            const offerId = await getOfferIdFromTx(tx);
+
+            await expect(trustEstate.connect(user1).counterOffer(offerId, counterPrice))
+                .to.emit(trustEstate, "OfferCountered")
+                .withArgs(offerId, propertyId, counterPrice);
+
+            await expect(
+                trustEstate.connect(user2).acceptCounterOffer(offerId, { value: ethers.parseEther("0.5") })
+            ).to.be.revertedWith("Insufficient payment for counter");
+
+            await expect(
+                trustEstate.connect(user2).acceptCounterOffer(offerId, { value: counterPrice - offerAmount })
+            ).to.emit(trustEstate, "PropertySold").withArgs(propertyId, user2.address, counterPrice);
+
+            expect(await trustEstate.ownerOf(propertyId)).to.equal(user2.address);
+            expect((await trustEstate.offers(offerId)).status).to.equal(2); // ACCEPTED
+        });
+
+        it("Should refund the difference when the buyer accepts a lower counter-offer", async function () {
+            const propertyId = await listFreshProperty("offerHash3");
+            const expiry = (await time.latest()) + ONE_DAY;
+            const [, , , flatProcessingFee] = await trustEstate.getFeeBreakdown(salePrice);
+
+            const offerAmount = ethers.parseEther("3.5"); // Overbid
+            const counterPrice = ethers.parseEther("3");
+
+            const tx = await trustEstate.connect(bidder).makeOffer(propertyId, expiry, { value: offerAmount + flatProcessingFee });
+            const offerId = await getOfferIdFromTx(tx);
+            await trustEstate.connect(user1).counterOffer(offerId, counterPrice);
+
+            await expect(
+                trustEstate.connect(bidder).acceptCounterOffer(offerId)
+            ).to.emit(trustEstate, "PaymentCredited").withArgs(bidder.address, ethers.ZeroAddress, offerAmount - counterPrice);
+        });
+
+        it("Should allow withdrawing an open offer and block accepting it afterwards", async function () {
+            const propertyId = await listFreshProperty("offerHash4");
+            const expiry = (await time.latest()) + ONE_DAY;
+            const offerValue = ethers.parseEther("1");
+
+            const tx = await trustEstate.connect(user2).makeOffer(propertyId, expiry, { value: offerValue });
+            const offerId = await getOfferIdFromTx(tx);
+
+            await expect(trustEstate.connect(bidder).withdrawOffer(offerId))
+                .to.be.revertedWith("Not the offer maker");
+
+            const withdrawTx = trustEstate.connect(user2).withdrawOffer(offerId);
+            await expect(withdrawTx).to.emit(trustEstate, "OfferWithdrawn").withArgs(offerId, propertyId);
+            await expect(withdrawTx).to.emit(trustEstate, "PaymentCredited").withArgs(user2.address, ethers.ZeroAddress, offerValue);
+
+            await expect(trustEstate.connect(user1).acceptOffer(offerId))
+                .to.be.revertedWith("Offer not open");
+        });
+
+        it("Should refund expired offers and reject accepting them", async function () {
+            const propertyId = await listFreshProperty("offerHash5");
+            const expiry = (await time.latest()) + ONE_DAY;
+            const offerValue = ethers.parseEther("1.2");
+
+            const tx = await trustEstate.connect(bidder).makeOffer(propertyId, expiry, { value: offerValue });
+            const offerId = await getOfferIdFromTx(tx);
+
+            await time.increase(ONE_DAY + 1);
+
+            await expect(trustEstate.connect(user1).acceptOffer(offerId))
+                .to.be.revertedWith("Offer expired");
+
+            // Anyone can trigger the refund once the offer has expired
+            await expect(trustEstate.connect(user2).refundExpiredOffers(propertyId))
+                .to.emit(trustEstate, "PaymentCredited").withArgs(bidder.address, ethers.ZeroAddress, offerValue);
+            expect((await trustEstate.offers(offerId)).status).to.equal(4); // REFUNDED
+        });
+
+        it("Should refund open offers when the property is bought at the listed price", async function () {
+            const propertyId = await listFreshProperty("offerHash6");
+            const expiry = (await time.latest()) + ONE_DAY;
+            const offerValue = ethers.parseEther("1");
+
+            const tx = await trustEstate.connect(bidder).makeOffer(propertyId, expiry, { value: offerValue });
+            const offerId = await getOfferIdFromTx(tx);
+
+            const [, , , flatProcessingFee] = await trustEstate.getFeeBreakdown(salePrice);
+            await expect(
+                trustEstate.connect(user2).purchaseProperty(propertyId, { value: salePrice + flatProcessingFee })
+            ).to.emit(trustEstate, "OfferRefunded").withArgs(offerId, propertyId, offerValue);
+        });
+
+        it("Should reject offers on unlisted properties, own properties or with past expiry", async function () {
+            const propertyId = await listFreshProperty("offerHash7");
+            const now = await time.latest();
+
+            await expect(
+                trustEstate.connect(user1).makeOffer(propertyId, now + ONE_DAY, { value: ethers.parseEther("1") })
+            ).to.be.revertedWith("Cannot buy your own property");
+            await expect(
+                trustEstate.connect(user2).makeOffer(propertyId, now, { value: ethers.parseEther("1") })
+            ).to.be.revertedWith("Expiry must be in the future");
+            await expect(
+                trustEstate.connect(user3).makeOffer(propertyId, now + ONE_DAY, { value: ethers.parseEther("1") })
+            ).to.be.revertedWith("Not registered");
+
+            const [, , , flatProcessingFee] = await trustEstate.getFeeBreakdown(salePrice);
+            await expect(
+                trustEstate.connect(user2).makeOffer(propertyId, now + ONE_DAY, { value: flatProcessingFee })
+            ).to.be.revertedWith("Offer must exceed processing fee");
+
+            await expect(
+                trustEstate.connect(user2).counterOffer(0, ethers.parseEther("1"))
+            ).to.be.revertedWith("Not the owner");
+        });
+    });
+
+    // ========== PULL-PAYMENT LEDGER TESTS ==========
+    describe("Pull-Payment Ledger", function () {
+        let receiver; // Contract wallet that rejects plain ETH transfers
+
+        before(async function () {
+            const RevertingReceiver = await ethers.getContractFactory("RevertingReceiver");
+            receiver = await RevertingReceiver.deploy();
+        });
+
+        it("Should let a withdrawer pull their credited balance", async function () {
+            const pending = await trustEstate.pendingBalance(user1.address);
+            expect(pending).to.be.greaterThan(0); // Credited by the earlier sales
+
+            const tx = trustEstate.connect(user1).withdraw();
+            await expect(tx)
+                .to.emit(trustEstate, "Withdrawn")
+                .withArgs(user1.address, user1.address, ethers.ZeroAddress, pending);
+            await expect(tx).to.changeEtherBalances([trustEstate, user1], [-pending, pending]);
+
+            expect(await trustEstate.pendingBalance(user1.address)).to.equal(0);
+            await expect(trustEstate.connect(user1).withdraw())
+                .to.be.revertedWith("Nothing to withdraw");
+        });
+
+        it("Should not let a reverting recipient contract block a sale", async function () {
+            const receiverAddress = await receiver.getAddress();
+            const salePrice = ethers.parseEther("1");
+
+            // The contract wallet registers, lists and sells a property through its execute() hook
+            await receiver.execute(trustEstate.target, trustEstate.interface.encodeFunctionData("registerUser"));
+            const tx = await receiver.execute(
+                trustEstate.target,
+                trustEstate.interface.encodeFunctionData("registerProperty", [
+                    "Multisig Property", "Treasury Lane", "Office", 250, 0, 2, "", "", "multisigHash"
+                ])
+            );
+            const propertyId = await getPropertyIdFromTx(tx);
+            await trustEstate.connect(government).verifyProperty(propertyId, VerificationStatus.APPROVED);
+            await receiver.execute(
+                trustEstate.target,
+                trustEstate.interface.encodeFunctionData("listPropertyForSale", [propertyId, salePrice])
+            );
+
+            const [agencyCut, governmentCut, agentCommissionCut, flatProcessingFee] =
+                await trustEstate.getFeeBreakdown(salePrice);
+            const expectedProceeds = salePrice - (agencyCut + governmentCut + agentCommissionCut);
+
+            await expect(
+                trustEstate.connect(user2).purchaseProperty(propertyId, { value: salePrice + flatProcessingFee })
+            ).to.emit(trustEstate, "PaymentCredited").withArgs(receiverAddress, ethers.ZeroAddress, expectedProceeds);
+            expect((await trustEstate.propertyStatus(propertyId)).owner).to.equal(user2.address);
+
+            // Pulling to itself still fails, but the funds stay safe and can go elsewhere
+            await expect(
+                receiver.execute(trustEstate.target, trustEstate.interface.encodeFunctionData("withdraw"))
+            ).to.be.revertedWith("Withdrawal failed");
+            expect(await trustEstate.pendingBalance(receiverAddress)).to.equal(expectedProceeds);
+
+            await expect(
+                receiver.execute(
+                    trustEstate.target,
+                    trustEstate.interface.encodeFunctionData("withdrawTo", [user4.address])
+                )
+            ).to.changeEtherBalance(user4, expectedProceeds);
+            expect(await trustEstate.pendingBalance(receiverAddress)).to.equal(0);
+        });
+
+        it("Should credit overpayments back to the buyer instead of pushing them", async function () {
+            const propertyId = await registerApprovedProperty("overpaidHash");
+
+            const salePrice = ethers.parseEther("1");
+            await trustEstate.connect(user1).listPropertyForSale(propertyId, salePrice);
+
+            const [, , , flatProcessingFee] = await trustEstate.getFeeBreakdown(salePrice);
+            const excess = ethers.parseEther("0.3");
+
+            await expect(
+                trustEstate.connect(user2).purchaseProperty(propertyId, { value: salePrice + flatProcessingFee + excess })
+            ).to.emit(trustEstate, "PaymentCredited").withArgs(user2.address, ethers.ZeroAddress, excess);
+        });
+
+        it("Should reject withdrawing to the zero address", async function () {
+            await expect(trustEstate.connect(user2).withdrawTo(ethers.ZeroAddress))
+                .to.be.revertedWith("Invalid recipient");
+        });
+    });
+
+    // ========== ERC-20 PAYMENT TESTS ==========
+    describe("ERC-20 Payments", function () {
+        let token; // Mock 6-decimal stablecoin
+        const toUnits = (value) => ethers.parseUnits(value, 6);
+
+        before(async function () {
+            const MockERC20 = await ethers.getContractFactory("MockERC20");
+            token = await MockERC20.deploy("Mock USD", "mUSD", 6);
+            await token.mint(user2.address, toUnits("1000000"));
+        });
+
+        it("Should only let admins allowlist payment tokens", async function () {
+            await expect(trustEstate.connect(user1).setPaymentToken(token.target, true))
+                .to.be.revertedWith("Caller is not an admin");
+
+            const propertyId = await registerApprovedProperty("tokenHash1");
+            await expect(
+                trustEstate.connect(user1).listPropertyForSaleInToken(propertyId, toUnits("1000"), token.target)
+            ).to.be.revertedWith("Payment token not allowed");
+
+            await expect(trustEstate.connect(admin).setPaymentToken(token.target, true))
+                .to.emit(trustEstate, "PaymentTokenUpdated")
+                .withArgs(token.target, true);
+            expect(await trustEstate.allowedPaymentTokens(token.target)).to.be.true;
+        });
+
+        it("Should sell a property for tokens using the same fee split", async function () {
+            const propertyId = await registerApprovedProperty("tokenHash2");
+            const salePrice = toUnits("250000");
+            await trustEstate.connect(user1).mintPropertyNFT(propertyId);
+            await trustEstate.connect(user1).listPropertyForSaleInToken(propertyId, salePrice, token.target);
+            expect(await trustEstate.saleCurrency(propertyId)).to.equal(token.target);
+
+            const [agencyCut, governmentCut, agentCommissionCut, flatProcessingFee] =
+                await trustEstate.getFeeBreakdown(salePrice);
+
+            // Without an allowance the token pull fails
+            await expect(
+                trustEstate.connect(user2).purchaseProperty(propertyId, { value: flatProcessingFee })
+            ).to.be.reverted;
+
+            await token.connect(user2).approve(trustEstate.target, salePrice);
+            const initialSellerTokens = await trustEstate.pendingTokenBalance(user1.address, token.target);
+            const initialAgencyTokens = await trustEstate.pendingTokenBalance(admin.address, token.target);
+            const initialAgencyNative = await trustEstate.pendingBalance(admin.address);
+
+            // The flat processing fee is still paid in native MATIC
+            await expect(
+                trustEstate.connect(user2).purchaseProperty(propertyId, { value: flatProcessingFee })
+            ).to.changeTokenBalances(token, [user2, trustEstate], [-salePrice, salePrice]);
+
+            expect(await trustEstate.ownerOf(propertyId)).to.equal(user2.address);
+            expect((await trustEstate.pendingTokenBalance(user1.address, token.target)) - initialSellerTokens).to.equal(
+                salePrice - (agencyCut + governmentCut + agentCommissionCut)
+            );
+            expect((await trustEstate.pendingTokenBalance(admin.address, token.target)) - initialAgencyTokens).to.equal(
+                agencyCut + agentCommissionCut
+            );
+            expect(await trustEstate.pendingTokenBalance(government.address, token.target)).to.be.at.least(governmentCut);
+            expect((await trustEstate.pendingBalance(admin.address)) - initialAgencyNative).to.equal(flatProcessingFee);
+
+            // Seller pulls their token proceeds
+            const proceeds = await trustEstate.pendingTokenBalance(user1.address, token.target);
+            await expect(trustEstate.connect(user1).withdrawToken(token.target))
+                .to.emit(trustEstate, "Withdrawn")
+                .withArgs(user1.address, user1.address, token.target, proceeds);
+            expect(await token.balanceOf(user1.address)).to.equal(proceeds);
+        });
+
+        it("Should rent a property for tokens", async function () {
+            const propertyId = await registerApprovedProperty("tokenHash3");
+            const rentPrice = toUnits("1500");
+            await trustEstate.connect(user1).listPropertyForRentInToken(propertyId, rentPrice, 30 * 24 * 60 * 60, token.target);
+
+            const [agencyCut, governmentCut, agentCommissionCut, flatProcessingFee] =
+                await trustEstate.getFeeBreakdown(rentPrice);
+            const initialLandlordTokens = await trustEstate.pendingTokenBalance(user1.address, token.target);
+
+            await token.connect(user2).approve(trustEstate.target, rentPrice);
+            await expect(
+                trustEstate.connect(user2).rentProperty(propertyId, { value: flatProcessingFee })
+            ).to.emit(trustEstate, "PropertyRented").withArgs(propertyId, user2.address, rentPrice);
+
+            expect((await trustEstate.pendingTokenBalance(user1.address, token.target)) - initialLandlordTokens).to.equal(
+                rentPrice - (agencyCut + governmentCut + agentCommissionCut)
+            );
+        });
+
+        it("Should stop payments once a token is removed from the allowlist", async function () {
+            const propertyId = await registerApprovedProperty("tokenHash4");
+            const salePrice = toUnits("1000");
+            await trustEstate.connect(user1).listPropertyForSaleInToken(propertyId, salePrice, token.target);
+
+            await trustEstate.connect(admin).setPaymentToken(token.target, false);
+            await token.connect(user2).approve(trustEstate.target, salePrice);
+
+            const [, , , flatProcessingFee] = await trustEstate.getFeeBreakdown(salePrice);
+            await expect(
+                trustEstate.connect(user2).purchaseProperty(propertyId, { value: flatProcessingFee })
+            ).to.be.revertedWith("Payment token not allowed");
+
+            await trustEstate.connect(admin).setPaymentToken(token.target, true);
+        });
+
+        it("Should not accept native offers on token listings", async function () {
+            const propertyId = await registerApprovedProperty("tokenHash5");
+            await trustEstate.connect(user1).listPropertyForSaleInToken(propertyId, toUnits("1000"), token.target);
+
+            await expect(
+                trustEstate.connect(user2).makeOffer(propertyId, (await time.latest()) + 3600, { value: ethers.parseEther("1") })
+            ).to.be.revertedWith("Offers only in native currency");
+        });
+    });
+
+    // ========== RECURRING RENT TESTS ==========
+    describe("Recurring Rent", function () {
+        const ONE_DAY = 24 * 60 * 60;
+        const rentPrice = ethers.parseEther("0.3"); // Per month
+        const deposit = ethers.parseEther("0.5");
+        const leaseTerms = {
+            paymentInterval: 30 * ONE_DAY,
+            securityDeposit: deposit,
+            gracePeriod: 5 * ONE_DAY,
+            lateFeePercent: 1000 // 10% of one month's rent
+        };
+
+        // Registers, approves and lists a fresh 90-day monthly lease owned by user1
+        async function listMonthlyLease(docHash) {
+            const propertyId = await registerApprovedProperty(docHash);
+            await trustEstate.connect(user1).listPropertyForRentWithTerms(
+                propertyId,
+                rentPrice,
+                90 * ONE_DAY,
+                ethers.ZeroAddress,
+                leaseTerms
+            );
+            return propertyId;
+        }
+
+        async function payment(amount) {
+            const [, , , flatProcessingFee] = await trustEstate.getFeeBreakdown(rentPrice);
+            return amount + flatProcessingFee;
+        }
+
+        it("Should collect the first month plus the deposit and escrow the deposit", async function () {
+            const propertyId = await listMonthlyLease("leaseHash1");
+
+            await expect(
+                trustEstate.connect(user2).rentProperty(propertyId, { value: await payment(rentPrice) })
+            ).to.be.revertedWith("Insufficient payment including fees");
+
+            await trustEstate.connect(user2).rentProperty(propertyId, { value: await payment(rentPrice + deposit) });
+
+            const rental = await trustEstate.rentalInfo(propertyId);
+            expect(rental.isActive).to.be.true;
+            expect(rental.periodsPaid).to.equal(1);
+            expect(rental.depositHeld).to.equal(deposit);
+
+            const terms = await trustEstate.rentTerms(propertyId);
+            expect(terms.paymentInterval).to.equal(leaseTerms.paymentInterval);
+            expect(terms.gracePeriod).to.equal(leaseTerms.gracePeriod);
+        });
+
+        it("Should run a lease through on-time and late payments and settle the deposit", async function () {
+            const propertyId = await listMonthlyLease("leaseHash2");
+            await trustEstate.connect(user2).rentProperty(propertyId, { value: await payment(rentPrice + deposit) });
+
+            // Month 2 paid on its due date, no late fee
+            await time.increase(30 * ONE_DAY);
+            await expect(
+                trustEstate.connect(user2).payRent(propertyId, { value: await payment(rentPrice) })
+            ).to.emit(trustEstate, "RentPaid").withArgs(propertyId, user2.address, 1, rentPrice, 0);
+
+            // Month 3 is paid after its grace period ends
+            await time.increase(37 * ONE_DAY);
+            const lateFee = (rentPrice * BigInt(leaseTerms.lateFeePercent)) / 10000n;
+            const [periodsOverdue, amountOverdue] = await trustEstate.getRentArrears(propertyId);
+            expect(periodsOverdue).to.equal(1);
+            expect(amountOverdue).to.equal(rentPrice + lateFee);
+
+            await expect(
+                trustEstate.connect(user2).payRent(propertyId, { value: await payment(rentPrice) })
+            ).to.be.revertedWith("Insufficient payment including fees");
+
+            const initialLandlordBalance = await trustEstate.pendingBalance(user1.address);
+            const [agencyCut, governmentCut, agentCommissionCut] = await trustEstate.getFeeBreakdown(rentPrice);
+            await expect(
+                trustEstate.connect(user2).payRent(propertyId, { value: await payment(rentPrice + lateFee) })
+            ).to.emit(trustEstate, "RentPaid").withArgs(propertyId, user2.address, 2, rentPrice, lateFee);
+            expect((await trustEstate.pendingBalance(user1.address)) - initialLandlordBalance).to.equal(
+                rentPrice - (agencyCut + governmentCut + agentCommissionCut) + lateFee
+            );
+
+            expect((await trustEstate.getRentArrears(propertyId))[0]).to.equal(0);
+            await expect(
+                trustEstate.connect(user2).payRent(propertyId, { value: await payment(rentPrice) })
+            ).to.be.revertedWith("Rent fully paid");
+
+            // Landlord claims part of the deposit for repairs, then ends the lease
+            const deduction = ethers.parseEther("0.1");
+            await expect(trustEstate.connect(user1).claimDepositDeduction(propertyId, deduction, "Broken window"))
+                .to.emit(trustEstate, "DepositDeductionClaimed")
+                .withArgs(propertyId, deduction, "Broken window");
+
+            await time.increase(23 * ONE_DAY);
+            await expect(trustEstate.connect(user1).endRental(propertyId))
+                .to.emit(trustEstate, "DepositSettled")
+                .withArgs(propertyId, user2.address, deduction, deposit - deduction);
+            expect((await trustEstate.rentalInfo(propertyId)).depositHeld).to.equal(0);
+        });
+
+        it("Should recover unpaid rent from the deposit when the lease ends in arrears", async function () {
+            const propertyId = await listMonthlyLease("leaseHash3");
+            await trustEstate.connect(user2).rentProperty(propertyId, { value: await payment(rentPrice + deposit) });
+
+            // Tenant never pays months 2 and 3
+            await time.increase(90 * ONE_DAY);
+            const [periodsOverdue] = await trustEstate.getRentArrears(propertyId);
+            expect(periodsOverdue).to.equal(2);
+
+            // Two months of rent exceed the deposit, so the landlord keeps all of it
+            await expect(trustEstate.connect(user1).endRental(propertyId))
+                .to.emit(trustEstate, "DepositSettled")
+                .withArgs(propertyId, user2.address, deposit, 0);
+        });
+
+        it("Should make the tenant wait out the grace period before ending the lease", async function () {
+            const propertyId = await listMonthlyLease("leaseHash4");
+            await trustEstate.connect(user2).rentProperty(propertyId, { value: await payment(rentPrice + deposit) });
+
+            await time.increase(30 * ONE_DAY);
+            await trustEstate.connect(user2).payRent(propertyId, { value: await payment(rentPrice) });
+            await time.increase(30 * ONE_DAY);
+            await trustEstate.connect(user2).payRent(propertyId, { value: await payment(rentPrice) });
+
+            await time.increase(30 * ONE_DAY);
+            await expect(trustEstate.connect(user2).endRental(propertyId))
+                .to.be.revertedWith("Rental period not ended");
+
+            await time.increase(leaseTerms.gracePeriod);
+            await expect(trustEstate.connect(user2).endRental(propertyId))
+                .to.emit(trustEstate, "DepositSettled")
+                .withArgs(propertyId, user2.address, 0, deposit);
+        });
+
+        it("Should validate lease terms, deductions and who can pay", async function () {
+            const propertyId = await listMonthlyLease("leaseHash5");
+
+            await expect(
+                trustEstate.connect(user1).listPropertyForRentWithTerms(
+                    propertyId, rentPrice, 10 * ONE_DAY, ethers.ZeroAddress, leaseTerms
+                )
+            ).to.be.revertedWith("Invalid payment interval");
+            await expect(
+                trustEstate.connect(user1).listPropertyForRentWithTerms(
+                    propertyId, rentPrice, 90 * ONE_DAY, ethers.ZeroAddress, { ...leaseTerms, lateFeePercent: 10001 }
+                )
+            ).to.be.revertedWith("Late fee too high");
+
+            await trustEstate.connect(user2).rentProperty(propertyId, { value: await payment(rentPrice + deposit) });
+
+            await expect(
+                trustEstate.connect(user1).listPropertyForRentWithTerms(
+                    propertyId, rentPrice, 90 * ONE_DAY, ethers.ZeroAddress, leaseTerms
+                )
+            ).to.be.revertedWith("Property is currently rented");
+            await expect(
+                trustEstate.connect(user1).payRent(propertyId, { value: await payment(rentPrice) })
+            ).to.be.revertedWith("Not the tenant");
+            await expect(
+                trustEstate.connect(user2).claimDepositDeduction(propertyId, 1, "Not mine to claim")
+            ).to.be.revertedWith("Not the owner");
+            await expect(
+                trustEstate.connect(user1).claimDepositDeduction(propertyId, deposit + 1n, "Too much")
+            ).to.be.revertedWith("Deduction exceeds deposit");
+        });
+
+        it("Should push due dates back by time spent frozen or paused", async function () {
+            const propertyId = await listMonthlyLease("leaseHash6");
+            await trustEstate.connect(user2).rentProperty(propertyId, { value: await payment(rentPrice + deposit) });
+
+            // 15 days blocked straddling month 2's due date and grace period
+            await time.increase(28 * ONE_DAY);
+            const courtOrder = ethers.keccak256(ethers.toUtf8Bytes("lease-freeze-order"));
+            await trustEstate.connect(government).freezeProperty(propertyId, courtOrder, (await time.latest()) + 10 * ONE_DAY);
+            await time.increase(10 * ONE_DAY);
+            await trustEstate.connect(admin).pause();
+            await time.increase(5 * ONE_DAY);
+            await trustEstate.connect(admin).unpause();
+
+            expect((await trustEstate.getRentArrears(propertyId))[0]).to.equal(0);
+            await expect(
+                trustEstate.connect(user2).payRent(propertyId, { value: await payment(rentPrice) })
+            ).to.emit(trustEstate, "RentPaid").withArgs(propertyId, user2.address, 1, rentPrice, 0);
+
+            // Month 3 falls due at day 75 instead of 60, and is late after day 80
+            await time.increase(33 * ONE_DAY);
+            expect(await trustEstate.getRentArrears(propertyId)).to.deep.equal([1n, rentPrice]);
+            await time.increase(5 * ONE_DAY);
+            const lateFee = (rentPrice * BigInt(leaseTerms.lateFeePercent)) / 10000n;
+            expect((await trustEstate.getRentArrears(propertyId))[1]).to.equal(rentPrice + lateFee);
+        });
+
+        it("Should not shift due dates past the lease start when a pause overlaps a freeze", async function () {
+            const propertyId = await listMonthlyLease("leaseHash7");
+            await trustEstate.connect(user2).rentProperty(propertyId, { value: await payment(rentPrice + deposit) });
+
+            // Frozen and paused over the same 5 days, which the blocked time counts twice
+            const courtOrder = ethers.keccak256(ethers.toUtf8Bytes("lease-overlap-order"));
+            await trustEstate.connect(government).freezeProperty(propertyId, courtOrder, 0);
+            await trustEstate.connect(admin).pause();
+            await time.increase(5 * ONE_DAY);
+            expect(await trustEstate.getRentArrears(propertyId)).to.deep.equal([0n, 0n]);
+
+            await trustEstate.connect(admin).unpause();
+            await trustEstate.connect(government).unfreezeProperty(propertyId);
+            expect(await trustEstate.getRentArrears(propertyId)).to.deep.equal([0n, 0n]);
+
+            // Month 2 falls due at day 40 instead of 30
+            await time.increase(34 * ONE_DAY);
+            expect((await trustEstate.getRentArrears(propertyId))[0]).to.equal(0);
+            await time.increase(2 * ONE_DAY);
+            expect(await trustEstate.getRentArrears(propertyId)).to.deep.equal([1n, rentPrice]);
+        });
+    });
+
+    // ========== NFT TRANSFER SYNC TESTS ==========
+    describe("NFT Transfer Sync", function () {
+        const PROPERTY_OWNERSHIP_TRANSFERRED = "OwnershipTransferred(uint256,address,address)";
+
+        it("Should move registry ownership with a plain transferFrom", async function () {
+            const propertyId = await mintApprovedProperty("syncHash1");
+
+            await expect(trustEstate.connect(user1).transferFrom(user1.address, user2.address, propertyId))
+                .to.emit(trustEstate, PROPERTY_OWNERSHIP_TRANSFERRED)
+                .withArgs(propertyId, user1.address, user2.address);
+
+            expect((await trustEstate.propertyStatus(propertyId)).owner).to.equal(user2.address);
+            expect(await trustEstate.getOwnerProperties(user1.address)).to.not.include(propertyId);
+            expect(await trustEstate.getOwnerProperties(user2.address)).to.include(propertyId);
+
+            // The old owner lost control, the new holder can list
+            await expect(trustEstate.connect(user1).listPropertyForSale(propertyId, ethers.parseEther("1")))
+                .to.be.revertedWith("Not the owner");
+            await expect(trustEstate.connect(user2).listPropertyForSale(propertyId, ethers.parseEther("1")))
+                .to.emit(trustEstate, "PropertyListedForSale");
+        });
+
+        it("Should move registry ownership with safeTransferFrom by an approved operator", async function () {
+            const propertyId = await mintApprovedProperty("syncHash2");
+            await trustEstate.connect(user1).approve(user4.address, propertyId);
+
+            await expect(
+                trustEstate.connect(user4)["safeTransferFrom(address,address,uint256)"](user1.address, user2.address, propertyId)
+            ).to.emit(trustEstate, PROPERTY_OWNERSHIP_TRANSFERRED).withArgs(propertyId, user1.address, user2.address);
+
+            expect((await trustEstate.propertyStatus(propertyId)).owner).to.equal(user2.address);
+        });
+
+        it("Should block transfers of listed properties", async function () {
+            const propertyId = await mintApprovedProperty("syncHash3");
+            await trustEstate.connect(user1).listPropertyForSale(propertyId, ethers.parseEther("1"));
+
+            await expect(trustEstate.connect(user1).transferFrom(user1.address, user2.address, propertyId))
+                .to.be.revertedWith("Property is listed");
+        });
+
+        it("Should not accept a property sent to the contract by hand", async function () {
+            const propertyId = await mintApprovedProperty("syncHashLock");
+            await trustEstate.connect(user1).listPropertyForSale(propertyId, ethers.parseEther("1"));
+
+            await expect(trustEstate.connect(user1).transferFrom(user1.address, trustEstate.target, propertyId))
+                .to.be.revertedWith("Cannot transfer to TrustEstate");
+            expect(await trustEstate.ownerOf(propertyId)).to.equal(user1.address);
+        });
+
+        it("Should block transfers of rented properties", async function () {
+            const propertyId = await mintApprovedProperty("syncHash4");
+            const rentPrice = ethers.parseEther("0.1");
+            await trustEstate.connect(user1).listPropertyForRent(propertyId, rentPrice, 3600);
+            const [, , , flatProcessingFee] = await trustEstate.getFeeBreakdown(rentPrice);
+            await trustEstate.connect(user2).rentProperty(propertyId, { value: rentPrice + flatProcessingFee });
+
+            await expect(trustEstate.connect(user1).transferFrom(user1.address, user4.address, propertyId))
+                .to.be.revertedWith("Property is currently rented");
+        });
+
+        it("Should block transfers of properties that are no longer approved", async function () {
+            const propertyId = await mintApprovedProperty("syncHash5");
+            await trustEstate.connect(government).verifyProperty(propertyId, VerificationStatus.REJECTED);
+
+            await expect(trustEstate.connect(user1).transferFrom(user1.address, user2.address, propertyId))
+                .to.be.revertedWith("Property not approved");
+        });
+
+        it("Should still transfer the NFT and emit a single ownership event on purchase", async function () {
+            const propertyId = await mintApprovedProperty("syncHash6");
+            const salePrice = ethers.parseEther("1");
+            await trustEstate.connect(user1).listPropertyForSale(propertyId, salePrice);
+            const [, , , flatProcessingFee] = await trustEstate.getFeeBreakdown(salePrice);
+
+            const tx = await trustEstate.connect(user2).purchaseProperty(propertyId, { value: salePrice + flatProcessingFee });
+            const receipt = await tx.wait();
+            const ownershipEvents = receipt.logs
+                .map((log) => { try { return trustEstate.interface.parseLog(log); } catch (e) { return null; } })
+                .filter((parsed) => parsed && parsed.signature === PROPERTY_OWNERSHIP_TRANSFERRED);
+
+            expect(ownershipEvents.length).to.equal(1);
+            expect(await trustEstate.ownerOf(propertyId)).to.equal(user2.address);
+        });
+    });
+
+    // ========== TOKEN METADATA TESTS ==========
+    describe("Token Metadata", function () {
+        let propertyId;
+
+        // Decodes a data:application/json;base64 URI into an object
+        function decodeTokenURI(uri) {
+            const prefix = "data:application/json;base64,";
+            expect(uri.startsWith(prefix)).to.be.true;
+            return JSON.parse(Buffer.from(uri.slice(prefix.length), "base64").toString("utf8"));
+        }
+
+        before(async function () {
+            const tx = await trustEstate.connect(user1).registerProperty(
+                'The "Quoted" Villa <Annex>',
+                "Lekki Phase 1",
+                "Villa",
+                420,
+                5,
+                4,
+                "Pool, Gym",
+                "Five bedroom villa\nwith annex",
+                "QmDocumentHash"
+            );
+            propertyId = await getPropertyIdFromTx(tx);
+            await trustEstate.connect(government).submitSurveyReport(propertyId, "QmSurveyHash");
+            await trustEstate.connect(government).verifyProperty(propertyId, VerificationStatus.APPROVED);
+            await trustEstate.connect(user1).mintPropertyNFT(propertyId);
+        });
+
+        it("Should return base64 JSON metadata built from PropertyInfo", async function () {
+            const metadata = decodeTokenURI(await trustEstate.tokenURI(propertyId));
+
+            expect(metadata.name).to.equal('The "Quoted" Villa <Annex>');
+            expect(metadata.description).to.equal("Five bedroom villa\nwith annex");
+            expect(metadata.document).to.equal("QmDocumentHash");
+            expect(metadata.survey_report).to.equal("QmSurveyHash");
+
+            const traits = Object.fromEntries(metadata.attributes.map((a) => [a.trait_type, a.value]));
+            expect(traits).to.deep.equal({
+                "Location": "Lekki Phase 1",
+                "Property Type": "Villa",
+                "Size": 420,
+                "Bedrooms": 5,
+                "Bathrooms": 4,
+                "Features": "Pool, Gym",
+                "Verification Status": "APPROVED"
+            });
+        });
+
+        it("Should embed an SVG card with the title escaped", async function () {
+            const metadata = decodeTokenURI(await trustEstate.tokenURI(propertyId));
+            const prefix = "data:image/svg+xml;base64,";
+            expect(metadata.image.startsWith(prefix)).to.be.true;
+
+            const svg = Buffer.from(metadata.image.slice(prefix.length), "base64").toString("utf8");
+            expect(svg).to.contain("<svg");
+            expect(svg).to.contain('The "Quoted" Villa &lt;Annex&gt;');
+            expect(svg).to.contain(`TEP #${propertyId}`);
+        });
+
+        it("Should reflect verification changes", async function () {
+            await trustEstate.connect(government).verifyProperty(propertyId, VerificationStatus.REJECTED);
+            const metadata = decodeTokenURI(await trustEstate.tokenURI(propertyId));
+            const status = metadata.attributes.find((a) => a.trait_type === "Verification Status");
+            expect(status.value).to.equal("REJECTED");
+
+            await trustEstate.connect(government).verifyProperty(propertyId, VerificationStatus.APPROVED);
+        });
+
+        it("Should prefix hashes with the configured IPFS gateway", async function () {
+            await expect(trustEstate.connect(user1).setIpfsGateway("https://ipfs.io/ipfs/"))
+                .to.be.revertedWith("Caller is not an admin");
+
+            await expect(trustEstate.connect(admin).setIpfsGateway("https://ipfs.io/ipfs/"))
+                .to.emit(trustEstate, "IpfsGatewayUpdated")
+                .withArgs("https://ipfs.io/ipfs/");
+
+            const metadata = decodeTokenURI(await trustEstate.tokenURI(propertyId));
+            expect(metadata.document).to.equal("https://ipfs.io/ipfs/QmDocumentHash");
+            expect(metadata.survey_report).to.equal("https://ipfs.io/ipfs/QmSurveyHash");
+
+            await trustEstate.connect(admin).setIpfsGateway("");
+        });
+
+        it("Should revert for tokens that were never minted", async function () {
+            const tx = await trustEstate.connect(user1).registerProperty(
+                "Unminted Property", "Nowhere", "Land", 50, 0, 0, "", "", "unmintedHash"
+            );
+            const unmintedId = await getPropertyIdFromTx(tx);
+
+            await expect(trustEstate.tokenURI(unmintedId))
+                .to.be.revertedWithCustomError(trustEstate, "ERC721NonexistentToken")
+                .withArgs(unmintedId);
+        });
+    });
+
+    // ========== FRACTIONAL OWNERSHIP TESTS ==========
+    describe("Fractional Ownership", function () {
+        const SHARE_SUPPLY = ethers.parseEther("1000");
+        const buyoutPrice = ethers.parseEther("10");
+        const rentPrice = ethers.parseEther("1");
+        let tenant;
+
+        before(async function () {
+            tenant = ethers.Wallet.createRandom().connect(ethers.provider);
+            await owner.sendTransaction({ to: tenant.address, value: ethers.parseEther("5") });
+            await trustEstate.connect(tenant).registerUser();
+        });
+
+        async function fractionalize(propertyId) {
+            await trustEstate.connect(user1).fractionalizeProperty(propertyId, SHARE_SUPPLY, "Shared Tower", "STWR", buyoutPrice);
+            const fraction = await trustEstate.fractions(propertyId);
+            return ethers.getContractAt("PropertyShares", fraction.shareToken);
+        }
+
+        it("Should lock the NFT and mint the share supply to the owner", async function () {
+            const propertyId = await mintApprovedProperty("fractionHash1");
+
+            await expect(
+                trustEstate.connect(user1).fractionalizeProperty(propertyId, SHARE_SUPPLY, "Shared Tower", "STWR", buyoutPrice)
+            ).to.emit(trustEstate, "PropertyFractionalized");
+
+            const fraction = await trustEstate.fractions(propertyId);
+            const shares = await ethers.getContractAt("PropertyShares", fraction.shareToken);
+            expect(await shares.balanceOf(user1.address)).to.equal(SHARE_SUPPLY);
+            expect(await shares.propertyId()).to.equal(propertyId);
+            expect(fraction.buyoutPrice).to.equal(buyoutPrice);
+
+            // The NFT is locked but user1 stays the owner of record
+            expect(await trustEstate.ownerOf(propertyId)).to.equal(trustEstate.target);
+            expect((await trustEstate.propertyStatus(propertyId)).owner).to.equal(user1.address);
+
+            await expect(trustEstate.connect(user1).listPropertyForSale(propertyId, ethers.parseEther("1")))
+                .to.be.revertedWith("Property is fractionalized");
+            await expect(
+                trustEstate.connect(user1).fractionalizeProperty(propertyId, SHARE_SUPPLY, "Again", "AGN", buyoutPrice)
+            ).to.be.revertedWith("Property is fractionalized");
+        });
+
+        it("Should only fractionalize approved, minted properties", async function () {
+            const tx = await trustEstate.connect(user1).registerProperty(
+                "Unminted Tower", "Ikoyi", "Commercial", 900, 0, 4, "", "", "fractionHash2"
+            );
+            const propertyId = await getPropertyIdFromTx(tx);
+
+            await expect(
+                trustEstate.connect(user1).fractionalizeProperty(propertyId, SHARE_SUPPLY, "Unminted", "UNM", buyoutPrice)
+            ).to.be.revertedWith("Property not approved");
+
+            await trustEstate.connect(government).verifyProperty(propertyId, VerificationStatus.APPROVED);
+            await expect(
+                trustEstate.connect(user1).fractionalizeProperty(propertyId, SHARE_SUPPLY, "Unminted", "UNM", buyoutPrice)
+            ).to.be.revertedWith("Token not minted");
+        });
+
+        it("Should pay rent to shareholders pro rata as claimable dividends", async function () {
+            const propertyId = await mintApprovedProperty("fractionHash3");
+            const shares = await fractionalize(propertyId);
+
+            // user1 sells 25% of the shares to user2
+            await shares.connect(user1).transfer(user2.address, SHARE_SUPPLY / 4n);
+
+            await trustEstate.connect(user1).listPropertyForRent(propertyId, rentPrice, 3600);
+            const [agencyCut, governmentCut, agentCommissionCut, flatProcessingFee] =
+                await trustEstate.getFeeBreakdown(rentPrice);
+            const netRent = rentPrice - (agencyCut + governmentCut + agentCommissionCut);
+
+            await expect(
+                trustEstate.connect(tenant).rentProperty(propertyId, { value: rentPrice + flatProcessingFee })
+            ).to.emit(shares, "DividendsDistributed").withArgs(ethers.ZeroAddress, netRent);
+
+            // Allow one wei of rounding from the dividend-per-share scaling
+            expect(await shares.withdrawableDividendOf(user1.address, ethers.ZeroAddress)).to.be.closeTo((netRent * 3n) / 4n, 1n);
+            expect(await shares.withdrawableDividendOf(user2.address, ethers.ZeroAddress)).to.be.closeTo(netRent / 4n, 1n);
+
+            // Dividends earned before a transfer stay with the seller of the shares
+            await shares.connect(user2).transfer(user4.address, SHARE_SUPPLY / 4n);
+            const user2Dividends = await shares.withdrawableDividendOf(user2.address, ethers.ZeroAddress);
+            expect(user2Dividends).to.be.closeTo(netRent / 4n, 1n);
+            expect(await shares.withdrawableDividendOf(user4.address, ethers.ZeroAddress)).to.equal(0);
+
+            await expect(shares.connect(user2).claimDividends(ethers.ZeroAddress))
+                .to.changeEtherBalance(user2, user2Dividends);
+            await expect(shares.connect(user2).claimDividends(ethers.ZeroAddress))
+                .to.be.revertedWith("Nothing to claim");
+        });
+
+        it("Should let a buyer pay out the other holders and unlock the NFT", async function () {
+            const propertyId = await mintApprovedProperty("fractionHash4");
+            const shares = await fractionalize(propertyId);
+            await shares.connect(user1).transfer(user2.address, (SHARE_SUPPLY * 40n) / 100n);
+
+            // user2 holds 40%, so they pay for the other 60%
+            const cost = (buyoutPrice * 60n) / 100n;
+            await expect(
+                trustEstate.connect(user2).buyoutProperty(propertyId, { value: cost - 1n })
+            ).to.be.revertedWith("Insufficient payment for buyout");
+
+            await expect(trustEstate.connect(user2).buyoutProperty(propertyId, { value: cost }))
+                .to.emit(trustEstate, "PropertyBoughtOut")
+                .withArgs(propertyId, user2.address, cost);
+
+            expect(await trustEstate.ownerOf(propertyId)).to.equal(user2.address);
+            expect((await trustEstate.propertyStatus(propertyId)).owner).to.equal(user2.address);
+            expect(await trustEstate.getOwnerProperties(user2.address)).to.include(propertyId);
+            expect((await trustEstate.fractions(propertyId)).shareToken).to.equal(ethers.ZeroAddress);
+            expect(await shares.balanceOf(user2.address)).to.equal(0);
+
+            // The remaining holder redeems their shares for the whole pool
+            await expect(shares.connect(user1).redeem()).to.changeEtherBalance(user1, cost);
+            expect(await shares.totalSupply()).to.equal(0);
+        });
+
+        it("Should let a holder of every share redeem the property for free", async function () {
+            const propertyId = await mintApprovedProperty("fractionHash5");
+            await fractionalize(propertyId);
+
+            await trustEstate.connect(user1).buyoutProperty(propertyId);
+            expect(await trustEstate.ownerOf(propertyId)).to.equal(user1.address);
+        });
+    });
+
+    describe("Paginated Property Queries", function () {
+        const QUERY_TYPE = "Paginated Loft"; // Unique type keeps these tests clear of properties from other blocks
+        const ListingFilter = { ANY: 0, FOR_SALE: 1, FOR_RENT: 2 };
+        const noFilter = {
+            byStatus: false,
+            status: VerificationStatus.PENDING,
+            listing: ListingFilter.ANY,
+            minPrice: 0,
+            maxPrice: 0,
+            propertyType: ""
+        };
+        let loftIds;
+
+        // Follows nextOffset until the index set is exhausted
+        async function queryAll(filter, limit) {
+            const ids = [];
+            let offset = 0n;
+            let total;
+            do {
+                const page = await trustEstate.queryProperties(filter, offset, limit);
+                ids.push(...page.ids);
+                offset = page.nextOffset;
+                total = page.total;
+            } while (offset < total);
+            return ids;
+        }
+
+        before(async function () {
+            loftIds = [];
+            for (let i = 0; i < 4; i++) {
+                loftIds.push(await registerTestProperty(`queryHash${i}`, { type: QUERY_TYPE }));
+            }
+            // Lofts 0-2 approved, loft 3 stays pending
+            for (let i = 0; i < 3; i++) {
+                await trustEstate.connect(government).verifyProperty(loftIds[i], VerificationStatus.APPROVED);
+            }
+            await trustEstate.connect(user1).listPropertyForSale(loftIds[0], ethers.parseEther("1"));
+            await trustEstate.connect(user1).listPropertyForSale(loftIds[1], ethers.parseEther("3"));
+            await trustEstate.connect(user1).listPropertyForRent(loftIds[2], ethers.parseEther("0.2"), 3600);
+        });
+
+        it("Should page through properties of a type across calls", async function () {
+            const filter = { ...noFilter, propertyType: QUERY_TYPE };
+            const page = await trustEstate.queryProperties(filter, 0, 3);
+            expect(page.ids).to.deep.equal(loftIds.slice(0, 3));
+            expect(page.nextOffset).to.equal(3);
+            expect(page.total).to.equal(4);
+
+            expect(await queryAll(filter, 1)).to.deep.equal(loftIds);
+            expect((await trustEstate.queryProperties(filter, 10, 5)).ids).to.be.empty;
+        });
+
+        it("Should filter by verification status", async function () {
+            const pending = await queryAll({ ...noFilter, propertyType: QUERY_TYPE, byStatus: true }, 10);
+            expect(pending).to.deep.equal([loftIds[3]]);
+
+            const [pendingIds] = await trustEstate.getPropertiesByStatus(VerificationStatus.PENDING, 0, 1000);
+            expect(pendingIds).to.include(loftIds[3]);
+            expect(pendingIds).to.not.include(loftIds[0]);
+
+            // Moving between statuses moves the property between index sets
+            await trustEstate.connect(government).verifyProperty(loftIds[3], VerificationStatus.REJECTED);
+            const [rejectedIds] = await trustEstate.getPropertiesByStatus(VerificationStatus.REJECTED, 0, 1000);
+            expect(rejectedIds).to.include(loftIds[3]);
+            expect((await trustEstate.getPropertiesByStatus(VerificationStatus.PENDING, 0, 1000))[0])
+                .to.not.include(loftIds[3]);
+            expect(await trustEstate.getApprovedProperties())
+                .to.deep.equal((await trustEstate.getPropertiesByStatus(VerificationStatus.APPROVED, 0, 1000))[0]);
+        });
+
+        it("Should filter by listing state and price range", async function () {
+            const forSale = { ...noFilter, propertyType: QUERY_TYPE, listing: ListingFilter.FOR_SALE };
+            expect(await queryAll(forSale, 10)).to.deep.equal([loftIds[0], loftIds[1]]);
+            expect(await queryAll({ ...forSale, minPrice: ethers.parseEther("2") }, 10)).to.deep.equal([loftIds[1]]);
+            expect(await queryAll({ ...forSale, maxPrice: ethers.parseEther("2") }, 10)).to.deep.equal([loftIds[0]]);
+
+            const forRent = { ...noFilter, propertyType: QUERY_TYPE, listing: ListingFilter.FOR_RENT };
+            expect(await queryAll(forRent, 10)).to.deep.equal([loftIds[2]]);
+
+            // Without a listing filter the range matches either listed price
+            const cheap = { ...noFilter, propertyType: QUERY_TYPE, maxPrice: ethers.parseEther("1") };
+            expect(await queryAll(cheap, 10)).to.deep.equal([loftIds[0], loftIds[2]]);
+        });
+
+        it("Should keep the listing index sets in step with sales and rentals", async function () {
+            const salePrice = ethers.parseEther("1");
+            const [, , , saleFee] = await trustEstate.getFeeBreakdown(salePrice);
+            await trustEstate.connect(user2).purchaseProperty(loftIds[0], { value: salePrice + saleFee });
+
+            const [saleIds, saleTotal] = await trustEstate.getPropertiesForSale(0, 1000);
+            expect(saleIds).to.not.include(loftIds[0]);
+            expect(saleIds).to.include(loftIds[1]);
+            expect(saleTotal).to.equal(saleIds.length);
+
+            // A let property is off the rental market until the lease ends
+            const rentPrice = ethers.parseEther("0.2");
+            const [, , , rentFee] = await trustEstate.getFeeBreakdown(rentPrice);
+            await trustEstate.connect(user2).rentProperty(loftIds[2], { value: rentPrice + rentFee });
+            expect((await trustEstate.getPropertiesForRent(0, 1000))[0]).to.not.include(loftIds[2]);
+
+            await time.increase(3600);
+            await trustEstate.connect(user1).endRental(loftIds[2]);
+            expect((await trustEstate.getPropertiesForRent(0, 1000))[0]).to.include(loftIds[2]);
+        });
+
+        it("Should return pages of the requested size from the listing views", async function () {
+            const [allIds, total] = await trustEstate.getPropertiesForSale(0, 1000);
+            const [firstPage] = await trustEstate.getPropertiesForSale(0, 1);
+            const [rest] = await trustEstate.getPropertiesForSale(1, 1000);
+
+            expect([...firstPage, ...rest]).to.deep.equal(allIds);
+            expect(total).to.equal(allIds.length);
+            expect((await trustEstate.getPropertiesForSale(total, 10))[0]).to.be.empty;
+        });
+    });
+
+    describe("Property Amendments", function () {
+        let propertyId;
+
+        const amendedDetails = [
+            "Renovated Cottage", "Amend Lane", "Cottage", 180, 4, 2, "Extension, Solar", "Two new rooms", "amendDoc2"
+        ];
+
+        before(async function () {
+            const tx = await trustEstate.connect(user1).registerProperty(
+                "Cottage", "Amend Lane", "Cottage", 120, 2, 2, "Garden", "Original cottage", "amendDoc1"
+            );
+            propertyId = await getPropertyIdFromTx(tx);
+            await trustEstate.connect(government).submitSurveyReport(propertyId, "amendSurvey");
+            await trustEstate.connect(government).verifyProperty(propertyId, VerificationStatus.APPROVED);
+            await trustEstate.connect(user1).listPropertyForSale(propertyId, ethers.parseEther("1"));
+        });
+
+        it("Should only let the owner amend, and only with changes", async function () {
+            await expect(
+                trustEstate.connect(user2).amendProperty(propertyId, ...amendedDetails)
+            ).to.be.revertedWith("Not the owner");
+            await expect(
+                trustEstate.connect(user1).amendProperty(
+                    propertyId, "Cottage", "Amend Lane", "Cottage", 120, 2, 2, "Garden", "Original cottage", "amendDoc1"
+                )
+            ).to.be.revertedWith("No changes");
+        });
+
+        it("Should record a revision, reset verification and unlist", async function () {
+            const [, , , flatFee] = await trustEstate.getFeeBreakdown(ethers.parseEther("0.5"));
+            const expiry = (await time.latest()) + 3600;
+            const offerTx = await trustEstate.connect(user2).makeOffer(propertyId, expiry, {
+                value: ethers.parseEther("0.5") + flatFee
+            });
+            const offerId = (await offerTx.wait()).logs
+                .map((log) => trustEstate.interface.parseLog(log))
+                .find((parsed) => parsed && parsed.name === "OfferMade").args.offerId;
+
+            await expect(trustEstate.connect(user1).amendProperty(propertyId, ...amendedDetails))
+                .to.emit(trustEstate, "PropertyAmended")
+                .withArgs(propertyId, 1, ["title", "size", "bedrooms", "features", "description", "documentHash"])
+                .and.to.emit(trustEstate, "OfferRefunded");
+
+            const info = await trustEstate.propertyInfo(propertyId);
+            expect(info.title).to.equal("Renovated Cottage");
+            expect(info.size).to.equal(180);
+            expect(info.surveyReportHash).to.equal("amendSurvey");
+
+            const status = await trustEstate.propertyStatus(propertyId);
+            expect(status.verificationStatus).to.equal(VerificationStatus.PENDING);
+            expect(status.verifiedBy).to.equal(ethers.ZeroAddress);
+            expect(status.isForSale).to.be.false;
+            expect((await trustEstate.propertyTimestamps(propertyId)).verifiedAt).to.equal(0);
+            expect((await trustEstate.offers(offerId)).status).to.equal(4); // REFUNDED
+
+            expect((await trustEstate.getPropertiesForSale(0, 1000))[0]).to.not.include(propertyId);
+            expect((await trustEstate.getPropertiesByStatus(VerificationStatus.PENDING, 0, 1000))[0]).to.include(propertyId);
+
+            await expect(
+                trustEstate.connect(user1).listPropertyForSale(propertyId, ethers.parseEther("1"))
+            ).to.be.revertedWith("Property not approved");
+        });
+
+        it("Should keep past revisions queryable by index", async function () {
+            expect(await trustEstate.getPropertyRevisionCount(propertyId)).to.equal(2);
+
+            const original = await trustEstate.getPropertyRevision(propertyId, 0);
+            expect(original.title).to.equal("Cottage");
+            expect(original.size).to.equal(120);
+            expect(original.documentHash).to.equal("amendDoc1");
+
+            const current = await trustEstate.getPropertyRevision(propertyId, 1);
+            expect(current.title).to.equal("Renovated Cottage");
+
+            await expect(trustEstate.getPropertyRevision(propertyId, 2))
+                .to.be.revertedWith("Revision does not exist");
+        });
+
+        it("Should move the property between type indexes and allow relisting after re-approval", async function () {
+            await trustEstate.connect(user1).amendProperty(
+                propertyId, "Renovated Cottage", "Amend Lane", "Farmhouse", 180, 4, 2, "Extension, Solar", "Two new rooms", "amendDoc2"
+            );
+            const filter = { byStatus: false, status: 0, listing: 0, minPrice: 0, maxPrice: 0, propertyType: "Farmhouse" };
+            expect((await trustEstate.queryProperties(filter, 0, 100)).ids).to.deep.equal([propertyId]);
+            expect(await trustEstate.getPropertyRevisionCount(propertyId)).to.equal(3);
+
+            await trustEstate.connect(government).verifyProperty(propertyId, VerificationStatus.APPROVED);
+            await expect(trustEstate.connect(user1).listPropertyForSale(propertyId, ethers.parseEther("1.2")))
+                .to.emit(trustEstate, "PropertyListedForSale");
+        });
+    });
+
+    describe("Property Documents", function () {
+        const DocumentType = { DEED: 0, SURVEY: 1, TAX_CLEARANCE: 2, BUILDING_PERMIT: 3, INSPECTION: 4 };
+        const deedV1 = ethers.keccak256(ethers.toUtf8Bytes("deed v1"));
+        const deedV2 = ethers.keccak256(ethers.toUtf8Bytes("deed v2"));
+        const permit = ethers.keccak256(ethers.toUtf8Bytes("building permit"));
+        const registeredDeed = ethers.keccak256(ethers.toUtf8Bytes("docRegistryHash"));
+        let propertyId;
+
+        before(async function () {
+            const tx = await trustEstate.connect(user1).registerProperty(
+                "Documented House", "Paper Road", "House", 100, 2, 1, "", "", "docRegistryHash"
+            );
+            propertyId = await getPropertyIdFromTx(tx);
+        });
+
+        it("Should record the deed hash given at registration as the first deed version", async function () {
+            const deed = await trustEstate.getDocument(propertyId, DocumentType.DEED, 0);
+            expect(deed.contentHash).to.equal(registeredDeed);
+            expect(deed.uploader).to.equal(user1.address);
+            expect(deed.attested).to.be.false;
+        });
+
+        it("Should record each survey report as a survey version", async function () {
+            await expect(trustEstate.connect(government).submitSurveyReport(propertyId, "surveyV0"))
+                .to.emit(trustEstate, "SurveyReportSubmitted")
+                .withArgs(propertyId, "surveyV0", government.address);
+            await expect(trustEstate.connect(government).submitSurveyReport(propertyId, "surveyV1"))
+                .to.emit(trustEstate, "DocumentUploaded")
+                .withArgs(propertyId, DocumentType.SURVEY, 1, ethers.keccak256(ethers.toUtf8Bytes("surveyV1")), government.address);
+            await expect(trustEstate.connect(government).submitSurveyReport(propertyId, ""))
+                .to.be.revertedWith("Report hash required");
+
+            expect(await trustEstate.getDocumentVersionCount(propertyId, DocumentType.SURVEY)).to.equal(2);
+            expect((await trustEstate.getDocument(propertyId, DocumentType.SURVEY, 0)).contentHash)
+                .to.equal(ethers.keccak256(ethers.toUtf8Bytes("surveyV0")));
+        });
+
+        it("Should let the owner and government upload versioned documents", async function () {
+            await expect(trustEstate.connect(user1).uploadDocument(propertyId, DocumentType.DEED, deedV1))
+                .to.emit(trustEstate, "DocumentUploaded")
+                .withArgs(propertyId, DocumentType.DEED, 1, deedV1, user1.address);
+            await expect(trustEstate.connect(government).uploadDocument(propertyId, DocumentType.BUILDING_PERMIT, permit))
+                .to.emit(trustEstate, "DocumentUploaded")
+                .withArgs(propertyId, DocumentType.BUILDING_PERMIT, 0, permit, government.address);
+
+            await expect(
+                trustEstate.connect(user2).uploadDocument(propertyId, DocumentType.DEED, deedV2)
+            ).to.be.revertedWith("Not authorized");
+            await expect(
+                trustEstate.connect(user1).uploadDocument(propertyId, DocumentType.DEED, ethers.ZeroHash)
+            ).to.be.revertedWith("Content hash required");
+
+            const deed = await trustEstate.getLatestDocument(propertyId, DocumentType.DEED);
+            expect(deed.contentHash).to.equal(deedV1);
+            expect(deed.uploader).to.equal(user1.address);
+            expect(deed.uploadedAt).to.be.greaterThan(0);
+            expect(deed.attested).to.be.false;
+            expect(await trustEstate.getDocumentVersionCount(propertyId, DocumentType.TAX_CLEARANCE)).to.equal(0);
+            await expect(trustEstate.getLatestDocument(propertyId, DocumentType.TAX_CLEARANCE))
+                .to.be.revertedWith("Document does not exist");
+        });
+
+        it("Should only let government attest a version once", async function () {
+            await expect(
+                trustEstate.connect(user1).attestDocument(propertyId, DocumentType.DEED, 1)
+            ).to.be.revertedWith("Caller is not a government agent");
+
+            await expect(trustEstate.connect(government).attestDocument(propertyId, DocumentType.DEED, 1))
+                .to.emit(trustEstate, "DocumentAttested")
+                .withArgs(propertyId, DocumentType.DEED, 1, government.address);
+
+            await expect(
+                trustEstate.connect(government).attestDocument(propertyId, DocumentType.DEED, 1)
+            ).to.be.revertedWith("Document already attested");
+            await expect(
+                trustEstate.connect(government).attestDocument(propertyId, DocumentType.DEED, 5)
+            ).to.be.revertedWith("Document does not exist");
+        });
+
+        it("Should return the attested current documents to buyers", async function () {
+            let [, , , surveyReport, attested] = await trustEstate.verifyPropertyAsBuyer(propertyId);
+            expect(surveyReport).to.equal("surveyV1");
+            expect(attested).to.have.length(1);
+            expect(attested[0].docType).to.equal(DocumentType.DEED);
+            expect(attested[0].contentHash).to.equal(deedV1);
+            expect(attested[0].attestedBy).to.equal(government.address);
+
+            // A newer, unattested deed replaces the attested one until it is attested itself
+            await trustEstate.connect(user1).uploadDocument(propertyId, DocumentType.DEED, deedV2);
+            await trustEstate.connect(government).attestDocument(propertyId, DocumentType.BUILDING_PERMIT, 0);
+            [, , , , attested] = await trustEstate.verifyPropertyAsBuyer(propertyId);
+            expect(attested.map((doc) => doc.docType)).to.deep.equal([BigInt(DocumentType.BUILDING_PERMIT)]);
+
+            await trustEstate.connect(government).attestDocument(propertyId, DocumentType.DEED, 2);
+            [, , , , attested] = await trustEstate.verifyPropertyAsBuyer(propertyId);
+            expect(attested.map((doc) => [doc.docType, doc.version, doc.contentHash])).to.deep.equal([
+                [BigInt(DocumentType.DEED), 2n, deedV2],
+                [BigInt(DocumentType.BUILDING_PERMIT), 0n, permit]
+            ]);
+
+            // Earlier versions stay on record
+            expect(await trustEstate.getDocumentVersionCount(propertyId, DocumentType.DEED)).to.equal(3);
+            expect((await trustEstate.getDocument(propertyId, DocumentType.DEED, 1)).contentHash).to.equal(deedV1);
+        });
+
+        it("Should record an amended deed hash as a new deed version", async function () {
+            const amendedId = await registerTestProperty("amendedDeedV0");
+            const p = testProperty;
+            await trustEstate.connect(user1).amendProperty(
+                amendedId, p.title, p.location, p.type, p.size, p.bedrooms, p.bathrooms, p.features, p.description,
+                "amendedDeedV1"
+            );
+
+            expect(await trustEstate.getDocumentVersionCount(amendedId, DocumentType.DEED)).to.equal(2);
+            expect((await trustEstate.getLatestDocument(amendedId, DocumentType.DEED)).contentHash)
+                .to.equal(ethers.keccak256(ethers.toUtf8Bytes("amendedDeedV1")));
+        });
+    });
+
+    describe("Verification Quorum", function () {
+        let reviewer2, reviewer3;
+        let propertyId;
+
+        before(async function () {
+            const signers = await ethers.getSigners();
+            [reviewer2, reviewer3] = [signers[8], signers[9]];
+            await trustEstate.grantRole(await trustEstate.GOVERNMENT_ROLE(), reviewer2.address);
+            await trustEstate.grantRole(await trustEstate.GOVERNMENT_ROLE(), reviewer3.address);
+        });
+
+        beforeEach(async function () {
+            await trustEstate.connect(admin).setVerificationQuorum(2);
+            propertyId = await registerTestProperty(`quorumHash${Date.now()}`);
+        });
+
+        after(async function () {
+            // Later blocks rely on single-reviewer verification
+            await trustEstate.connect(admin).setVerificationQuorum(1);
+        });
+
+        it("Should only accept a quorum no larger than the number of reviewers", async function () {
+            const reviewers = await trustEstate.governmentReviewerCount();
+            await expect(trustEstate.connect(admin).setVerificationQuorum(reviewers + 1n))
+                .to.be.revertedWith("Invalid quorum");
+            await expect(trustEstate.connect(admin).setVerificationQuorum(0))
+                .to.be.revertedWith("Invalid quorum");
+            await expect(trustEstate.connect(user1).setVerificationQuorum(1))
+                .to.be.revertedWith("Caller is not an admin");
+
+            await trustEstate.revokeRole(await trustEstate.GOVERNMENT_ROLE(), reviewer3.address);
+            expect(await trustEstate.governmentReviewerCount()).to.equal(reviewers - 1n);
+            await trustEstate.grantRole(await trustEstate.GOVERNMENT_ROLE(), reviewer3.address);
+        });
+
+        it("Should not let a revoke or renounce leave fewer reviewers than the quorum", async function () {
+            const role = await trustEstate.GOVERNMENT_ROLE();
+            const reviewers = await trustEstate.governmentReviewerCount();
+            await trustEstate.connect(admin).setVerificationQuorum(reviewers);
+
+            await expect(trustEstate.revokeRole(role, reviewer3.address))
+                .to.be.revertedWith("Would break verification quorum");
+            await expect(trustEstate.connect(reviewer3).renounceRole(role, reviewer3.address))
+                .to.be.revertedWith("Would break verification quorum");
+
+            await trustEstate.connect(admin).setVerificationQuorum(reviewers - 1n);
+            await trustEstate.revokeRole(role, reviewer3.address);
+            await trustEstate.grantRole(role, reviewer3.address);
+        });
+
+        it("Should only emit PropertyVerified once quorum is reached", async function () {
+            await expect(
+                trustEstate.connect(government).castVerificationVote(propertyId, VerificationStatus.APPROVED, "Deed matches")
+            )
+                .to.emit(trustEstate, "VerificationVoteCast")
+                .withArgs(propertyId, 0, government.address, VerificationStatus.APPROVED, "Deed matches")
+                .and.not.to.emit(trustEstate, "PropertyVerified");
+            expect((await trustEstate.propertyStatus(propertyId)).verificationStatus).to.equal(VerificationStatus.PENDING);
+
+            await expect(
+                trustEstate.connect(government).castVerificationVote(propertyId, VerificationStatus.APPROVED, "Again")
+            ).to.be.revertedWith("Already reviewed this round");
+
+            await expect(
+                trustEstate.connect(reviewer2).castVerificationVote(propertyId, VerificationStatus.APPROVED, "Survey checked")
+            )
+                .to.emit(trustEstate, "PropertyVerified")
+                .withArgs(propertyId, VerificationStatus.APPROVED, reviewer2.address);
+
+            const status = await trustEstate.propertyStatus(propertyId);
+            expect(status.verificationStatus).to.equal(VerificationStatus.APPROVED);
+            expect(status.verifiedBy).to.equal(reviewer2.address);
+
+            const [reviewers, reviews] = await trustEstate.getVerificationReviews(propertyId, 0);
+            expect(reviewers).to.deep.equal([government.address, reviewer2.address]);
+            expect(reviews.map((review) => review.reason)).to.deep.equal(["Deed matches", "Survey checked"]);
+            expect((await trustEstate.getVerificationTally(propertyId)).round).to.equal(1);
+        });
+
+        it("Should carry the rejection reason back to the owner", async function () {
+            await trustEstate.connect(government).castVerificationVote(propertyId, VerificationStatus.APPROVED, "Looks fine");
+            await trustEstate.connect(reviewer2).castVerificationVote(propertyId, VerificationStatus.REJECTED, "Boundary dispute");
+
+            const [, approvals, rejections] = await trustEstate.getVerificationTally(propertyId);
+            expect([approvals, rejections]).to.deep.equal([1n, 1n]);
+
+            await expect(
+                trustEstate.connect(reviewer3).castVerificationVote(propertyId, VerificationStatus.REJECTED, "Forged deed")
+            )
+                .to.emit(trustEstate, "PropertyRejected")
+                .withArgs(propertyId, user1.address, "Forged deed")
+                .and.to.emit(trustEstate, "PropertyVerified")
+                .withArgs(propertyId, VerificationStatus.REJECTED, reviewer3.address);
+
+            expect(await trustEstate.rejectionReason(propertyId)).to.equal("Forged deed");
+            expect((await trustEstate.propertyStatus(propertyId)).verificationStatus).to.equal(VerificationStatus.REJECTED);
+        });
+
+        it("Should let a single reviewer veto with a reason", async function () {
+            await trustEstate.connect(government).castVerificationVote(propertyId, VerificationStatus.APPROVED, "");
+
+            await expect(trustEstate.connect(reviewer2).vetoVerification(propertyId, ""))
+                .to.be.revertedWith("Reason required");
+            await expect(trustEstate.connect(reviewer2).vetoVerification(propertyId, "Owner is under investigation"))
+                .to.emit(trustEstate, "VerificationVetoed")
+                .withArgs(propertyId, 0, reviewer2.address, "Owner is under investigation")
+                .and.to.emit(trustEstate, "PropertyVerified")
+                .withArgs(propertyId, VerificationStatus.REJECTED, reviewer2.address);
+
+            expect(await trustEstate.rejectionReason(propertyId)).to.equal("Owner is under investigation");
+        });
+
+        it("Should take a listed property off the market when it is vetoed", async function () {
+            const price = ethers.parseEther("1");
+            await trustEstate.connect(government).castVerificationVote(propertyId, VerificationStatus.APPROVED, "");
+            await trustEstate.connect(reviewer2).castVerificationVote(propertyId, VerificationStatus.APPROVED, "");
+            await trustEstate.connect(user1).listPropertyForSale(propertyId, price);
+            const [, , , flatFee] = await trustEstate.getFeeBreakdown(price);
+            const expiry = (await time.latest()) + 3600;
+            const offerTx = await trustEstate.connect(user2).makeOffer(propertyId, expiry, { value: price / 2n });
+            const offerId = (await offerTx.wait()).logs
+                .map((log) => trustEstate.interface.parseLog(log))
+                .find((parsed) => parsed && parsed.name === "OfferMade").args.offerId;
+
+            await trustEstate.connect(reviewer3).vetoVerification(propertyId, "Deed was forged");
+
+            expect((await trustEstate.propertyStatus(propertyId)).isForSale).to.be.false;
+            expect((await trustEstate.offers(offerId)).status).to.equal(4); // REFUNDED
+            await expect(
+                trustEstate.connect(user2).purchaseProperty(propertyId, { value: price + flatFee })
+            ).to.be.revertedWith("Not for sale");
+        });
+
+        it("Should withdraw a recused reviewer's vote", async function () {
+            await trustEstate.connect(government).castVerificationVote(propertyId, VerificationStatus.APPROVED, "");
+            await expect(trustEstate.connect(government).recuseFromVerification(propertyId))
+                .to.emit(trustEstate, "ReviewerRecused")
+                .withArgs(propertyId, 0, government.address);
+
+            const [, approvals] = await trustEstate.getVerificationTally(propertyId);
+            expect(approvals).to.equal(0);
+            await expect(
+                trustEstate.connect(government).castVerificationVote(propertyId, VerificationStatus.APPROVED, "")
+            ).to.be.revertedWith("Already reviewed this round");
+            await expect(trustEstate.connect(government).recuseFromVerification(propertyId))
+                .to.be.revertedWith("Already recused");
+
+            // The remaining reviewers still have to reach quorum on their own
+            await trustEstate.connect(reviewer2).castVerificationVote(propertyId, VerificationStatus.APPROVED, "");
+            expect((await trustEstate.propertyStatus(propertyId)).verificationStatus).to.equal(VerificationStatus.PENDING);
+            await trustEstate.connect(reviewer3).castVerificationVote(propertyId, VerificationStatus.APPROVED, "");
+            expect((await trustEstate.propertyStatus(propertyId)).verificationStatus).to.equal(VerificationStatus.APPROVED);
+        });
+
+        it("Should not let recusals leave too few reviewers to reach quorum", async function () {
+            const reviewers = await trustEstate.governmentReviewerCount();
+            await trustEstate.connect(admin).setVerificationQuorum(reviewers - 1n);
+
+            await trustEstate.connect(reviewer2).recuseFromVerification(propertyId);
+            await expect(trustEstate.connect(reviewer3).recuseFromVerification(propertyId))
+                .to.be.revertedWith("Too few reviewers left for quorum");
+
+            // A reopened review starts with every reviewer back in
+            await trustEstate.connect(government).reopenVerification(propertyId);
+            await trustEstate.connect(reviewer3).recuseFromVerification(propertyId);
+        });
+
+        it("Should discard open votes when the review is reopened", async function () {
+            await trustEstate.connect(government).castVerificationVote(propertyId, VerificationStatus.APPROVED, "");
+            await expect(trustEstate.connect(reviewer2).verifyProperty(propertyId, VerificationStatus.PENDING))
+                .to.emit(trustEstate, "VerificationReopened")
+                .withArgs(propertyId, 1, reviewer2.address);
+
+            const [round, approvals] = await trustEstate.getVerificationTally(propertyId);
+            expect(round).to.equal(1);
+            expect(approvals).to.equal(0);
+
+            // The earlier reviewer can vote again in the new round
+            await trustEstate.connect(government).castVerificationVote(propertyId, VerificationStatus.APPROVED, "");
+            await expect(
+                trustEstate.connect(government).castVerificationVote(propertyId, VerificationStatus.PENDING, "")
+            ).to.be.revertedWith("Invalid decision");
+        });
+    });
+
+    describe("Listing Agents", function () {
+        let listingAgent, otherAgent;
+        let propertyId;
+        const price = ethers.parseEther("2");
+
+        async function appointAndAccept(id) {
+            await trustEstate.connect(user1).appointListingAgent(id, listingAgent.address);
+            await trustEstate.connect(listingAgent).acceptListingAgentAppointment(id);
+        }
+
+        before(async function () {
+            const signers = await ethers.getSigners();
+            [listingAgent, otherAgent] = [signers[10], signers[11]];
+            await trustEstate.connect(admin).registerAgent(listingAgent.address, "Listing Agent", "listing@agent.com");
+            await trustEstate.connect(admin).registerAgent(otherAgent.address, "Pending Agent", "pending@agent.com");
+            await trustEstate.connect(admin).setAgentLicense(listingAgent.address, "LIC-LIST", (await time.latest()) + 365 * 24 * 3600);
+        });
+
+        beforeEach(async function () {
+            propertyId = await registerApprovedProperty(`listingAgentHash${Date.now()}`);
+        });
+
+        it("Should only let the owner appoint an approved agent", async function () {
+            await expect(
+                trustEstate.connect(user1).appointListingAgent(propertyId, listingAgent.address)
+            ).to.be.revertedWith("Agent not approved");
+
+            await trustEstate.connect(admin).verifyAgent(listingAgent.address, VerificationStatus.APPROVED);
+            await expect(
+                trustEstate.connect(user2).appointListingAgent(propertyId, listingAgent.address)
+            ).to.be.revertedWith("Not the owner");
+            await expect(
+                trustEstate.connect(user1).appointListingAgent(propertyId, user2.address)
+            ).to.be.revertedWith("Agent not approved");
+
+            await expect(trustEstate.connect(user1).appointListingAgent(propertyId, listingAgent.address))
+                .to.emit(trustEstate, "ListingAgentAppointed")
+                .withArgs(propertyId, user1.address, listingAgent.address);
+        });
+
+        it("Should require the agent's acceptance before they can act", async function () {
+            await trustEstate.connect(user1).appointListingAgent(propertyId, listingAgent.address);
+
+            await expect(
+                trustEstate.connect(listingAgent).listPropertyForSale(propertyId, price)
+            ).to.be.revertedWith("Not the owner");
+            await expect(
+                trustEstate.connect(otherAgent).acceptListingAgentAppointment(propertyId)
+            ).to.be.revertedWith("Not the appointed agent");
+
+            await expect(trustEstate.connect(listingAgent).acceptListingAgentAppointment(propertyId))
+                .to.emit(trustEstate, "ListingAgentAccepted")
+                .withArgs(propertyId, listingAgent.address);
+            await expect(
+                trustEstate.connect(listingAgent).acceptListingAgentAppointment(propertyId)
+            ).to.be.revertedWith("Appointment already accepted");
+
+            const appointment = await trustEstate.listingAgents(propertyId);
+            expect(appointment.agent).to.equal(listingAgent.address);
+            expect(appointment.accepted).to.be.true;
+        });
+
+        it("Should let the agent list, reprice and delist", async function () {
+            await appointAndAccept(propertyId);
+
+            await expect(trustEstate.connect(listingAgent).listPropertyForSale(propertyId, price))
+                .to.emit(trustEstate, "PropertyListedForSale")
+                .withArgs(propertyId, price);
+            await trustEstate.connect(listingAgent).listPropertyForSale(propertyId, price * 2n);
+            expect((await trustEstate.propertyStatus(propertyId)).salePrice).to.equal(price * 2n);
+
+            await expect(trustEstate.connect(listingAgent).delistProperty(propertyId))
+                .to.emit(trustEstate, "PropertyDelisted")
+                .withArgs(propertyId, listingAgent.address);
+            expect((await trustEstate.propertyStatus(propertyId)).isForSale).to.be.false;
+            await expect(
+                trustEstate.connect(listingAgent).delistProperty(propertyId)
+            ).to.be.revertedWith("Property is not listed");
+
+            await trustEstate.connect(listingAgent).listPropertyForRent(propertyId, price / 10n, 3600);
+            expect((await trustEstate.propertyStatus(propertyId)).isForRent).to.be.true;
+            await expect(
+                trustEstate.connect(otherAgent).delistProperty(propertyId)
+            ).to.be.revertedWith("Not the owner");
+        });
+
+        it("Should pay the sale commission to the listing agent and end the appointment", async function () {
+            await appointAndAccept(propertyId);
+            await trustEstate.connect(listingAgent).listPropertyForSale(propertyId, price);
+
+            const [agencyCut, governmentCut, agentCommissionCut, flatFee] = await trustEstate.getFeeBreakdown(price);
+            const agentBefore = await trustEstate.pendingBalance(listingAgent.address);
+            const agencyBefore = await trustEstate.pendingBalance(admin.address);
+            const sellerBefore = await trustEstate.pendingBalance(user1.address);
+
+            await trustEstate.connect(user2).purchaseProperty(propertyId, { value: price + flatFee });
+
+            expect(await trustEstate.pendingBalance(listingAgent.address)).to.equal(agentBefore + agentCommissionCut);
+            expect(await trustEstate.pendingBalance(admin.address)).to.equal(agencyBefore + agencyCut + flatFee);
+            expect(await trustEstate.pendingBalance(user1.address))
+                .to.equal(sellerBefore + price - agencyCut - governmentCut - agentCommissionCut);
+
+            expect((await trustEstate.listingAgents(propertyId)).agent).to.equal(ethers.ZeroAddress);
+        });
+
+        it("Should pay the rent commission to the listing agent", async function () {
+            await appointAndAccept(propertyId);
+            const rent = ethers.parseEther("0.5");
+            await trustEstate.connect(listingAgent).listPropertyForRent(propertyId, rent, 3600);
+
+            const [, , agentCommissionCut, flatFee] = await trustEstate.getFeeBreakdown(rent);
+            const agentBefore = await trustEstate.pendingBalance(listingAgent.address);
+            await trustEstate.connect(user2).rentProperty(propertyId, { value: rent + flatFee });
+
+            expect(await trustEstate.pendingBalance(listingAgent.address)).to.equal(agentBefore + agentCommissionCut);
+        });
+
+        it("Should let the owner revoke the appointment", async function () {
+            await appointAndAccept(propertyId);
+
+            await expect(
+                trustEstate.connect(listingAgent).revokeListingAgent(propertyId)
+            ).to.be.revertedWith("Not the owner");
+            await expect(trustEstate.connect(user1).revokeListingAgent(propertyId))
+                .to.emit(trustEstate, "ListingAgentRevoked")
+                .withArgs(propertyId, listingAgent.address);
+            await expect(
+                trustEstate.connect(user1).revokeListingAgent(propertyId)
+            ).to.be.revertedWith("No listing agent");
+
+            await expect(
+                trustEstate.connect(listingAgent).listPropertyForSale(propertyId, price)
+            ).to.be.revertedWith("Not the owner");
+
+            // Without an agent the commission goes back to the agency
+            await trustEstate.connect(user1).listPropertyForSale(propertyId, price);
+            const [agencyCut, , agentCommissionCut, flatFee] = await trustEstate.getFeeBreakdown(price);
+            const agencyBefore = await trustEstate.pendingBalance(admin.address);
+            await trustEstate.connect(user2).purchaseProperty(propertyId, { value: price + flatFee });
+            expect(await trustEstate.pendingBalance(admin.address))
+                .to.equal(agencyBefore + agencyCut + agentCommissionCut + flatFee);
+        });
+    });
+
+    describe("Agent Lifecycle", function () {
+        let lifecycleAgent;
+        let agentRole;
+        const oneYear = 365 * 24 * 3600;
+
+        // Registers and approves a property for user1 with lifecycleAgent as its accepted listing agent
+        async function registerListedProperty(docHash) {
+            const propertyId = await registerApprovedProperty(docHash);
+            await trustEstate.connect(user1).appointListingAgent(propertyId, lifecycleAgent.address);
+            await trustEstate.connect(lifecycleAgent).acceptListingAgentAppointment(propertyId);
+            return propertyId;
+        }
+
+        before(async function () {
+            lifecycleAgent = (await ethers.getSigners())[12];
+            agentRole = await trustEstate.AGENT_ROLE();
+        });
+
+        it("Should only grant AGENT_ROLE once the agent is approved", async function () {
+            await trustEstate.connect(admin).registerAgent(lifecycleAgent.address, "Lifecycle Agent", "life@agent.com");
+            expect(await trustEstate.hasRole(agentRole, lifecycleAgent.address)).to.be.false;
+
+            await trustEstate.connect(government).verifyAgent(lifecycleAgent.address, VerificationStatus.APPROVED);
+            expect(await trustEstate.hasRole(agentRole, lifecycleAgent.address)).to.be.true;
+
+            await trustEstate.connect(government).verifyAgent(lifecycleAgent.address, VerificationStatus.REJECTED);
+            expect(await trustEstate.hasRole(agentRole, lifecycleAgent.address)).to.be.false;
+
+            await trustEstate.connect(government).verifyAgent(lifecycleAgent.address, VerificationStatus.APPROVED);
+        });
+
+        it("Should require a current licence to be appointed", async function () {
+            const propertyId = await registerTestProperty("lifecycleHash0");
+            await expect(
+                trustEstate.connect(user1).appointListingAgent(propertyId, lifecycleAgent.address)
+            ).to.be.revertedWith("Agent not approved");
+
+            const now = await time.latest();
+            await expect(
+                trustEstate.connect(user1).setAgentLicense(lifecycleAgent.address, "LIC-1", now + oneYear)
+            ).to.be.revertedWith("Not authorized");
+            await expect(
+                trustEstate.connect(admin).setAgentLicense(lifecycleAgent.address, "LIC-1", now)
+            ).to.be.revertedWith("License already expired");
+            await expect(
+                trustEstate.connect(admin).setAgentLicense(lifecycleAgent.address, "", now + oneYear)
+            ).to.be.revertedWith("License number required");
+
+            await expect(trustEstate.connect(admin).setAgentLicense(lifecycleAgent.address, "LIC-1", now + oneYear))
+                .to.emit(trustEstate, "AgentLicenseUpdated")
+                .withArgs(lifecycleAgent.address, "LIC-1", now + oneYear);
+
+            const record = await trustEstate.agents(lifecycleAgent.address);
+            expect(record.licenseNumber).to.equal("LIC-1");
+            expect(record.licenseExpiry).to.equal(now + oneYear);
+            await trustEstate.connect(user1).appointListingAgent(propertyId, lifecycleAgent.address);
+        });
+
+        it("Should stop a suspended agent acting until reinstated", async function () {
+            const propertyId = await registerListedProperty("lifecycleHash1");
+
+            await expect(trustEstate.connect(government).suspendAgent(lifecycleAgent.address, "Complaint under review"))
+                .to.emit(trustEstate, "AgentSuspended")
+                .withArgs(lifecycleAgent.address, "Complaint under review");
+            expect(await trustEstate.hasRole(agentRole, lifecycleAgent.address)).to.be.false;
+            await expect(
+                trustEstate.connect(government).suspendAgent(lifecycleAgent.address, "Again")
+            ).to.be.revertedWith("Agent already suspended");
+
+            const price = ethers.parseEther("1");
+            await expect(
+                trustEstate.connect(lifecycleAgent).listPropertyForSale(propertyId, price)
+            ).to.be.revertedWith("Not the owner");
+
+            // Commission falls back to the agency while the agent is suspended
+            await trustEstate.connect(user1).listPropertyForSale(propertyId, price);
+            const [agencyCut, , agentCommissionCut, flatFee] = await trustEstate.getFeeBreakdown(price);
+            const agentBefore = await trustEstate.pendingBalance(lifecycleAgent.address);
+            const agencyBefore = await trustEstate.pendingBalance(admin.address);
+            await trustEstate.connect(user2).purchaseProperty(propertyId, { value: price + flatFee });
+            expect(await trustEstate.pendingBalance(lifecycleAgent.address)).to.equal(agentBefore);
+            expect(await trustEstate.pendingBalance(admin.address))
+                .to.equal(agencyBefore + agencyCut + agentCommissionCut + flatFee);
+
+            await expect(trustEstate.connect(government).reinstateAgent(lifecycleAgent.address))
+                .to.emit(trustEstate, "AgentReinstated")
+                .withArgs(lifecycleAgent.address);
+            expect(await trustEstate.hasRole(agentRole, lifecycleAgent.address)).to.be.true;
+            await expect(
+                trustEstate.connect(government).reinstateAgent(lifecycleAgent.address)
+            ).to.be.revertedWith("Agent not suspended");
+
+            const relisted = await registerListedProperty("lifecycleHash2");
+            await expect(trustEstate.connect(lifecycleAgent).listPropertyForSale(relisted, price))
+                .to.emit(trustEstate, "PropertyListedForSale");
+        });
+
+        it("Should stop an agent acting once their licence expires", async function () {
+            const propertyId = await registerListedProperty("lifecycleHash3");
+            await trustEstate.connect(admin).setAgentLicense(lifecycleAgent.address, "LIC-2", (await time.latest()) + 100);
+            await time.increase(101);
+
+            await expect(
+                trustEstate.connect(lifecycleAgent).listPropertyForSale(propertyId, ethers.parseEther("1"))
+            ).to.be.revertedWith("Not the owner");
+
+            await trustEstate.connect(admin).setAgentLicense(lifecycleAgent.address, "LIC-3", (await time.latest()) + oneYear);
+            await expect(trustEstate.connect(lifecycleAgent).listPropertyForSale(propertyId, ethers.parseEther("1")))
+                .to.emit(trustEstate, "PropertyListedForSale");
+        });
+
+        it("Should deregister an agent and drop them from the agent list", async function () {
+            await expect(
+                trustEstate.connect(government).deregisterAgent(lifecycleAgent.address)
+            ).to.be.revertedWith("Caller is not an admin");
+
+            await expect(trustEstate.connect(admin).deregisterAgent(lifecycleAgent.address))
+                .to.emit(trustEstate, "AgentDeregistered")
+                .withArgs(lifecycleAgent.address);
+
+            expect(await trustEstate.hasRole(agentRole, lifecycleAgent.address)).to.be.false;
+            expect((await trustEstate.agents(lifecycleAgent.address)).isActive).to.be.false;
+            const [addresses] = await trustEstate.getAgents();
+            expect(addresses).to.not.include(lifecycleAgent.address);
+            await expect(
+                trustEstate.connect(admin).deregisterAgent(lifecycleAgent.address)
+            ).to.be.revertedWith("Agent not registered");
+
+            // Registering again starts from scratch
+            await trustEstate.connect(admin).registerAgent(lifecycleAgent.address, "Lifecycle Agent", "life@agent.com");
+            const record = await trustEstate.agents(lifecycleAgent.address);
+            expect(record.verificationStatus).to.equal(VerificationStatus.PENDING);
+            expect(record.licenseExpiry).to.equal(0);
+            expect((await trustEstate.getAgents())[0].filter((a) => a === lifecycleAgent.address)).to.have.length(1);
+        });
+    });
+
+    describe("KYC Tiers", function () {
+        let kycUser, blacklistedUser;
+        const UserAction = { REGISTER_PROPERTY: 0, PURCHASE: 1, RENT: 2 };
+        const KycStatus = { NONE: 0, PENDING: 1, APPROVED: 2, REJECTED: 3 };
+        const profileHash = ethers.id("kyc-profile");
+
+        before(async function () {
+            [kycUser, blacklistedUser] = (await ethers.getSigners()).slice(13, 15);
+            await trustEstate.connect(kycUser).registerUser();
+        });
+
+        after(async function () {
+            for (const action of Object.values(UserAction)) {
+                await trustEstate.connect(admin).setRequiredTier(action, 0);
+            }
+            await trustEstate.connect(admin).setTierPriceCeiling(1, ethers.ZeroAddress, 0);
+        });
+
+        it("Should let government approve or reject a submitted KYC profile", async function () {
+            await expect(
+                trustEstate.connect(kycUser).submitKyc(ethers.ZeroHash)
+            ).to.be.revertedWith("Profile hash required");
+            await expect(
+                trustEstate.connect(blacklistedUser).submitKyc(profileHash)
+            ).to.be.revertedWith("Not registered");
+            await expect(
+                trustEstate.connect(government).approveKyc(kycUser.address, 1)
+            ).to.be.revertedWith("No KYC pending");
+
+            await expect(trustEstate.connect(kycUser).submitKyc(profileHash))
+                .to.emit(trustEstate, "KycSubmitted")
+                .withArgs(kycUser.address, profileHash);
+            await expect(
+                trustEstate.connect(admin).approveKyc(kycUser.address, 1)
+            ).to.be.revertedWith("Caller is not a government agent");
+
+            await expect(trustEstate.connect(government).rejectKyc(kycUser.address, "Blurry passport scan"))
+                .to.emit(trustEstate, "KycRejected")
+                .withArgs(kycUser.address, "Blurry passport scan", government.address);
+            expect((await trustEstate.userProfiles(kycUser.address)).kycStatus).to.equal(KycStatus.REJECTED);
+
+            await trustEstate.connect(kycUser).submitKyc(profileHash);
+            await expect(
+                trustEstate.connect(government).approveKyc(kycUser.address, 0)
+            ).to.be.revertedWith("Invalid tier");
+            await expect(trustEstate.connect(government).approveKyc(kycUser.address, 1))
+                .to.emit(trustEstate, "KycApproved")
+                .withArgs(kycUser.address, 1, government.address);
+
+            const profile = await trustEstate.userProfiles(kycUser.address);
+            expect(profile.kycHash).to.equal(profileHash);
+            expect(profile.kycStatus).to.equal(KycStatus.APPROVED);
+            expect(profile.tier).to.equal(1);
+            expect(profile.reviewedBy).to.equal(government.address);
+        });
+
+        it("Should require the configured tier for registering, buying and renting", async function () {
+            const propertyId = await registerApprovedProperty("kycHash1");
+            const price = ethers.parseEther("1");
+            await trustEstate.connect(user1).listPropertyForSale(propertyId, price);
+            const [, , , flatFee] = await trustEstate.getFeeBreakdown(price);
+
+            await expect(
+                trustEstate.connect(user2).setRequiredTier(UserAction.PURCHASE, 1)
+            ).to.be.revertedWith("Caller is not an admin");
+            for (const action of Object.values(UserAction)) {
+                await expect(trustEstate.connect(admin).setRequiredTier(action, 1))
+                    .to.emit(trustEstate, "RequiredTierUpdated")
+                    .withArgs(action, 1);
+            }
+
+            await expect(
+                trustEstate.connect(user2).registerProperty("No KYC", "Tier Terrace", "House", 90, 2, 1, "", "", "kycHash2")
+            ).to.be.revertedWith("KYC tier too low");
+            await expect(
+                trustEstate.connect(user2).purchaseProperty(propertyId, { value: price + flatFee })
+            ).to.be.revertedWith("KYC tier too low");
+
+            await expect(
+                trustEstate.connect(kycUser).registerProperty("KYC'd", "Tier Terrace", "House", 90, 2, 1, "", "", "kycHash3")
+            ).to.emit(trustEstate, "PropertyRegistered");
+            await expect(trustEstate.connect(kycUser).purchaseProperty(propertyId, { value: price + flatFee }))
+                .to.emit(trustEstate, "PropertySold");
+
+            await trustEstate.connect(kycUser).listPropertyForRent(propertyId, price, 1);
+            await expect(
+                trustEstate.connect(user2).rentProperty(propertyId, { value: price + flatFee })
+            ).to.be.revertedWith("KYC tier too low");
+
+            await trustEstate.connect(admin).setRequiredTier(UserAction.REGISTER_PROPERTY, 0);
+        });
+
+        it("Should cap purchases at the tier's price ceiling", async function () {
+            const propertyId = await registerApprovedProperty("kycHash4");
+            const price = ethers.parseEther("2");
+            await trustEstate.connect(user1).listPropertyForSale(propertyId, price);
+            const [, , , flatFee] = await trustEstate.getFeeBreakdown(price);
+
+            await expect(trustEstate.connect(admin).setTierPriceCeiling(1, ethers.ZeroAddress, ethers.parseEther("1")))
+                .to.emit(trustEstate, "TierPriceCeilingUpdated")
+                .withArgs(1, ethers.ZeroAddress, ethers.parseEther("1"));
+
+            await expect(
+                trustEstate.connect(kycUser).purchaseProperty(propertyId, { value: price + flatFee })
+            ).to.be.revertedWith("Price exceeds tier limit");
+            await expect(
+                trustEstate.connect(kycUser).makeOffer(propertyId, (await time.latest()) + 3600, { value: price + flatFee })
+            ).to.be.revertedWith("Price exceeds tier limit");
+
+            // A higher tier without a ceiling is unlimited
+            await trustEstate.connect(kycUser).submitKyc(ethers.id("kyc-profile-v2"));
+            await trustEstate.connect(government).approveKyc(kycUser.address, 2);
+            await expect(trustEstate.connect(kycUser).purchaseProperty(propertyId, { value: price + flatFee }))
+                .to.emit(trustEstate, "PropertySold");
+        });
+
+        it("Should blacklist and deregister users", async function () {
+            await trustEstate.connect(blacklistedUser).registerUser();
+            await expect(
+                trustEstate.connect(government).setUserBlacklisted(blacklistedUser.address, true)
+            ).to.be.revertedWith("Caller is not an admin");
+
+            await expect(trustEstate.connect(admin).setUserBlacklisted(blacklistedUser.address, true))
+                .to.emit(trustEstate, "UserDeregistered")
+                .withArgs(blacklistedUser.address)
+                .and.to.emit(trustEstate, "UserBlacklistUpdated")
+                .withArgs(blacklistedUser.address, true);
+            expect(await trustEstate.registeredUsers(blacklistedUser.address)).to.be.false;
+            await expect(
+                trustEstate.connect(blacklistedUser).registerUser()
+            ).to.be.revertedWith("User is blacklisted");
+
+            await trustEstate.connect(admin).setUserBlacklisted(blacklistedUser.address, false);
+            await trustEstate.connect(blacklistedUser).registerUser();
+
+            await expect(trustEstate.connect(admin).deregisterUser(kycUser.address))
+                .to.emit(trustEstate, "UserDeregistered")
+                .withArgs(kycUser.address);
+            expect(await trustEstate.registeredUsers(kycUser.address)).to.be.false;
+            const profile = await trustEstate.userProfiles(kycUser.address);
+            expect(profile.kycStatus).to.equal(KycStatus.NONE);
+            expect(profile.tier).to.equal(0);
+            await expect(
+                trustEstate.connect(admin).deregisterUser(kycUser.address)
+            ).to.be.revertedWith("Not registered");
+        });
+    });
+
+    describe("Auctions", function () {
+        let bidder1, bidder2;
+        let flatFee;
+        const hour = 3600;
+        const reserve = ethers.parseEther("1");
+        const increment = ethers.parseEther("0.1");
+
+        async function startEnglish(docHash, extensionWindow = 0) {
+            const propertyId = await registerApprovedProperty(docHash);
+            const endTime = (await time.latest()) + hour;
+            await trustEstate.connect(user1).startEnglishAuction(propertyId, reserve, increment, endTime, extensionWindow);
+            return { propertyId, endTime };
+        }
+
+        before(async function () {
+            [bidder1, bidder2] = (await ethers.getSigners()).slice(15, 17);
+            await trustEstate.connect(bidder1).registerUser();
+            await trustEstate.connect(bidder2).registerUser();
+            [, , , flatFee] = await trustEstate.getFeeBreakdown(reserve);
+        });
+
+        it("Should sell an English auction to the highest bidder and refund the outbid", async function () {
+            const { propertyId, endTime } = await startEnglish("auctionHash1");
+            const auction = await trustEstate.auctions(propertyId);
+            expect(auction.status).to.equal(1); // ACTIVE
+            expect(auction.endTime).to.equal(endTime);
+            await expect(
+                trustEstate.connect(user1).listPropertyForSale(propertyId, reserve)
+            ).to.be.revertedWith("Property is at auction");
+
+            await expect(trustEstate.connect(bidder1).placeBid(propertyId, { value: reserve + flatFee }))
+                .to.emit(trustEstate, "AuctionBid")
+                .withArgs(propertyId, bidder1.address, reserve, endTime);
+
+            // A tie, or anything under the increment, loses to the earlier bid
+            await expect(
+                trustEstate.connect(bidder2).placeBid(propertyId, { value: reserve + flatFee })
+            ).to.be.revertedWith("Bid too low");
+            await expect(
+                trustEstate.connect(bidder2).placeBid(propertyId, { value: reserve + increment - 1n + flatFee })
+            ).to.be.revertedWith("Bid too low");
+
+            const before = await trustEstate.pendingBalance(bidder1.address);
+            const winningBid = reserve + increment;
+            await trustEstate.connect(bidder2).placeBid(propertyId, { value: winningBid + flatFee });
+            expect(await trustEstate.pendingBalance(bidder1.address)).to.equal(before + reserve + flatFee);
+
+            await expect(trustEstate.settleAuction(propertyId)).to.be.revertedWith("Auction not ended");
+            await expect(trustEstate.connect(user1).cancelAuction(propertyId)).to.be.revertedWith("Auction has bids");
+
+            await time.increaseTo(endTime);
+            await expect(
+                trustEstate.connect(bidder1).placeBid(propertyId, { value: winningBid * 2n })
+            ).to.be.revertedWith("Auction ended");
+
+            const [agencyCut, governmentCut, agentCommissionCut] = await trustEstate.getFeeBreakdown(winningBid);
+            const sellerBefore = await trustEstate.pendingBalance(user1.address);
+            await expect(trustEstate.connect(user2).settleAuction(propertyId))
+                .to.emit(trustEstate, "AuctionSettled")
+                .withArgs(propertyId, bidder2.address, winningBid)
+                .and.to.emit(trustEstate, "PropertySold")
+                .withArgs(propertyId, bidder2.address, winningBid);
+
+            expect((await trustEstate.propertyStatus(propertyId)).owner).to.equal(bidder2.address);
+            expect(await trustEstate.getOwnerProperties(bidder2.address)).to.deep.include(propertyId);
+            expect(await trustEstate.pendingBalance(user1.address))
+                .to.equal(sellerBefore + winningBid - agencyCut - governmentCut - agentCommissionCut);
+            expect((await trustEstate.auctions(propertyId)).status).to.equal(2); // SETTLED
+        });
+
+        it("Should extend the end time for bids inside the anti-sniping window", async function () {
+            const window = 10 * 60;
+            const { propertyId, endTime } = await startEnglish("auctionHash2", window);
+
+            await time.increaseTo(endTime - 60);
+            await trustEstate.connect(bidder1).placeBid(propertyId, { value: reserve + flatFee });
+            const extended = (await trustEstate.auctions(propertyId)).endTime;
+            expect(extended).to.equal((await time.latest()) + window);
+
+            await time.increaseTo(endTime + 1);
+            await expect(trustEstate.settleAuction(propertyId)).to.be.revertedWith("Auction not ended");
+            await trustEstate.connect(bidder2).placeBid(propertyId, { value: reserve + increment + flatFee });
+
+            await time.increaseTo((await trustEstate.auctions(propertyId)).endTime);
+            await expect(trustEstate.settleAuction(propertyId))
+                .to.emit(trustEstate, "AuctionSettled")
+                .withArgs(propertyId, bidder2.address, reserve + increment);
+        });
+
+        it("Should refund the top bid when the reserve is missed", async function () {
+            const { propertyId, endTime } = await startEnglish("auctionHash3");
+            const lowBid = reserve / 2n;
+            await trustEstate.connect(bidder1).placeBid(propertyId, { value: lowBid + flatFee });
+
+            await time.increaseTo(endTime);
+            const before = await trustEstate.pendingBalance(bidder1.address);
+            await expect(trustEstate.settleAuction(propertyId))
+                .to.emit(trustEstate, "AuctionSettled")
+                .withArgs(propertyId, ethers.ZeroAddress, 0);
+
+            expect(await trustEstate.pendingBalance(bidder1.address)).to.equal(before + lowBid + flatFee);
+            expect((await trustEstate.propertyStatus(propertyId)).owner).to.equal(user1.address);
+            await expect(trustEstate.settleAuction(propertyId)).to.be.revertedWith("No active auction");
+
+            // The property can go back on the market
+            await trustEstate.connect(user1).listPropertyForSale(propertyId, reserve);
+        });
+
+        it("Should only allow cancelling an English auction before the first bid", async function () {
+            const { propertyId } = await startEnglish("auctionHash4");
+            await expect(
+                trustEstate.connect(user2).cancelAuction(propertyId)
+            ).to.be.revertedWith("Not the owner");
+
+            await expect(trustEstate.connect(user1).cancelAuction(propertyId))
+                .to.emit(trustEstate, "AuctionCancelled")
+                .withArgs(propertyId);
+            expect((await trustEstate.auctions(propertyId)).status).to.equal(3); // CANCELLED
+            await expect(
+                trustEstate.connect(bidder1).placeBid(propertyId, { value: reserve + flatFee })
+            ).to.be.revertedWith("No English auction");
+        });
+
+        it("Should refund the top bid if the property is amended mid-auction", async function () {
+            const { propertyId } = await startEnglish("auctionHash5");
+            await trustEstate.connect(bidder1).placeBid(propertyId, { value: reserve + flatFee });
+
+            const before = await trustEstate.pendingBalance(bidder1.address);
+            await expect(trustEstate.connect(user1).amendProperty(
+                propertyId, "Auction House", "Gavel Grove", "House", 160, 3, 2, "", "", "auctionHash5"
+            )).to.emit(trustEstate, "AuctionCancelled");
+            expect(await trustEstate.pendingBalance(bidder1.address)).to.equal(before + reserve + flatFee);
+        });
+
+        it("Should sell a Dutch auction at the linearly decayed price", async function () {
+            const propertyId = await registerApprovedProperty("auctionHash6");
+            const startPrice = ethers.parseEther("2");
+            const floorPrice = ethers.parseEther("1");
+            await expect(
+                trustEstate.connect(user1).startDutchAuction(propertyId, floorPrice, floorPrice, (await time.latest()) + hour)
+            ).to.be.revertedWith("Start price must exceed floor");
+
+            const startTime = (await time.latest()) + 1;
+            await time.setNextBlockTimestamp(startTime);
+            await trustEstate.connect(user1).startDutchAuction(propertyId, startPrice, floorPrice, startTime + 2 * hour);
+            expect(await trustEstate.getAuctionPrice(propertyId)).to.equal(startPrice);
+
+            // Halfway through, the price is halfway down
+            await time.increaseTo(startTime + hour);
+            expect(await trustEstate.getAuctionPrice(propertyId)).to.equal(ethers.parseEther("1.5"));
+            await expect(
+                trustEstate.connect(bidder1).placeBid(propertyId, { value: startPrice })
+            ).to.be.revertedWith("No English auction");
+
+            // Bought ten minutes later, the price has dropped a little further
+            await time.setNextBlockTimestamp(startTime + hour + 600);
+            const price = startPrice - (startPrice - floorPrice) * BigInt(hour + 600) / BigInt(2 * hour);
+            await expect(trustEstate.connect(bidder1).buyAtAuctionPrice(propertyId, { value: startPrice + flatFee }))
+                .to.emit(trustEstate, "AuctionSettled")
+                .withArgs(propertyId, bidder1.address, price)
+                .and.to.emit(trustEstate, "OwnershipTransferred(uint256,address,address)")
+                .withArgs(propertyId, user1.address, bidder1.address);
+            expect((await trustEstate.propertyStatus(propertyId)).owner).to.equal(bidder1.address);
+
+            await expect(
+                trustEstate.connect(bidder2).buyAtAuctionPrice(propertyId, { value: startPrice + flatFee })
+            ).to.be.revertedWith("No Dutch auction");
+        });
+
+        it("Should close an unsold Dutch auction at its end", async function () {
+            const propertyId = await registerApprovedProperty("auctionHash7");
+            const endTime = (await time.latest()) + hour;
+            await trustEstate.connect(user1).startDutchAuction(propertyId, reserve * 2n, reserve, endTime);
+
+            await time.increaseTo(endTime);
+            expect(await trustEstate.getAuctionPrice(propertyId)).to.equal(reserve);
+            await expect(
+                trustEstate.connect(bidder1).buyAtAuctionPrice(propertyId, { value: reserve + flatFee })
+            ).to.be.revertedWith("Auction ended");
+            await expect(trustEstate.settleAuction(propertyId))
+                .to.emit(trustEstate, "AuctionSettled")
+                .withArgs(propertyId, ethers.ZeroAddress, 0);
+        });
+    });
+
+    describe("Listing Management", function () {
+        const price = ethers.parseEther("1");
+        const day = 24 * 3600;
+        const rentTerms = { paymentInterval: 30 * day, securityDeposit: 0, gracePeriod: 0, lateFeePercent: 0 };
+
+        it("Should not allow a sale and a rent listing at the same time", async function () {
+            const propertyId = await registerApprovedProperty("listingHash1");
+            await trustEstate.connect(user1).listPropertyForRent(propertyId, price, 30 * day);
+            await expect(
+                trustEstate.connect(user1).listPropertyForSale(propertyId, price)
+            ).to.be.revertedWith("Property is listed for rent");
+
+            await expect(trustEstate.connect(user1).cancelRentListing(propertyId))
+                .to.emit(trustEstate, "RentListingCancelled")
+                .withArgs(propertyId, user1.address);
+            const [forRent] = await trustEstate.getPropertiesForRent(0, 1000);
+            expect(forRent).to.not.deep.include(propertyId);
+
+            await trustEstate.connect(user1).listPropertyForSale(propertyId, price);
+            await expect(
+                trustEstate.connect(user1).listPropertyForRent(propertyId, price, 30 * day)
+            ).to.be.revertedWith("Property is listed for sale");
+        });
+
+        it("Should cancel a sale listing and refund its offers", async function () {
+            const propertyId = await registerApprovedProperty("listingHash2");
+            await trustEstate.connect(user1).listPropertyForSale(propertyId, price);
+            const [, , , flatFee] = await trustEstate.getFeeBreakdown(price);
+            const offerTx = await trustEstate.connect(user2).makeOffer(
+                propertyId, (await time.latest()) + day, { value: price + flatFee }
+            );
+            await offerTx.wait();
+
+            await expect(
+                trustEstate.connect(user2).cancelSaleListing(propertyId)
+            ).to.be.revertedWith("Not the owner");
+
+            const before = await trustEstate.pendingBalance(user2.address);
+            await expect(trustEstate.connect(user1).cancelSaleListing(propertyId))
+                .to.emit(trustEstate, "SaleListingCancelled")
+                .withArgs(propertyId, user1.address)
+                .and.to.emit(trustEstate, "OfferRefunded");
+            expect(await trustEstate.pendingBalance(user2.address)).to.equal(before + price + flatFee);
+            expect((await trustEstate.propertyStatus(propertyId)).isForSale).to.be.false;
+
+            await expect(
+                trustEstate.connect(user1).cancelSaleListing(propertyId)
+            ).to.be.revertedWith("Not for sale");
+            await expect(
+                trustEstate.connect(user2).purchaseProperty(propertyId, { value: price + flatFee })
+            ).to.be.revertedWith("Not for sale");
+        });
+
+        it("Should reprice a sale listing", async function () {
+            const propertyId = await registerApprovedProperty("listingHash3");
+            await expect(
+                trustEstate.connect(user1).updateSalePrice(propertyId, price)
+            ).to.be.revertedWith("Not for sale");
+
+            await trustEstate.connect(user1).listPropertyForSale(propertyId, price);
+            await expect(
+                trustEstate.connect(user2).updateSalePrice(propertyId, price * 2n)
+            ).to.be.revertedWith("Not the owner");
+            await expect(
+                trustEstate.connect(user1).updateSalePrice(propertyId, 0)
+            ).to.be.revertedWith("Price must be greater than 0");
+            await expect(
+                trustEstate.connect(user1).updateSalePrice(propertyId, price)
+            ).to.be.revertedWith("No changes");
+
+            const newPrice = price * 2n;
+            await expect(trustEstate.connect(user1).updateSalePrice(propertyId, newPrice))
+                .to.emit(trustEstate, "SalePriceUpdated")
+                .withArgs(propertyId, price, newPrice);
+
+            const [, , , flatFee] = await trustEstate.getFeeBreakdown(newPrice);
+            await expect(
+                trustEstate.connect(user2).purchaseProperty(propertyId, { value: price + flatFee })
+            ).to.be.revertedWith("Insufficient payment including fees");
+            await expect(trustEstate.connect(user2).purchaseProperty(propertyId, { value: newPrice + flatFee }))
+                .to.emit(trustEstate, "PropertySold")
+                .withArgs(propertyId, user2.address, newPrice);
+        });
+
+        it("Should update rent terms only while no tenant is in", async function () {
+            const propertyId = await registerApprovedProperty("listingHash4");
+            await trustEstate.connect(user1).listPropertyForRentWithTerms(
+                propertyId, price, 90 * day, ethers.ZeroAddress, rentTerms
+            );
+
+            await expect(
+                trustEstate.connect(user1).updateRentTerms(propertyId, price, 10 * day, rentTerms)
+            ).to.be.revertedWith("Invalid payment interval");
+
+            const newPrice = price / 2n;
+            const newTerms = { ...rentTerms, paymentInterval: 60 * day, securityDeposit: price };
+            await expect(trustEstate.connect(user1).updateRentTerms(propertyId, newPrice, 120 * day, newTerms))
+                .to.emit(trustEstate, "RentTermsUpdated")
+                .withArgs(propertyId, newPrice, 120 * day, 60 * day);
+
+            expect((await trustEstate.propertyStatus(propertyId)).rentPrice).to.equal(newPrice);
+            expect((await trustEstate.rentalInfo(propertyId)).duration).to.equal(120 * day);
+            expect((await trustEstate.rentTerms(propertyId)).securityDeposit).to.equal(price);
+
+            const [, , , flatFee] = await trustEstate.getFeeBreakdown(newPrice);
+            await trustEstate.connect(user2).rentProperty(propertyId, { value: newPrice + price + flatFee });
+            await expect(
+                trustEstate.connect(user1).updateRentTerms(propertyId, price, 90 * day, rentTerms)
+            ).to.be.revertedWith("Property is currently rented");
+        });
+
+        it("Should stop sales after the listing expires and let anyone clear it", async function () {
+            const propertyId = await registerApprovedProperty("listingHash5");
+            await trustEstate.connect(user1).listPropertyForSale(propertyId, price);
+
+            await expect(
+                trustEstate.connect(user1).setListingExpiry(propertyId, await time.latest())
+            ).to.be.revertedWith("Expiry must be in the future");
+            const expiresAt = (await time.latest()) + day;
+            await expect(trustEstate.connect(user1).setListingExpiry(propertyId, expiresAt))
+                .to.emit(trustEstate, "ListingExpiryUpdated")
+                .withArgs(propertyId, expiresAt);
+
+            await expect(
+                trustEstate.connect(user2).cancelSaleListing(propertyId)
+            ).to.be.revertedWith("Not the owner");
+
+            await time.increaseTo(expiresAt);
+            const [, , , flatFee] = await trustEstate.getFeeBreakdown(price);
+            await expect(
+                trustEstate.connect(user2).purchaseProperty(propertyId, { value: price + flatFee })
+            ).to.be.revertedWith("Listing expired");
+            await expect(
+                trustEstate.connect(user2).makeOffer(propertyId, expiresAt + day, { value: price + flatFee })
+            ).to.be.revertedWith("Listing expired");
+
+            await expect(trustEstate.connect(user2).cancelSaleListing(propertyId))
+                .to.emit(trustEstate, "SaleListingCancelled")
+                .withArgs(propertyId, user2.address);
+            expect(await trustEstate.listingExpiry(propertyId)).to.equal(0);
+
+            // Relisting starts without an expiry
+            await trustEstate.connect(user1).listPropertyForSale(propertyId, price);
+            await expect(trustEstate.connect(user2).purchaseProperty(propertyId, { value: price + flatFee }))
+                .to.emit(trustEstate, "PropertySold");
+        });
+    });
+
+    describe("Installment Plans", function () {
+        let planBuyer;
+        const day = 24 * 3600;
+        const price = ethers.parseEther("4");
+        const terms = {
+            deposit: ethers.parseEther("1"),
+            installmentCount: 3,
+            interval: 30 * day,
+            gracePeriod: 7 * day,
+            defaultRefundPercent: 5000
+        };
+
+        async function listWithPlan(docHash) {
+            const propertyId = await mintApprovedProperty(docHash);
+            await trustEstate.connect(user1).listPropertyForSale(propertyId, price);
+            await trustEstate.connect(user1).offerInstallmentPlan(propertyId, terms);
+            return propertyId;
+        }
+
+        async function pay(propertyId, amount, method = "payInstallment") {
+            const [, , , flatFee] = await trustEstate.getFeeBreakdown(amount);
+            return trustEstate.connect(planBuyer)[method](propertyId, { value: amount + flatFee });
+        }
+
+        before(async function () {
+            planBuyer = (await ethers.getSigners())[17];
+            await trustEstate.connect(planBuyer).registerUser();
+        });
+
+        it("Should validate the offered terms", async function () {
+            const propertyId = await registerApprovedProperty("installmentHash0");
+            await expect(
+                trustEstate.connect(user1).offerInstallmentPlan(propertyId, terms)
+            ).to.be.revertedWith("Not for sale");
+
+            await trustEstate.connect(user1).listPropertyForSale(propertyId, price);
+            await expect(
+                trustEstate.connect(user2).offerInstallmentPlan(propertyId, terms)
+            ).to.be.revertedWith("Not the owner");
+            await expect(
+                trustEstate.connect(user1).offerInstallmentPlan(propertyId, { ...terms, deposit: price })
+            ).to.be.revertedWith("Deposit must be below price");
+            await expect(
+                trustEstate.connect(user1).offerInstallmentPlan(propertyId, { ...terms, installmentCount: 0 })
+            ).to.be.revertedWith("Installment count must be positive");
+            await expect(
+                trustEstate.connect(user1).offerInstallmentPlan(propertyId, { ...terms, deposit: 0 })
+            ).to.be.revertedWith("Deposit must be positive");
+            await expect(
+                trustEstate.connect(user1).offerInstallmentPlan(propertyId, { ...terms, defaultRefundPercent: 10001 })
+            ).to.be.revertedWith("Refund too high");
+
+            await expect(trustEstate.connect(user1).offerInstallmentPlan(propertyId, terms))
+                .to.emit(trustEstate, "InstallmentPlanOffered")
+                .withArgs(propertyId, terms.deposit, 3, terms.interval, terms.gracePeriod, 5000);
+
+            // Relisting withdraws the plan
+            await trustEstate.connect(user1).updateSalePrice(propertyId, price * 2n);
+            await trustEstate.connect(user1).listPropertyForSale(propertyId, price);
+            await expect(pay(propertyId, terms.deposit, "startInstallmentPlan")).to.be.revertedWith("No installment plan offered");
+        });
+
+        it("Should re-check the terms against a lowered sale price", async function () {
+            const propertyId = await listWithPlan("installmentHash3");
+            await trustEstate.connect(user1).updateSalePrice(propertyId, terms.deposit / 2n);
+
+            await expect(pay(propertyId, terms.deposit, "startInstallmentPlan")).to.be.revertedWith("Deposit must be below price");
+            expect((await trustEstate.getInstallmentPlan(propertyId)).status).to.equal(0); // NONE
+        });
+
+        it("Should give occupancy at once and title only after the final installment", async function () {
+            const propertyId = await listWithPlan("installmentHash1");
+
+            await expect(pay(propertyId, terms.deposit, "startInstallmentPlan"))
+                .to.emit(trustEstate, "InstallmentPlanStarted")
+                .withArgs(propertyId, planBuyer.address, price, terms.deposit);
+
+            expect(await trustEstate.getOccupant(propertyId)).to.equal(planBuyer.address);
+            const status = await trustEstate.propertyStatus(propertyId);
+            expect(status.owner).to.equal(user1.address);
+            expect(status.isForSale).to.be.false;
+            expect(await trustEstate.ownerOf(propertyId)).to.equal(user1.address);
+            await expect(
+                trustEstate.connect(user1).listPropertyForSale(propertyId, price)
+            ).to.be.revertedWith("Property is under installment plan");
+            await expect(
+                trustEstate.connect(user1).transferFrom(user1.address, user2.address, propertyId)
+            ).to.be.revertedWith("Property is listed");
+
+            // 3 ETH financed over 3 installments
+            const installment = ethers.parseEther("1");
+            const [due, dueAt] = await trustEstate.getInstallmentDue(propertyId);
+            expect(due).to.equal(installment);
+            expect(dueAt).to.equal((await trustEstate.getInstallmentPlan(propertyId)).startTime + BigInt(terms.interval));
+            await expect(
+                trustEstate.connect(user2).payInstallment(propertyId, { value: installment * 2n })
+            ).to.be.revertedWith("Not the plan buyer");
+
+            const [agencyCut, governmentCut, agentCommissionCut] = await trustEstate.getFeeBreakdown(installment);
+            const agencyBefore = await trustEstate.pendingBalance(admin.address);
+            const sellerBefore = await trustEstate.pendingBalance(user1.address);
+
+            await expect(pay(propertyId, installment))
+                .to.emit(trustEstate, "InstallmentPaid")
+                .withArgs(propertyId, planBuyer.address, 1, installment);
+            expect(await trustEstate.pendingBalance(admin.address)).to.be.greaterThan(agencyBefore);
+            expect(await trustEstate.pendingBalance(user1.address)).to.equal(sellerBefore); // Escrowed until the end
+            await pay(propertyId, installment);
+
+            await expect(pay(propertyId, installment))
+                .to.emit(trustEstate, "PropertySold")
+                .withArgs(propertyId, planBuyer.address, price)
+                .and.to.emit(trustEstate, "OwnershipTransferred(uint256,address,address)")
+                .withArgs(propertyId, user1.address, planBuyer.address);
+
+            expect((await trustEstate.propertyStatus(propertyId)).owner).to.equal(planBuyer.address);
+            expect(await trustEstate.ownerOf(propertyId)).to.equal(planBuyer.address);
+            expect(await trustEstate.getOccupant(propertyId)).to.equal(planBuyer.address);
+
+            // Every payment was fee-split like a sale of that amount
+            const [depositAgency, depositGov, depositCommission] = await trustEstate.getFeeBreakdown(terms.deposit);
+            const sellerShare = (terms.deposit - depositAgency - depositGov - depositCommission) +
+                3n * (installment - agencyCut - governmentCut - agentCommissionCut);
+            expect(await trustEstate.pendingBalance(user1.address)).to.equal(sellerBefore + sellerShare);
+            expect((await trustEstate.getInstallmentPlan(propertyId)).status).to.equal(2); // COMPLETED
+            await expect(pay(propertyId, installment)).to.be.revertedWith("No active installment plan");
+        });
+
+        it("Should let the seller reclaim after a default with a partial refund", async function () {
+            const propertyId = await listWithPlan("installmentHash2");
+            await pay(propertyId, terms.deposit, "startInstallmentPlan");
+            await pay(propertyId, ethers.parseEther("1"));
+
+            const [, dueAt] = await trustEstate.getInstallmentDue(propertyId);
+            await time.setNextBlockTimestamp(dueAt + BigInt(terms.gracePeriod));
+            await expect(
+                trustEstate.connect(user1).claimInstallmentDefault(propertyId)
+            ).to.be.revertedWith("Installment not in default");
+            await expect(
+                trustEstate.connect(planBuyer).claimInstallmentDefault(propertyId)
+            ).to.be.revertedWith("Not the owner");
+
+            await time.increase(1);
+            const { escrowed } = await trustEstate.getInstallmentPlan(propertyId);
+            const buyerBefore = await trustEstate.pendingBalance(planBuyer.address);
+            const sellerBefore = await trustEstate.pendingBalance(user1.address);
+            await expect(trustEstate.connect(user1).claimInstallmentDefault(propertyId))
+                .to.emit(trustEstate, "InstallmentPlanDefaulted")
+                .withArgs(propertyId, planBuyer.address, escrowed / 2n, escrowed - escrowed / 2n);
+
+            expect(await trustEstate.pendingBalance(planBuyer.address)).to.equal(buyerBefore + escrowed / 2n);
+            expect(await trustEstate.pendingBalance(user1.address)).to.equal(sellerBefore + escrowed - escrowed / 2n);
+            expect(await trustEstate.getOccupant(propertyId)).to.equal(user1.address);
+            expect(await trustEstate.ownerOf(propertyId)).to.equal(user1.address);
+
+            // Back on the market
+            await trustEstate.connect(user1).listPropertyForSale(propertyId, price);
+        });
+    });
+
+    describe("Disputes", function () {
+        const day = 24 * 3600;
+        const holdback = 14 * day;
+        const price = ethers.parseEther("1");
+        const evidence = ethers.id("inspection-report");
+        const Ruling = { RELEASE: 0, PARTIAL_REFUND: 1, REVERSAL: 2 };
+
+        // Sells a fresh property to user2 and returns its id with the escrow of the seller's proceeds
+        async function sellWithHoldback(docHash) {
+            const propertyId = await registerApprovedProperty(docHash);
+            await trustEstate.connect(user1).mintPropertyNFT(propertyId);
+            await trustEstate.connect(user1).listPropertyForSale(propertyId, price);
+            const [, , , flatFee] = await trustEstate.getFeeBreakdown(price);
+            await trustEstate.connect(user2).purchaseProperty(propertyId, { value: price + flatFee });
+            const escrowIds = await trustEstate.getPropertyEscrows(propertyId);
+            return { propertyId, escrowId: escrowIds[escrowIds.length - 1] };
+        }
+
+        before(async function () {
+            await expect(
+                trustEstate.connect(user1).setHoldbackPeriod(holdback)
+            ).to.be.revertedWith("Caller is not an admin");
+            await expect(trustEstate.connect(admin).setHoldbackPeriod(holdback))
+                .to.emit(trustEstate, "HoldbackPeriodUpdated")
+                .withArgs(holdback);
+        });
+
+        after(async function () {
+            await trustEstate.connect(admin).setHoldbackPeriod(0);
+        });
+
+        it("Should hold the seller's proceeds and release them after the holdback", async function () {
+            const sellerBefore = await trustEstate.pendingBalance(user1.address);
+            const { propertyId, escrowId } = await sellWithHoldback("disputeHash1");
+            expect(await trustEstate.pendingBalance(user1.address)).to.equal(sellerBefore);
+
+            const escrow = await trustEstate.escrows(escrowId);
+            const [agencyCut, governmentCut, agentCommissionCut] = await trustEstate.getFeeBreakdown(price);
+            expect(escrow.amount).to.equal(price - agencyCut - governmentCut - agentCommissionCut);
+            expect(escrow.payer).to.equal(user2.address);
+            expect(escrow.payee).to.equal(user1.address);
+
+            await expect(
+                trustEstate.connect(user1).releaseEscrow(escrowId)
+            ).to.be.revertedWith("Holdback period not over");
+
+            await time.increaseTo(escrow.releaseAt);
+            await expect(
+                trustEstate.connect(user2).openDispute(escrowId, evidence)
+            ).to.be.revertedWith("Holdback period over");
+            await expect(trustEstate.connect(user1).releaseEscrow(escrowId))
+                .to.emit(trustEstate, "EscrowReleased")
+                .withArgs(escrowId, propertyId, escrow.amount);
+            expect(await trustEstate.pendingBalance(user1.address)).to.equal(sellerBefore + escrow.amount);
+            await expect(trustEstate.connect(user1).releaseEscrow(escrowId)).to.be.revertedWith("Escrow not held");
+        });
+
+        it("Should let the buyer release early", async function () {
+            const { escrowId } = await sellWithHoldback("disputeHash2");
+            const { amount } = await trustEstate.escrows(escrowId);
+            const sellerBefore = await trustEstate.pendingBalance(user1.address);
+
+            await trustEstate.connect(user2).releaseEscrow(escrowId);
+            expect(await trustEstate.pendingBalance(user1.address)).to.equal(sellerBefore + amount);
+        });
+
+        it("Should release the proceeds in full when the arbitrator rejects a dispute", async function () {
+            const { propertyId, escrowId } = await sellWithHoldback("disputeHash3");
+            await expect(
+                trustEstate.connect(user1).openDispute(escrowId, evidence)
+            ).to.be.revertedWith("Not the buyer or tenant");
+            await expect(
+                trustEstate.connect(user2).openDispute(escrowId, ethers.ZeroHash)
+            ).to.be.revertedWith("Evidence hash required");
+
+            await expect(trustEstate.connect(user2).openDispute(escrowId, evidence))
+                .to.emit(trustEstate, "DisputeOpened")
+                .withArgs(escrowId, propertyId, user2.address, evidence);
+            expect((await trustEstate.escrows(escrowId)).evidenceHash).to.equal(evidence);
+
+            // A disputed escrow no longer releases on its own
+            await time.increaseTo((await trustEstate.escrows(escrowId)).releaseAt);
+            await expect(trustEstate.connect(user1).releaseEscrow(escrowId)).to.be.revertedWith("Escrow not held");
+
+            await expect(
+                trustEstate.connect(admin).resolveDispute(escrowId, Ruling.RELEASE, 0, "No misrepresentation")
+            ).to.be.revertedWith("Caller is not a government agent");
+
+            const { amount } = await trustEstate.escrows(escrowId);
+            const sellerBefore = await trustEstate.pendingBalance(user1.address);
+            await expect(trustEstate.connect(government).resolveDispute(escrowId, Ruling.RELEASE, 0, "No misrepresentation"))
+                .to.emit(trustEstate, "DisputeResolved")
+                .withArgs(escrowId, propertyId, Ruling.RELEASE, 0, amount, "No misrepresentation");
+            expect(await trustEstate.pendingBalance(user1.address)).to.equal(sellerBefore + amount);
+            await expect(
+                trustEstate.connect(government).resolveDispute(escrowId, Ruling.RELEASE, 0, "")
+            ).to.be.revertedWith("No open dispute");
+        });
+
+        it("Should split the proceeds on a partial refund", async function () {
+            const { propertyId, escrowId } = await sellWithHoldback("disputeHash4");
+            await trustEstate.connect(user2).openDispute(escrowId, evidence);
+            const { amount } = await trustEstate.escrows(escrowId);
+
+            await expect(
+                trustEstate.connect(government).resolveDispute(escrowId, Ruling.PARTIAL_REFUND, amount, "")
+            ).to.be.revertedWith("Invalid refund");
+
+            const refund = amount / 4n;
+            const buyerBefore = await trustEstate.pendingBalance(user2.address);
+            const sellerBefore = await trustEstate.pendingBalance(user1.address);
+            await expect(trustEstate.connect(government).resolveDispute(escrowId, Ruling.PARTIAL_REFUND, refund, "Leaking roof"))
+                .to.emit(trustEstate, "DisputeResolved")
+                .withArgs(escrowId, propertyId, Ruling.PARTIAL_REFUND, refund, amount - refund, "Leaking roof");
+
+            expect(await trustEstate.pendingBalance(user2.address)).to.equal(buyerBefore + refund);
+            expect(await trustEstate.pendingBalance(user1.address)).to.equal(sellerBefore + amount - refund);
+            expect((await trustEstate.propertyStatus(propertyId)).owner).to.equal(user2.address);
+        });
+
+        it("Should refund the buyer and return title to the seller on a reversal", async function () {
+            const { propertyId, escrowId } = await sellWithHoldback("disputeHash5");
+            await trustEstate.connect(user2).openDispute(escrowId, evidence);
+            const { amount } = await trustEstate.escrows(escrowId);
+            const buyerBefore = await trustEstate.pendingBalance(user2.address);
+
+            await expect(trustEstate.connect(government).resolveDispute(escrowId, Ruling.REVERSAL, 0, "Not as described"))
+                .to.emit(trustEstate, "DisputeResolved")
+                .withArgs(escrowId, propertyId, Ruling.REVERSAL, amount, 0, "Not as described")
+                .and.to.emit(trustEstate, "OwnershipTransferred(uint256,address,address)")
+                .withArgs(propertyId, user2.address, user1.address);
+
+            expect(await trustEstate.pendingBalance(user2.address)).to.equal(buyerBefore + amount);
+            expect((await trustEstate.propertyStatus(propertyId)).owner).to.equal(user1.address);
+            expect(await trustEstate.ownerOf(propertyId)).to.equal(user1.address);
+            expect(await trustEstate.getOwnerProperties(user2.address)).to.not.deep.include(propertyId);
+        });
+
+        it("Should end the tenancy and refund rent and deposit on a rental reversal", async function () {
+            const propertyId = await registerApprovedProperty("disputeHash6");
+            const deposit = price / 2n;
+            await trustEstate.connect(user1).listPropertyForRentWithTerms(propertyId, price, 90 * day, ethers.ZeroAddress, {
+                paymentInterval: 30 * day, securityDeposit: deposit, gracePeriod: 0, lateFeePercent: 0
+            });
+            const [, , , flatFee] = await trustEstate.getFeeBreakdown(price);
+            await trustEstate.connect(user2).rentProperty(propertyId, { value: price + deposit + flatFee });
+
+            const [escrowId] = await trustEstate.getPropertyEscrows(propertyId);
+            const { amount, kind } = await trustEstate.escrows(escrowId);
+            expect(kind).to.equal(1); // RENT
+            await trustEstate.connect(user2).openDispute(escrowId, evidence);
+
+            const tenantBefore = await trustEstate.pendingBalance(user2.address);
+            await expect(trustEstate.connect(government).resolveDispute(escrowId, Ruling.REVERSAL, 0, "Uninhabitable"))
+                .to.emit(trustEstate, "RentalEnded")
+                .withArgs(propertyId, user2.address);
+
+            expect(await trustEstate.pendingBalance(user2.address)).to.equal(tenantBefore + amount + deposit);
+            expect((await trustEstate.rentalInfo(propertyId)).isActive).to.be.false;
+            expect(await trustEstate.getOccupant(propertyId)).to.equal(user1.address);
+        });
+
+        it("Should release held rent to the landlord it was paid to after a sale", async function () {
+            const propertyId = await registerApprovedProperty("disputeHash7");
+            await trustEstate.connect(user1).listPropertyForRent(propertyId, price, 1);
+            const [, , , flatFee] = await trustEstate.getFeeBreakdown(price);
+            await trustEstate.connect(user2).rentProperty(propertyId, { value: price + flatFee });
+            const [escrowId] = await trustEstate.getPropertyEscrows(propertyId);
+            const { amount, payee } = await trustEstate.escrows(escrowId);
+            expect(payee).to.equal(user1.address);
+
+            await trustEstate.connect(user1).endRental(propertyId);
+            await trustEstate.connect(user1).cancelRentListing(propertyId);
+            await trustEstate.connect(user1).listPropertyForSale(propertyId, price);
+            await trustEstate.connect(user2).purchaseProperty(propertyId, { value: price + flatFee });
+
+            const landlordBefore = await trustEstate.pendingBalance(user1.address);
+            const newOwnerBefore = await trustEstate.pendingBalance(user2.address);
+            await trustEstate.connect(user2).releaseEscrow(escrowId);
+            expect(await trustEstate.pendingBalance(user1.address)).to.equal(landlordBefore + amount);
+            expect(await trustEstate.pendingBalance(user2.address)).to.equal(newOwnerBefore);
+        });
+
+        it("Should pay held rent to the shareholders at a buyout, and to the buyer once every share is redeemed", async function () {
+            const supply = ethers.parseEther("1000");
+            const propertyId = await mintApprovedProperty("disputeHash8");
+            await trustEstate.connect(user1).fractionalizeProperty(propertyId, supply, "Held Rent", "HRNT", price);
+            const shares = await ethers.getContractAt("PropertyShares", (await trustEstate.fractions(propertyId)).shareToken);
+            await shares.connect(user1).transfer(user2.address, (supply * 40n) / 100n);
+
+            // Two short lets: the first one's rent is disputed, the second one's is still held
+            await trustEstate.connect(user1).listPropertyForRent(propertyId, price, 1);
+            const [, , , flatFee] = await trustEstate.getFeeBreakdown(price);
+            await trustEstate.connect(user2).rentProperty(propertyId, { value: price + flatFee });
+            await trustEstate.connect(user1).endRental(propertyId);
+            await trustEstate.connect(user2).rentProperty(propertyId, { value: price + flatFee });
+            await trustEstate.connect(user1).endRental(propertyId);
+            const [disputedId, heldId] = await trustEstate.getPropertyEscrows(propertyId);
+            const { amount } = await trustEstate.escrows(heldId);
+            await trustEstate.connect(user2).openDispute(disputedId, evidence);
+
+            // The held rent goes to the holders before user2's buyout burns their shares
+            const cost = (price * 60n) / 100n;
+            await expect(trustEstate.connect(user2).buyoutProperty(propertyId, { value: cost }))
+                .to.emit(trustEstate, "EscrowReleased")
+                .withArgs(heldId, propertyId, amount);
+            expect(await shares.withdrawableDividendOf(user1.address, ethers.ZeroAddress)).to.be.closeTo((amount * 60n) / 100n, 1n);
+            expect(await shares.withdrawableDividendOf(user2.address, ethers.ZeroAddress)).to.be.closeTo((amount * 40n) / 100n, 1n);
+
+            // With no shares left, the disputed rent settled later goes to the buyer instead of reverting
+            await shares.connect(user1).redeem();
+            expect(await shares.totalSupply()).to.equal(0);
+            const resolution = trustEstate.connect(government).resolveDispute(disputedId, Ruling.RELEASE, 0, "Rent was owed");
+            await expect(resolution).to.emit(shares, "ForwardedToBuyer").withArgs(user2.address, ethers.ZeroAddress, amount);
+            await expect(resolution).to.changeEtherBalance(user2, amount);
+        });
+    });
+
+    describe("Emergency Controls", function () {
+        const price = ethers.parseEther("1");
+        const courtOrder = ethers.id("court-order-2024-117");
+
+        afterEach(async function () {
+            if (await trustEstate.paused()) {
+                await trustEstate.connect(admin).unpause();
+            }
+        });
+
+        it("Should let only an admin pause and unpause", async function () {
+            await expect(trustEstate.connect(user1).pause()).to.be.revertedWith("Caller is not an admin");
+            await expect(trustEstate.connect(admin).pause())
+                .to.emit(trustEstate, "Paused")
+                .withArgs(admin.address);
+            await expect(trustEstate.connect(user1).unpause()).to.be.revertedWith("Caller is not an admin");
+            await expect(trustEstate.connect(admin).unpause())
+                .to.emit(trustEstate, "Unpaused")
+                .withArgs(admin.address);
+        });
+
+        it("Should stop purchases, listings and NFT transfers while paused", async function () {
+            const propertyId = await registerApprovedProperty("emergencyHash1");
+            await trustEstate.connect(user1).mintPropertyNFT(propertyId);
+            const listed = await registerApprovedProperty("emergencyHash2");
+            await trustEstate.connect(user1).listPropertyForSale(listed, price);
+            const [, , , flatFee] = await trustEstate.getFeeBreakdown(price);
+
+            await trustEstate.connect(admin).pause();
+
+            await expect(
+                trustEstate.connect(user2).purchaseProperty(listed, { value: price + flatFee })
+            ).to.be.revertedWithCustomError(trustEstate, "EnforcedPause");
+            await expect(
+                trustEstate.connect(user1).listPropertyForRent(propertyId, price, 1)
+            ).to.be.revertedWithCustomError(trustEstate, "EnforcedPause");
+            await expect(
+                trustEstate.connect(user1).transferFrom(user1.address, user2.address, propertyId)
+            ).to.be.revertedWithCustomError(trustEstate, "EnforcedPause");
+            await expect(trustEstate.connect(user3).registerUser())
+                .to.be.revertedWithCustomError(trustEstate, "EnforcedPause");
+
+            // Government review keeps working during the incident
+            await trustEstate.connect(government).reopenVerification(propertyId);
+            await trustEstate.connect(government).verifyProperty(propertyId, VerificationStatus.APPROVED);
+
+            await trustEstate.connect(admin).unpause();
+            await trustEstate.connect(user2).purchaseProperty(listed, { value: price + flatFee });
+            expect((await trustEstate.propertyStatus(listed)).owner).to.equal(user2.address);
+        });
+
+        it("Should freeze a property on a court order until it is lifted", async function () {
+            const propertyId = await registerApprovedProperty("emergencyHash4");
+            await trustEstate.connect(user1).mintPropertyNFT(propertyId);
+            await trustEstate.connect(user1).listPropertyForSale(propertyId, price);
+
+            await expect(
+                trustEstate.connect(user1).freezeProperty(propertyId, courtOrder, 0)
+            ).to.be.revertedWith("Caller is not a government agent");
+            await expect(
+                trustEstate.connect(government).freezeProperty(propertyId, ethers.ZeroHash, 0)
+            ).to.be.revertedWith("Court order hash required");
+            await expect(trustEstate.connect(government).freezeProperty(propertyId, courtOrder, 0))
+                .to.emit(trustEstate, "PropertyFrozen")
+                .withArgs(propertyId, courtOrder, 0, government.address);
+
+            expect(await trustEstate.isPropertyFrozen(propertyId)).to.be.true;
+            const freeze = await trustEstate.getPropertyFreeze(propertyId);
+            expect(freeze.courtOrderHash).to.equal(courtOrder);
+            expect(freeze.frozenBy).to.equal(government.address);
+
+            const [, , , flatFee] = await trustEstate.getFeeBreakdown(price);
+            await expect(
+                trustEstate.connect(user2).purchaseProperty(propertyId, { value: price + flatFee })
+            ).to.be.revertedWith("Property is frozen");
+            await expect(
+                trustEstate.connect(user1).delistProperty(propertyId)
+            ).to.be.revertedWith("Property is frozen");
+            await expect(
+                trustEstate.connect(user2).makeOffer(propertyId, (await time.latest()) + 3600, { value: price / 2n })
+            ).to.be.revertedWith("Property is frozen");
+
+            await expect(trustEstate.connect(government).unfreezeProperty(propertyId))
+                .to.emit(trustEstate, "PropertyUnfrozen")
+                .withArgs(propertyId, government.address);
+            await expect(
+                trustEstate.connect(government).unfreezeProperty(propertyId)
+            ).to.be.revertedWith("Property not frozen");
+            expect((await trustEstate.getPropertyFreeze(propertyId)).courtOrderHash).to.equal(courtOrder);
+
+            await trustEstate.connect(user2).purchaseProperty(propertyId, { value: price + flatFee });
+            expect(await trustEstate.ownerOf(propertyId)).to.equal(user2.address);
+        });
+
+        it("Should block NFT transfers of a frozen property and lapse at its expiry", async function () {
+            const propertyId = await registerApprovedProperty("emergencyHash5");
+            await trustEstate.connect(user1).mintPropertyNFT(propertyId);
+
+            await expect(
+                trustEstate.connect(government).freezeProperty(propertyId, courtOrder, await time.latest())
+            ).to.be.revertedWith("Expiry must be in the future");
+            const expiresAt = (await time.latest()) + 3600;
+            await trustEstate.connect(government).freezeProperty(propertyId, courtOrder, expiresAt);
+
+            await expect(
+                trustEstate.connect(user1).transferFrom(user1.address, user2.address, propertyId)
+            ).to.be.revertedWith("Property is frozen");
+
+            await time.increaseTo(expiresAt);
+            expect(await trustEstate.isPropertyFrozen(propertyId)).to.be.false;
+            await trustEstate.connect(user1).transferFrom(user1.address, user2.address, propertyId);
+            expect((await trustEstate.propertyStatus(propertyId)).owner).to.equal(user2.address);
+        });
+    });
+
+    describe("Liens", function () {
+        let bank;
+        const price = ethers.parseEther("1");
+        const LienStatus = { NONE: 0, ACTIVE: 1, RELEASED: 2, SETTLED: 3, HELD: 4 };
+
+        async function recordLien(propertyId, amount) {
+            const tx = await trustEstate.connect(bank).recordLien(propertyId, bank.address, ethers.ZeroAddress, amount);
+            const receipt = await tx.wait();
+            return receipt.logs
+                .map((log) => trustEstate.interface.parseLog(log))
+                .find((parsed) => parsed && parsed.name === "LienRecorded").args.lienId;
+        }
+
+        before(async function () {
+            bank = (await ethers.getSigners())[18];
+            await expect(
+                trustEstate.connect(user1).setLienholder(bank.address, true)
+            ).to.be.revertedWith("Caller is not an admin");
+            await expect(trustEstate.connect(admin).setLienholder(bank.address, true))
+                .to.emit(trustEstate, "LienholderUpdated")
+                .withArgs(bank.address, true);
+        });
+
+        it("Should let only government and whitelisted lienholders record liens", async function () {
+            const propertyId = await registerApprovedProperty("lienHash1");
+            await expect(
+                trustEstate.connect(user2).recordLien(propertyId, user2.address, ethers.ZeroAddress, price)
+            ).to.be.revertedWith("Caller is not a lienholder");
+            await expect(
+                trustEstate.connect(bank).recordLien(propertyId, bank.address, ethers.ZeroAddress, 0)
+            ).to.be.revertedWith("Invalid lien amount");
+
+            await expect(trustEstate.connect(bank).recordLien(propertyId, bank.address, ethers.ZeroAddress, price / 4n))
+                .to.emit(trustEstate, "LienRecorded");
+            await trustEstate.connect(government).recordLien(propertyId, government.address, ethers.ZeroAddress, price / 10n);
+
+            expect(await trustEstate.isEncumbered(propertyId)).to.be.true;
+            const [, , , , , activeLiens] = await trustEstate.verifyPropertyAsBuyer(propertyId);
+            expect(activeLiens.map((lien) => [lien.creditor, lien.amount])).to.deep.equal([
+                [bank.address, price / 4n],
+                [government.address, price / 10n]
+            ]);
+        });
+
+        it("Should pay liens off from the seller's proceeds at sale", async function () {
+            const propertyId = await registerApprovedProperty("lienHash2");
+            const lienId = await recordLien(propertyId, price / 4n);
+            await trustEstate.connect(user1).listPropertyForSale(propertyId, price);
+
+            const sellerBefore = await trustEstate.pendingBalance(user1.address);
+            const bankBefore = await trustEstate.pendingBalance(bank.address);
+            const [agencyCut, governmentCut, agentCommissionCut, flatFee] = await trustEstate.getFeeBreakdown(price);
+            await expect(trustEstate.connect(user2).purchaseProperty(propertyId, { value: price + flatFee }))
+                .to.emit(trustEstate, "LienSettled")
+                .withArgs(lienId, propertyId, bank.address, price / 4n);
+
+            expect(await trustEstate.pendingBalance(bank.address)).to.equal(bankBefore + price / 4n);
+            expect(await trustEstate.pendingBalance(user1.address)).to.equal(
+                sellerBefore + price - agencyCut - governmentCut - agentCommissionCut - price / 4n
+            );
+            expect((await trustEstate.liens(lienId)).status).to.equal(LienStatus.SETTLED);
+            expect(await trustEstate.isEncumbered(propertyId)).to.be.false;
+        });
+
+        it("Should block sales and transfers the liens can't be paid from", async function () {
+            const propertyId = await registerApprovedProperty("lienHash3");
+            await trustEstate.connect(user1).mintPropertyNFT(propertyId);
+            const lienId = await recordLien(propertyId, price * 2n);
+
+            await expect(
+                trustEstate.connect(user1).transferFrom(user1.address, user2.address, propertyId)
+            ).to.be.revertedWith("Property is encumbered");
+
+            await trustEstate.connect(user1).listPropertyForSale(propertyId, price);
+            const [, , , flatFee] = await trustEstate.getFeeBreakdown(price);
+            await expect(
+                trustEstate.connect(user2).purchaseProperty(propertyId, { value: price + flatFee })
+            ).to.be.revertedWith("Liens exceed sale proceeds");
+
+            await expect(trustEstate.connect(user2).releaseLien(lienId)).to.be.revertedWith("Not authorized to release lien");
+            await expect(trustEstate.connect(bank).releaseLien(lienId))
+                .to.emit(trustEstate, "LienReleased")
+                .withArgs(lienId, propertyId, bank.address);
+            await expect(trustEstate.connect(bank).releaseLien(lienId)).to.be.revertedWith("Lien not active");
+            expect((await trustEstate.liens(lienId)).status).to.equal(LienStatus.RELEASED);
+
+            await trustEstate.connect(user2).purchaseProperty(propertyId, { value: price + flatFee });
+            expect(await trustEstate.ownerOf(propertyId)).to.equal(user2.address);
+        });
+
+        it("Should hold lien payoffs in escrow and reinstate the liens if the sale is reversed", async function () {
+            const propertyId = await registerApprovedProperty("lienHash4");
+            const lienId = await recordLien(propertyId, price / 4n);
+            await trustEstate.connect(user1).listPropertyForSale(propertyId, price);
+            await trustEstate.connect(admin).setHoldbackPeriod(14 * 24 * 3600);
+
+            const [, , , flatFee] = await trustEstate.getFeeBreakdown(price);
+            await trustEstate.connect(user2).purchaseProperty(propertyId, { value: price + flatFee });
+            expect((await trustEstate.liens(lienId)).status).to.equal(LienStatus.HELD);
+            expect(await trustEstate.isEncumbered(propertyId)).to.be.false;
+
+            const [escrowId] = await trustEstate.getPropertyEscrows(propertyId);
+            const escrowed = (await trustEstate.escrows(escrowId)).amount;
+            await trustEstate.connect(user2).openDispute(escrowId, ethers.id("lien-dispute-evidence"));
+            const bankBefore = await trustEstate.pendingBalance(bank.address);
+            const buyerBefore = await trustEstate.pendingBalance(user2.address);
+            await expect(trustEstate.connect(government).resolveDispute(escrowId, 2, 0, "Title misrepresented"))
+                .to.emit(trustEstate, "LienReinstated")
+                .withArgs(lienId, propertyId);
+
+            expect((await trustEstate.propertyStatus(propertyId)).owner).to.equal(user1.address);
+            expect((await trustEstate.liens(lienId)).status).to.equal(LienStatus.ACTIVE);
+            expect(await trustEstate.isEncumbered(propertyId)).to.be.true;
+            expect(await trustEstate.pendingBalance(user2.address)).to.equal(buyerBefore + escrowed + price / 4n);
+            expect(await trustEstate.pendingBalance(bank.address)).to.equal(bankBefore);
+
+            // Sold again, the payoff reaches the bank once the holdback is over
+            await trustEstate.connect(user1).listPropertyForSale(propertyId, price);
+            await trustEstate.connect(user2).purchaseProperty(propertyId, { value: price + flatFee });
+            const [, secondEscrowId] = await trustEstate.getPropertyEscrows(propertyId);
+            await expect(trustEstate.connect(user2).releaseEscrow(secondEscrowId))
+                .to.emit(trustEstate, "LienSettled")
+                .withArgs(lienId, propertyId, bank.address, price / 4n);
+            expect((await trustEstate.liens(lienId)).status).to.equal(LienStatus.SETTLED);
+
+            await trustEstate.connect(admin).setHoldbackPeriod(0);
+        });
+
+        it("Should keep auctions off encumbered properties and refund the bidder for a lien recorded mid-auction", async function () {
+            const propertyId = await registerApprovedProperty("lienHash5");
+            const lienId = await recordLien(propertyId, price / 4n);
+            const endTime = (await time.latest()) + 3600;
+            await expect(
+                trustEstate.connect(user1).startEnglishAuction(propertyId, price, price / 10n, endTime, 0)
+            ).to.be.revertedWith("Property is encumbered");
+            await trustEstate.connect(bank).releaseLien(lienId);
+
+            await trustEstate.connect(user1).startEnglishAuction(propertyId, price, price / 10n, endTime, 0);
+            const [, , , flatFee] = await trustEstate.getFeeBreakdown(price);
+            await trustEstate.connect(user2).placeBid(propertyId, { value: price + flatFee });
+            await recordLien(propertyId, price);
+            await time.increaseTo(endTime);
+
+            const bidderBefore = await trustEstate.pendingBalance(user2.address);
+            await expect(trustEstate.connect(user3).settleAuction(propertyId))
+                .to.emit(trustEstate, "AuctionSettled")
+                .withArgs(propertyId, ethers.ZeroAddress, 0);
+            expect(await trustEstate.pendingBalance(user2.address)).to.equal(bidderBefore + price + flatFee);
+            expect((await trustEstate.propertyStatus(propertyId)).owner).to.equal(user1.address);
+        });
+
+        it("Should keep installment plans off encumbered properties and cancel one a new lien can't be paid from", async function () {
+            const propertyId = await registerApprovedProperty("lienHash6");
+            const planTerms = { deposit: price / 2n, installmentCount: 1, interval: 3600, gracePeriod: 3600, defaultRefundPercent: 0 };
+            await trustEstate.connect(user1).listPropertyForSale(propertyId, price);
+            await trustEstate.connect(user1).offerInstallmentPlan(propertyId, planTerms);
+            const lienId = await recordLien(propertyId, price / 4n);
+
+            const [, , , flatFee] = await trustEstate.getFeeBreakdown(planTerms.deposit);
+            await expect(
+                trustEstate.connect(user2).startInstallmentPlan(propertyId, { value: planTerms.deposit + flatFee })
+            ).to.be.revertedWith("Property is encumbered");
+            await trustEstate.connect(bank).releaseLien(lienId);
+
+            await trustEstate.connect(user2).startInstallmentPlan(propertyId, { value: planTerms.deposit + flatFee });
+            await recordLien(propertyId, price);
+
+            const buyerBefore = await trustEstate.pendingBalance(user2.address);
+            await expect(trustEstate.connect(user2).payInstallment(propertyId, { value: price / 2n + flatFee }))
+                .to.emit(trustEstate, "InstallmentPlanCancelled");
+            const plan = await trustEstate.getInstallmentPlan(propertyId);
+            expect(plan.status).to.equal(4); // CANCELLED
+            expect(await trustEstate.pendingBalance(user2.address)).to.equal(buyerBefore + plan.escrowed);
+            expect((await trustEstate.propertyStatus(propertyId)).owner).to.equal(user1.address);
+            expect(await trustEstate.getOccupant(propertyId)).to.equal(user1.address);
+        });
+    });
+
+    describe("Estate Succession", function () {
+        const price = ethers.parseEther("1");
+        const certificate = ethers.id("death-certificate-0042");
+        const challengeWindow = 30 * 24 * 3600;
+
+        it("Should validate the beneficiary splits", async function () {
+            const propertyId = await registerApprovedProperty("estateHash1");
+            await expect(
+                trustEstate.connect(user2).designateBeneficiaries(propertyId, [user2.address], [10000])
+            ).to.be.revertedWith("Not the owner");
+            await expect(
+                trustEstate.connect(user1).designateBeneficiaries(propertyId, [user2.address, user3.address], [5000, 4000])
+            ).to.be.revertedWith("Shares must total 100%");
+            await expect(
+                trustEstate.connect(user1).designateBeneficiaries(propertyId, [user2.address, user2.address], [5000, 5000])
+            ).to.be.revertedWith("Duplicate beneficiary");
+            await expect(
+                trustEstate.connect(user1).designateBeneficiaries(propertyId, [user1.address], [10000])
+            ).to.be.revertedWith("Invalid beneficiary");
+
+            await expect(trustEstate.connect(user1).designateBeneficiaries(propertyId, [user2.address, user3.address], [7000, 3000]))
+                .to.emit(trustEstate, "BeneficiariesDesignated")
+                .withArgs(propertyId, user1.address, [user2.address, user3.address], [7000, 3000]);
+            expect((await trustEstate.getBeneficiaries(propertyId)).map((b) => [b.account, b.share]))
+                .to.deep.equal([[user2.address, 7000n], [user3.address, 3000n]]);
+
+            await trustEstate.connect(user1).designateBeneficiaries(propertyId, [], []);
+            expect(await trustEstate.getBeneficiaries(propertyId)).to.be.empty;
+            await expect(
+                trustEstate.connect(government).initiateSuccession(propertyId, certificate)
+            ).to.be.revertedWith("No beneficiaries designated");
+        });
+
+        it("Should pass the title to a sole beneficiary after the challenge window", async function () {
+            const propertyId = await registerApprovedProperty("estateHash2");
+            await trustEstate.connect(user1).mintPropertyNFT(propertyId);
+            await trustEstate.connect(user1).designateBeneficiaries(propertyId, [user2.address], [10000]);
+            await trustEstate.connect(user1).listPropertyForSale(propertyId, price);
+
+            await expect(
+                trustEstate.connect(user2).initiateSuccession(propertyId, certificate)
+            ).to.be.revertedWith("Caller is not a government agent");
+            await expect(
+                trustEstate.connect(government).initiateSuccession(propertyId, ethers.ZeroHash)
+            ).to.be.revertedWith("Death certificate hash required");
+            await expect(trustEstate.connect(government).initiateSuccession(propertyId, certificate))
+                .to.emit(trustEstate, "SuccessionInitiated");
+
+            // Off the market, and nobody can act for the owner any more
+            expect((await trustEstate.propertyStatus(propertyId)).isForSale).to.be.false;
+            await expect(
+                trustEstate.connect(user1).listPropertyForSale(propertyId, price)
+            ).to.be.revertedWith("Succession in progress");
+            await expect(
+                trustEstate.connect(user1).transferFrom(user1.address, user3.address, propertyId)
+            ).to.be.revertedWith("Succession in progress");
+
+            await expect(trustEstate.connect(user3).challengeSuccession(propertyId, ethers.id("later-will")))
+                .to.emit(trustEstate, "SuccessionChallenged")
+                .withArgs(propertyId, user3.address, ethers.id("later-will"));
+            await expect(
+                trustEstate.connect(government).executeSuccession(propertyId)
+            ).to.be.revertedWith("Challenge window open");
+
+            await time.increase(challengeWindow);
+            await expect(
+                trustEstate.connect(user3).challengeSuccession(propertyId, ethers.id("later-will"))
+            ).to.be.revertedWith("Challenge window closed");
+            await expect(trustEstate.connect(government).executeSuccession(propertyId))
+                .to.emit(trustEstate, "SuccessionExecuted")
+                .withArgs(propertyId, user1.address, user2.address, [user2.address], [10000], ethers.ZeroAddress)
+                .and.to.emit(trustEstate, "OwnershipTransferred(uint256,address,address)")
+                .withArgs(propertyId, user1.address, user2.address);
+
+            expect((await trustEstate.propertyStatus(propertyId)).owner).to.equal(user2.address);
+            expect(await trustEstate.ownerOf(propertyId)).to.equal(user2.address);
+            expect(await trustEstate.getOwnerProperties(user2.address)).to.include(propertyId);
+            expect(await trustEstate.getOwnerProperties(user1.address)).to.not.include(propertyId);
+            expect(await trustEstate.getBeneficiaries(propertyId)).to.be.empty;
+        });
+
+        it("Should split the estate into shares among several beneficiaries", async function () {
+            const propertyId = await registerApprovedProperty("estateHash3");
+            await trustEstate.connect(user1).designateBeneficiaries(propertyId, [user2.address, user3.address], [4000, 6000]);
+            await trustEstate.connect(government).initiateSuccession(propertyId, certificate);
+            await time.increase(challengeWindow);
+            await trustEstate.connect(government).executeSuccession(propertyId);
+
+            // The larger share holds the title of record; the NFT is minted and locked behind the shares
+            expect((await trustEstate.propertyStatus(propertyId)).owner).to.equal(user3.address);
+            expect(await trustEstate.ownerOf(propertyId)).to.equal(trustEstate.target);
+            const fraction = await trustEstate.fractions(propertyId);
+            const shares = await ethers.getContractAt("PropertyShares", fraction.shareToken);
+            expect(await shares.balanceOf(user2.address)).to.equal(ethers.parseEther("4000"));
+            expect(await shares.balanceOf(user3.address)).to.equal(ethers.parseEther("6000"));
+            await expect(
+                trustEstate.connect(user2).buyoutProperty(propertyId, { value: price })
+            ).to.be.revertedWith("Buyout not offered");
+
+            // Never sold, so the government values the estate and opens the buyout the other heir takes up
+            await expect(
+                trustEstate.connect(user2).setEstateBuyoutPrice(propertyId, price)
+            ).to.be.revertedWith("Not a majority shareholder");
+            await expect(
+                trustEstate.connect(user3).setEstateBuyoutPrice(propertyId, price)
+            ).to.be.revertedWith("No sale price on record");
+            await expect(trustEstate.connect(government).setEstateBuyoutPrice(propertyId, price))
+                .to.emit(trustEstate, "EstateBuyoutPriceSet")
+                .withArgs(propertyId, price, government.address);
+            await expect(
+                trustEstate.connect(government).setEstateBuyoutPrice(propertyId, price * 2n)
+            ).to.be.revertedWith("Buyout already offered");
+
+            await trustEstate.connect(user2).buyoutProperty(propertyId, { value: (price * 6000n) / 10000n });
+            expect(await trustEstate.ownerOf(propertyId)).to.equal(user2.address);
+            expect((await trustEstate.propertyStatus(propertyId)).owner).to.equal(user2.address);
+        });
+
+        it("Should not let a majority heir squeeze the others out below market", async function () {
+            // user2 buys the property, so the estate has a sale price on record
+            const propertyId = await registerApprovedProperty("estateHash5");
+            await trustEstate.connect(user1).mintPropertyNFT(propertyId);
+            await trustEstate.connect(user1).listPropertyForSale(propertyId, price);
+            const [, , , flatFee] = await trustEstate.getFeeBreakdown(price);
+            await trustEstate.connect(user2).purchaseProperty(propertyId, { value: price + flatFee });
+
+            await trustEstate.connect(user2).designateBeneficiaries(propertyId, [user1.address, user3.address], [5100, 4900]);
+            await trustEstate.connect(government).initiateSuccession(propertyId, certificate);
+            await time.increase(challengeWindow);
+            await trustEstate.connect(government).executeSuccession(propertyId);
+
+            await expect(
+                trustEstate.connect(user1).setEstateBuyoutPrice(propertyId, 1)
+            ).to.be.revertedWith("Below last sale price");
+
+            // A price so low the majority's cost rounds to nothing is refused at buyout
+            await trustEstate.connect(government).setEstateBuyoutPrice(propertyId, 1);
+            await expect(
+                trustEstate.connect(user1).buyoutProperty(propertyId, { value: 0 })
+            ).to.be.revertedWith("Buyout cost rounds to zero");
+            expect(await trustEstate.ownerOf(propertyId)).to.equal(trustEstate.target);
+        });
+
+        it("Should let a living owner or the government cancel a succession", async function () {
+            const propertyId = await registerApprovedProperty("estateHash4");
+            await trustEstate.connect(user1).designateBeneficiaries(propertyId, [user2.address], [10000]);
+            await trustEstate.connect(government).initiateSuccession(propertyId, certificate);
+
+            await expect(
+                trustEstate.connect(user2).cancelSuccession(propertyId, "Eager heir")
+            ).to.be.revertedWith("Not authorized to cancel succession");
+            await expect(trustEstate.connect(user1).cancelSuccession(propertyId, "Owner is alive"))
+                .to.emit(trustEstate, "SuccessionCancelled")
+                .withArgs(propertyId, user1.address, "Owner is alive");
+
+            await time.increase(challengeWindow);
+            await expect(
+                trustEstate.connect(government).executeSuccession(propertyId)
+            ).to.be.revertedWith("No pending succession");
+            await trustEstate.connect(user1).listPropertyForSale(propertyId, price);
+            expect((await trustEstate.propertyStatus(propertyId)).owner).to.equal(user1.address);
+        });
+    });
+
+    describe("Direct Title Transfers", function () {
+        const dutyRate = 200; // 2%
+        const signOffThreshold = ethers.parseEther("5");
+
+        before(async function () {
+            await expect(
+                trustEstate.connect(user1).setStampDuty(dutyRate, signOffThreshold)
+            ).to.be.revertedWith("Caller is not an admin");
+            await expect(
+                trustEstate.connect(admin).setStampDuty(1001, signOffThreshold)
+            ).to.be.revertedWith("Stamp duty too high");
+            await expect(trustEstate.connect(admin).setStampDuty(dutyRate, signOffThreshold))
+                .to.emit(trustEstate, "StampDutyUpdated")
+                .withArgs(dutyRate, signOffThreshold);
+        });
+
+        after(async function () {
+            await trustEstate.connect(admin).setStampDuty(0, 0);
+        });
+
+        it("Should transfer the title at once below the sign-off threshold", async function () {
+            const propertyId = await registerApprovedProperty("titleHash1");
+            await trustEstate.connect(user1).mintPropertyNFT(propertyId);
+            const declaredValue = ethers.parseEther("1");
+            const duty = await trustEstate.getStampDuty(declaredValue);
+            expect(duty).to.equal(ethers.parseEther("0.02"));
+
+            await expect(
+                trustEstate.connect(user1).transferTitle(propertyId, (await ethers.getSigners())[19].address, declaredValue, { value: duty })
+            ).to.be.revertedWith("Recipient not registered");
+            await expect(
+                trustEstate.connect(user1).transferTitle(propertyId, user2.address, declaredValue, { value: duty - 1n })
+            ).to.be.revertedWith("Insufficient stamp duty");
+
+            const governmentBefore = await trustEstate.pendingBalance(government.address);
+            const ownerBefore = await trustEstate.pendingBalance(user1.address);
+            await expect(trustEstate.connect(user1).transferTitle(propertyId, user2.address, declaredValue, { value: duty + 5n }))
+                .to.emit(trustEstate, "TitleTransferred")
+                .withArgs(propertyId, user1.address, user2.address, declaredValue, duty, ethers.ZeroAddress)
+                .and.to.emit(trustEstate, "OwnershipTransferred(uint256,address,address)")
+                .withArgs(propertyId, user1.address, user2.address);
+
+            expect(await trustEstate.pendingBalance(government.address)).to.equal(governmentBefore + duty);
+            expect(await trustEstate.pendingBalance(user1.address)).to.equal(ownerBefore + 5n);
+            expect((await trustEstate.propertyStatus(propertyId)).owner).to.equal(user2.address);
+            expect(await trustEstate.ownerOf(propertyId)).to.equal(user2.address);
+        });
+
+        it("Should hold transfers above the threshold for government sign-off", async function () {
+            const propertyId = await registerApprovedProperty("titleHash2");
+            await trustEstate.connect(user1).mintPropertyNFT(propertyId);
+            const declaredValue = ethers.parseEther("10");
+            const duty = await trustEstate.getStampDuty(declaredValue);
+
+            await expect(trustEstate.connect(user1).transferTitle(propertyId, user2.address, declaredValue, { value: duty }))
+                .to.emit(trustEstate, "TitleTransferRequested")
+                .withArgs(propertyId, user1.address, user2.address, declaredValue, duty);
+            expect(await trustEstate.ownerOf(propertyId)).to.equal(user1.address);
+            await expect(
+                trustEstate.connect(user1).transferTitle(propertyId, user2.address, declaredValue, { value: duty })
+            ).to.be.revertedWith("Title transfer pending");
+
+            await expect(
+                trustEstate.connect(user2).approveTitleTransfer(propertyId)
+            ).to.be.revertedWith("Caller is not a government agent");
+            const governmentBefore = await trustEstate.pendingBalance(government.address);
+            await expect(trustEstate.connect(government).approveTitleTransfer(propertyId))
+                .to.emit(trustEstate, "TitleTransferred")
+                .withArgs(propertyId, user1.address, user2.address, declaredValue, duty, government.address);
+
+            expect(await trustEstate.pendingBalance(government.address)).to.equal(governmentBefore + duty);
+            expect(await trustEstate.ownerOf(propertyId)).to.equal(user2.address);
+            expect(await trustEstate.getOwnerProperties(user2.address)).to.include(propertyId);
+        });
+
+        it("Should refund the duty when a transfer is rejected or cancelled", async function () {
+            const propertyId = await registerApprovedProperty("titleHash3");
+            const declaredValue = ethers.parseEther("6");
+            const duty = await trustEstate.getStampDuty(declaredValue);
+            const ownerBefore = await trustEstate.pendingBalance(user1.address);
+
+            await trustEstate.connect(user1).transferTitle(propertyId, user2.address, declaredValue, { value: duty });
+            await expect(trustEstate.connect(government).rejectTitleTransfer(propertyId, "Value under-declared"))
+                .to.emit(trustEstate, "TitleTransferRejected")
+                .withArgs(propertyId, government.address, "Value under-declared");
+            expect(await trustEstate.pendingBalance(user1.address)).to.equal(ownerBefore + duty);
+
+            await trustEstate.connect(user1).transferTitle(propertyId, user2.address, declaredValue, { value: duty });
+            await expect(
+                trustEstate.connect(user2).cancelTitleTransfer(propertyId)
+            ).to.be.revertedWith("Not the requester");
+            await expect(trustEstate.connect(user1).cancelTitleTransfer(propertyId))
+                .to.emit(trustEstate, "TitleTransferCancelled")
+                .withArgs(propertyId, user1.address);
+            expect(await trustEstate.pendingBalance(user1.address)).to.equal(ownerBefore + duty * 2n);
+            await expect(
+                trustEstate.connect(government).approveTitleTransfer(propertyId)
+            ).to.be.revertedWith("No pending title transfer");
+            expect((await trustEstate.propertyStatus(propertyId)).owner).to.equal(user1.address);
+        });
+
+        it("Should hold zero or under-market declared values for sign-off", async function () {
+            const propertyId = await registerApprovedProperty("titleHash4");
+            const salePrice = ethers.parseEther("3");
+            await trustEstate.connect(user1).listPropertyForSale(propertyId, salePrice);
+            const [, , , flatFee] = await trustEstate.getFeeBreakdown(salePrice);
+            await trustEstate.connect(user2).purchaseProperty(propertyId, { value: salePrice + flatFee });
+            expect(await trustEstate.lastSalePrice(propertyId)).to.equal(salePrice);
+
+            for (const declaredValue of [0n, ethers.parseEther("1")]) {
+                const duty = await trustEstate.getStampDuty(declaredValue);
+                await expect(trustEstate.connect(user2).transferTitle(propertyId, user1.address, declaredValue, { value: duty }))
+                    .to.emit(trustEstate, "TitleTransferRequested")
+                    .withArgs(propertyId, user2.address, user1.address, declaredValue, duty);
+                await trustEstate.connect(user2).cancelTitleTransfer(propertyId);
+            }
+
+            const duty = await trustEstate.getStampDuty(salePrice);
+            await expect(trustEstate.connect(user2).transferTitle(propertyId, user1.address, salePrice, { value: duty }))
+                .to.emit(trustEstate, "TitleTransferred")
+                .withArgs(propertyId, user2.address, user1.address, salePrice, duty, ethers.ZeroAddress);
+        });
+    });
 });
@@ -0,0 +1,130 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { time } = require("@nomicfoundation/hardhat-network-helpers");
+const {
+    deployTrustEstateImplementation,
+    deployTrustEstateProxy,
+    getTrustEstateAt,
+} = require("../scripts/trustEstateProxy");
+
+describe("TrustEstate Proxy Upgrades", function () {
+    let trustEstate, implementation, v2Implementation;
+    let owner, agency, government, landlord, tenant, outsider;
+    let propertyId;
+
+    const rentPrice = ethers.parseEther("1");
+    const day = 24 * 3600;
+
+    async function scheduleAndWait(newImplementation) {
+        await trustEstate.scheduleUpgrade(newImplementation.target);
+        await time.increase(await trustEstate.UPGRADE_DELAY());
+    }
+
+    before(async function () {
+        [owner, agency, government, landlord, tenant, outsider] = await ethers.getSigners();
+        ({ trustEstate, implementation } = await deployTrustEstateProxy(ethers, agency.address, government.address));
+        ({ implementation: v2Implementation } = await deployTrustEstateImplementation(ethers, "TrustEstateV2Mock"));
+
+        // Some live registry state for the upgrade to carry over
+        await trustEstate.grantRole(await trustEstate.GOVERNMENT_ROLE(), government.address);
+        await trustEstate.setFees(500, 200, ethers.parseEther("0.005"), 100, true);
+        await trustEstate.connect(landlord).registerUser();
+        await trustEstate.connect(tenant).registerUser();
+
+        const tx = await trustEstate.connect(landlord).registerProperty(
+            "Upgrade House", "Proxy Place", "House", 120, 3, 2, "Garden", "Survives upgrades", "QmUpgradeDoc"
+        );
+        const receipt = await tx.wait();
+        propertyId = receipt.logs
+            .map((log) => trustEstate.interface.parseLog(log))
+            .find((parsed) => parsed && parsed.name === "PropertyRegistered").args.propertyId;
+        await trustEstate.connect(government).verifyProperty(propertyId, 1);
+        await trustEstate.connect(landlord).mintPropertyNFT(propertyId);
+        await trustEstate.connect(landlord).listPropertyForRent(propertyId, rentPrice, 30 * day);
+        const [, , , flatFee] = await trustEstate.getFeeBreakdown(rentPrice);
+        await trustEstate.connect(tenant).rentProperty(propertyId, { value: rentPrice + flatFee });
+    });
+
+    it("should only be initialized once, and never on the implementation", async function () {
+        await expect(
+            trustEstate.initialize(agency.address, government.address)
+        ).to.be.revertedWithCustomError(trustEstate, "InvalidInitialization");
+        await expect(
+            implementation.initialize(agency.address, government.address)
+        ).to.be.revertedWithCustomError(implementation, "InvalidInitialization");
+
+        expect(await trustEstate.agencyWallet()).to.equal(agency.address);
+        expect(await trustEstate.verificationQuorum()).to.equal(1);
+        expect(await trustEstate.name()).to.equal("TrustEstateProperty");
+    });
+
+    it("should not upgrade without a scheduled, matured implementation", async function () {
+        await expect(
+            trustEstate.upgradeToAndCall(v2Implementation.target, "0x")
+        ).to.be.revertedWith("Upgrade not scheduled");
+        await expect(
+            trustEstate.connect(outsider).scheduleUpgrade(v2Implementation.target)
+        ).to.be.revertedWith("Caller is not the default admin");
+        await expect(
+            trustEstate.scheduleUpgrade(outsider.address)
+        ).to.be.revertedWith("Implementation is not a contract");
+
+        const tx = await trustEstate.scheduleUpgrade(v2Implementation.target);
+        const readyAt = (await time.latest()) + Number(await trustEstate.UPGRADE_DELAY());
+        await expect(tx).to.emit(trustEstate, "UpgradeScheduled").withArgs(v2Implementation.target, readyAt);
+
+        await expect(
+            trustEstate.upgradeToAndCall(v2Implementation.target, "0x")
+        ).to.be.revertedWith("Upgrade still timelocked");
+
+        await expect(trustEstate.cancelUpgrade())
+            .to.emit(trustEstate, "UpgradeCancelled")
+            .withArgs(v2Implementation.target);
+        await time.increaseTo(readyAt);
+        await expect(
+            trustEstate.upgradeToAndCall(v2Implementation.target, "0x")
+        ).to.be.revertedWith("Upgrade not scheduled");
+
+        // Only DEFAULT_ADMIN_ROLE can carry the upgrade out, even once it has matured
+        await scheduleAndWait(v2Implementation);
+        await expect(
+            trustEstate.connect(outsider).upgradeToAndCall(v2Implementation.target, "0x")
+        ).to.be.revertedWith("Caller is not the default admin");
+        await trustEstate.cancelUpgrade();
+    });
+
+    it("should keep properties, rentals, balances and fees across an upgrade to V2", async function () {
+        const statusBefore = await trustEstate.propertyStatus(propertyId);
+        const infoBefore = await trustEstate.propertyInfo(propertyId);
+        const rentalBefore = await trustEstate.rentalInfo(propertyId);
+        const feesBefore = await trustEstate.feeConfig();
+        const landlordBalance = await trustEstate.pendingBalance(landlord.address);
+
+        await scheduleAndWait(v2Implementation);
+        const migration = v2Implementation.interface.encodeFunctionData("initializeV2", ["Moved to V2"]);
+        await expect(trustEstate.upgradeToAndCall(v2Implementation.target, migration))
+            .to.emit(trustEstate, "Upgraded")
+            .withArgs(v2Implementation.target);
+
+        const upgraded = await getTrustEstateAt(ethers, trustEstate.target, undefined, "TrustEstateV2Mock");
+        expect(await upgraded.version()).to.equal("2");
+        expect(await upgraded.migrationNote()).to.equal("Moved to V2");
+        await expect(upgraded.initializeV2("Again")).to.be.revertedWithCustomError(upgraded, "InvalidInitialization");
+
+        expect(await upgraded.propertyStatus(propertyId)).to.deep.equal(statusBefore);
+        expect(await upgraded.propertyInfo(propertyId)).to.deep.equal(infoBefore);
+        expect(await upgraded.rentalInfo(propertyId)).to.deep.equal(rentalBefore);
+        expect(await upgraded.feeConfig()).to.deep.equal(feesBefore);
+        expect(await upgraded.pendingBalance(landlord.address)).to.equal(landlordBalance);
+        expect(await upgraded.ownerOf(propertyId)).to.equal(landlord.address);
+        expect(await upgraded.getOwnerProperties(landlord.address)).to.deep.equal([propertyId]);
+        expect(await upgraded.hasRole(await upgraded.GOVERNMENT_ROLE(), government.address)).to.be.true;
+        expect(await upgraded.pendingImplementation()).to.equal(ethers.ZeroAddress);
+
+        // The carried-over rental still works on the new implementation
+        await time.increase(30 * day);
+        await expect(upgraded.connect(landlord).endRental(propertyId))
+            .to.emit(upgraded, "RentalEnded")
+            .withArgs(propertyId, tenant.address);
+    });
+});